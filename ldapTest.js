@@ -0,0 +1,25 @@
+// backend/ldapTest.js
+// بررسی تنظیمات LDAP بدون ثبت کاربر در دیتابیس:
+//   LDAP_TEST_PASSWORD=secret npm run ldap:test -- jdoe
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { ldapAuthenticate, mapGroupsToRole } = await import('./src/utils/authProviders.js');
+
+const username = process.argv[2];
+const password = process.env.LDAP_TEST_PASSWORD || process.argv[3] || '';
+if (!username) {
+  console.error('Usage: LDAP_TEST_PASSWORD=... node ldapTest.js <username>');
+  process.exit(2);
+}
+
+const r = await ldapAuthenticate(username, password);
+console.log('status:', r.status);
+if (r.profile) {
+  console.log('dn:', r.profile.dn);
+  console.log('fullname:', r.profile.fullname);
+  console.log('groups:', r.profile.groups);
+  console.log('mapped role:', mapGroupsToRole(r.profile.groups) || `(none → ${process.env.LDAP_DEFAULT_ROLE || 'user'})`);
+}
+process.exit(r.status === 'success' ? 0 : 1);
@@ -0,0 +1,85 @@
+// backend/rotateJwtKey.js
+// چرخش کلید امضای JWT بدون خارج کردن کاربران از سیستم:
+//   npm run keys:rotate                          (HS256 برای access و refresh)
+//   npm run keys:rotate -- --alg RS256 --purpose access --keep 3
+// کلید جدید فعال می‌شود و کلیدهای قبلی برای بررسی توکن‌های زنده در فایل می‌مانند؛
+// سرور در حال اجرا فایل را ظرف چند ثانیه دوباره می‌خواند (نیازی به ری‌استارت نیست).
+// --keep تعداد کلیدهای نگه‌داشته‌شده (با کلید فعال) است؛ بین دو چرخش دست‌کم به اندازه‌ی
+// عمر refresh token (JWT_REFRESH_EXPIRES) فاصله بگذارید تا کلید هیچ توکن زنده‌ای حذف نشود.
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { generateKeyPairSync, randomBytes } from 'crypto';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
+};
+
+const ALG      = opt('alg', 'HS256').toUpperCase();
+const PURPOSES = opt('purpose', 'both') === 'both' ? ['access', 'refresh'] : [opt('purpose')];
+const KEEP     = Math.max(2, Number(opt('keep', 3)) || 3);
+const FILE     = path.resolve(process.env.JWT_KEYS_FILE || 'keys/jwt-keys.json');
+const DIR      = path.dirname(FILE);
+
+if (!['HS256', 'HS384', 'HS512', 'RS256', 'ES256'].includes(ALG)) {
+  console.error(`Unsupported --alg ${ALG}`);
+  process.exit(2);
+}
+if (PURPOSES.some(p => !['access', 'refresh'].includes(p))) {
+  console.error('--purpose must be access, refresh or both');
+  process.exit(2);
+}
+
+fs.mkdirSync(DIR, { recursive: true });
+const doc = fs.existsSync(FILE) ? JSON.parse(fs.readFileSync(FILE, 'utf8')) : {};
+const writeSecret = (name, data) => fs.writeFileSync(path.join(DIR, name), data, { mode: 0o600 });
+
+function newKey(purpose) {
+  const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const kid = `${purpose[0]}-${stamp}-${randomBytes(2).toString('hex')}`;
+  const entry = { kid, alg: ALG, created_at: new Date().toISOString() };
+
+  if (ALG.startsWith('HS')) {
+    entry.secret = randomBytes(64).toString('base64url');
+  } else {
+    const { privateKey, publicKey } = ALG === 'RS256'
+      ? generateKeyPairSync('rsa', { modulusLength: 2048 })
+      : generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    entry.private_key_file = `${kid}.key.pem`;
+    entry.public_key_file  = `${kid}.pub.pem`;
+    writeSecret(entry.private_key_file, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    writeSecret(entry.public_key_file, publicKey.export({ type: 'spki', format: 'pem' }));
+  }
+  return entry;
+}
+
+for (const purpose of PURPOSES) {
+  const section = doc[purpose] || { keys: [] };
+  const key = newKey(purpose);
+  section.keys = [key, ...(section.keys || [])];
+
+  // حذف قدیمی‌ترین کلیدها (و فایل‌هایشان) فراتر از --keep
+  for (const old of section.keys.splice(KEEP)) {
+    for (const f of [old.private_key_file, old.public_key_file]) {
+      if (f) try { fs.unlinkSync(path.resolve(DIR, f)); } catch {}
+    }
+    console.log(`${purpose}: removed ${old.kid}`);
+  }
+  section.active = key.kid;
+  doc[purpose] = section;
+  console.log(`${purpose}: active key is now ${key.kid} (${ALG})`);
+}
+
+// نوشتن اتمیک تا سرور هرگز فایل نیمه‌نوشته نخواند
+const tmp = `${FILE}.tmp`;
+fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), { mode: 0o600 });
+fs.renameSync(tmp, FILE);
+
+console.log(`Key ring written to ${FILE}`);
+if (!process.env.JWT_KEYS_FILE) {
+  console.log(`Set JWT_KEYS_FILE=${FILE} in .env so the server uses this key ring.`);
+}
@@ -83,7 +83,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ["GET","POST","PUT","PATCH","DELETE","OPTIONS"],
-  allowedHeaders: ["Content-Type","Authorization"]
+  allowedHeaders: ["Content-Type","Authorization","X-API-Key"],
+  exposedHeaders: ["X-Total-Count"]
 }));
 
 /* ---------------- Helmet پایه (CSP را خودمان تنظیم می‌کنیم) ---------------- */
@@ -289,13 +290,30 @@ import configModule    from "./src/modules/config.module.js";
 import incidentsModule from "./src/modules/incidents_module.js";
 import actionsModule   from "./src/modules/actions_module.js";
 import resourcesModule from "./src/modules/resources_module.js";
+import notificationsModule from "./src/modules/notifications_module.js";
+import apiKeysModule   from "./src/modules/api_keys_module.js";
+import auditModule     from "./src/modules/audit_module.js";
+import incidentViewsModule from "./src/modules/incident_views_module.js";
+import incidentAttachmentsModule from "./src/modules/incident_attachments_module.js";
+import incidentCommentsModule from "./src/modules/incident_comments_module.js";
+import escalationRulesModule from "./src/modules/escalation_rules_module.js";
+import { runMigrations } from "./src/config/migrations.js";
+import { startJobs } from "./src/jobs/index.js";
+import { getKeyring } from "./src/utils/keyring.js";
 
 app.use("/api/auth",      authModule);
 app.use("/api/users",     usersModule);
 app.use("/api/config",    configModule);
+app.use("/api/incidents/:incidentId/attachments", incidentAttachmentsModule);
+app.use("/api/incidents/:incidentId/comments", incidentCommentsModule);
 app.use("/api/incidents", incidentsModule);
 app.use("/api/actions",   actionsModule);
 app.use("/api/resources", resourcesModule);
+app.use("/api/notifications", notificationsModule);
+app.use("/api/api-keys",  apiKeysModule);
+app.use("/api/audit",     auditModule);
+app.use("/api/incident-views", incidentViewsModule);
+app.use("/api/escalation-rules", escalationRulesModule);
 
 /* ---------------- SPA fallback ---------------- */
 app.get("*", (req, res, next) => {
@@ -309,6 +327,16 @@ app.get("*", (req, res, next) => {
 });
 
 /* ---------------- Start ---------------- */
+// بارگذاری کلیدهای JWT پیش از پذیرش درخواست (در پروداکشن بدون کلید متوقف می‌شود)
+const keyring = getKeyring();
+console.log(`🔑 JWT keys: access=${keyring.access.active.kid}, refresh=${keyring.refresh.active.kid}`);
+
+try {
+  await runMigrations();
+} catch (e) {
+  console.error("MIGRATIONS_ERR:", e);
+}
+
 app.listen(PORT, "0.0.0.0", () => {
   // ساخت آدرس نمایش reverse proxy به‌شکل امن (بدون template literal تو در تو)
   let frontFromEnv = (process.env.FRONTEND_URL || "").trim();
@@ -324,4 +352,6 @@ app.listen(PORT, "0.0.0.0", () => {
   console.log(`   - http://localhost:${PORT}`);
   console.log("   - via reverse proxy (Apache): " + frontFromEnv);
   console.log(`   NODE_ENV=${NODE_ENV}`);
+
+  startJobs();
 });
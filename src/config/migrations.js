@@ -0,0 +1,481 @@
+// backend/src/config/migrations.js
+// مهاجرت‌های ساده‌ی دیتابیس: هر مورد فقط یک بار اجرا و در schema_migrations ثبت می‌شود.
+import { pool } from "./db.js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+// پارسر ngram (مناسب فارسی) فقط در MySQL هست و MariaDB (XAMPP) آن را ندارد: در نبودش FULLTEXT معمولی
+// (تطابق واژه‌ی کامل) ساخته می‌شود. نمایه اختیاری است؛ شکست آن مهاجرت‌های بعدی را متوقف نمی‌کند
+// و جستجو تا ساخته شدنش با LIKE انجام می‌شود (search.js: isSearchIndexReady).
+async function addSearchFulltext() {
+  try {
+    const [[ngram]] = await pool.query(
+      "SELECT 1 AS ok FROM information_schema.PLUGINS WHERE PLUGIN_NAME = 'ngram' AND PLUGIN_STATUS = 'ACTIVE' LIMIT 1"
+    );
+    const parser = ngram ? " WITH PARSER ngram" : "";
+    // InnoDB هر بار فقط یک نمایه‌ی FULLTEXT می‌سازد
+    await pool.query(`ALTER TABLE incident_search_docs ADD FULLTEXT KEY ft_search_title (title_norm)${parser}`);
+    await pool.query(`ALTER TABLE incident_search_docs ADD FULLTEXT KEY ft_search_all (title_norm, body_norm, actions_norm)${parser}`);
+  } catch (e) {
+    console.error("MIGRATION_SEARCH_FULLTEXT_ERR:", e?.message || e);
+  }
+}
+
+/* ------------------------------- MIGRATIONS ------------------------------- */
+// هر مرحله‌ی up یک دستور SQL یا تابع async است.
+// ترتیب مهم است؛ موارد جدید فقط به انتهای آرایه اضافه شوند و شناسه‌ی قبلی‌ها تغییر نکند.
+const MIGRATIONS = [
+  {
+    id: "001_auth_refresh_tokens",
+    up: [
+      `CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+         jti           CHAR(36)     NOT NULL PRIMARY KEY,
+         family_id     CHAR(36)     NOT NULL,
+         user_id       INT          NOT NULL,
+         expires_at    DATETIME     NOT NULL,
+         created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         used_at       DATETIME     NULL,
+         replaced_by   CHAR(36)     NULL,
+         revoked_at    DATETIME     NULL,
+         revoke_reason VARCHAR(32)  NULL,
+         KEY idx_refresh_family (family_id),
+         KEY idx_refresh_user (user_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "002_auth_sessions",
+    up: [
+      `CREATE TABLE IF NOT EXISTS auth_sessions (
+         id            CHAR(36)     NOT NULL PRIMARY KEY,
+         user_id       INT          NOT NULL,
+         device        VARCHAR(100) NULL,
+         ip            VARCHAR(64)  NULL,
+         user_agent    VARCHAR(255) NULL,
+         created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         last_seen_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         revoked_at    DATETIME     NULL,
+         revoke_reason VARCHAR(32)  NULL,
+         revoked_by    INT          NULL,
+         KEY idx_sessions_user (user_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "003_auth_login_failures",
+    up: [
+      `CREATE TABLE IF NOT EXISTS auth_login_failures (
+         username        VARCHAR(100) NOT NULL PRIMARY KEY,
+         failed_count    INT          NOT NULL DEFAULT 0,
+         last_failed_at  DATETIME     NOT NULL,
+         next_attempt_at DATETIME     NULL,
+         locked_until    DATETIME     NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "004_user_mfa",
+    up: [
+      `CREATE TABLE IF NOT EXISTS user_mfa (
+         user_id        INT         NOT NULL PRIMARY KEY,
+         secret         VARCHAR(64) NOT NULL,
+         enabled        TINYINT(1)  NOT NULL DEFAULT 0,
+         last_used_step BIGINT      NULL,
+         created_at     DATETIME    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         confirmed_at   DATETIME    NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+         id         INT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         user_id    INT       NOT NULL,
+         code_hash  CHAR(64)  NOT NULL,
+         created_at DATETIME  NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         used_at    DATETIME  NULL,
+         KEY idx_mfa_codes_user (user_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "005_users_auth_source",
+    up: [
+      `ALTER TABLE users ADD COLUMN auth_source VARCHAR(16) NOT NULL DEFAULT 'local'`,
+    ],
+  },
+  {
+    id: "006_password_history",
+    up: [
+      `CREATE TABLE IF NOT EXISTS password_history (
+         id            INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         user_id       INT          NOT NULL,
+         password_hash VARCHAR(255) NOT NULL,
+         created_at    DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         KEY idx_password_history_user (user_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "007_users_temp_password",
+    up: [
+      `ALTER TABLE users
+         ADD COLUMN must_change_password     TINYINT(1) NOT NULL DEFAULT 0,
+         ADD COLUMN temp_password_expires_at DATETIME   NULL`,
+    ],
+  },
+  {
+    id: "008_password_grace_and_notifications",
+    up: [
+      `ALTER TABLE users ADD COLUMN password_grace_used INT NOT NULL DEFAULT 0`,
+      `ALTER TABLE auth_sessions ADD COLUMN password_grace TINYINT(1) NOT NULL DEFAULT 0`,
+      `CREATE TABLE IF NOT EXISTS notifications (
+         id         INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         user_id    INT          NOT NULL,
+         type       VARCHAR(50)  NOT NULL,
+         title      VARCHAR(255) NOT NULL,
+         body       TEXT         NULL,
+         link       VARCHAR(255) NULL,
+         created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         read_at    DATETIME     NULL,
+         KEY idx_notifications_user (user_id, read_at)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "009_api_keys",
+    up: [
+      `CREATE TABLE IF NOT EXISTS api_keys (
+         id           INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         name         VARCHAR(100) NOT NULL,
+         prefix       CHAR(12)     NOT NULL,
+         key_hash     CHAR(64)     NOT NULL,
+         scopes       VARCHAR(500) NOT NULL,
+         user_id      INT          NOT NULL,
+         created_by   INT          NULL,
+         created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         expires_at   DATETIME     NULL,
+         last_used_at DATETIME     NULL,
+         last_used_ip VARCHAR(64)  NULL,
+         revoked_at   DATETIME     NULL,
+         revoked_by   INT          NULL,
+         UNIQUE KEY uq_api_keys_prefix (prefix)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "010_incidents_edit_withdraw_delete",
+    up: [
+      `ALTER TABLE incidents
+         ADD COLUMN updated_by      INT          NULL,
+         ADD COLUMN withdrawn_at    DATETIME     NULL,
+         ADD COLUMN withdrawn_by    INT          NULL,
+         ADD COLUMN withdraw_reason VARCHAR(500) NULL,
+         ADD COLUMN deleted_at      DATETIME     NULL,
+         ADD COLUMN deleted_by      INT          NULL,
+         ADD KEY idx_incidents_deleted (deleted_at)`,
+    ],
+  },
+  {
+    id: "011_incident_revisions",
+    up: [
+      // فقط‌افزودنی: برنامه هیچ‌گاه UPDATE/DELETE روی این جدول اجرا نمی‌کند
+      `CREATE TABLE IF NOT EXISTS incident_revisions (
+         id           BIGINT      NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         incident_id  INT         NOT NULL,
+         entity       VARCHAR(16) NOT NULL,
+         entity_id    INT         NOT NULL,
+         op           VARCHAR(16) NOT NULL,
+         changes      JSON        NOT NULL,
+         actor_id     INT         NULL,
+         actor_key_id INT         NULL,
+         created_at   DATETIME(3) NOT NULL,
+         KEY idx_incident_revisions_incident (incident_id, created_at)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    id: "012_audit_log",
+    up: [
+      // details متن JSON است (نه ستون JSON) تا بایت‌به‌بایت همان چیزی بماند که hash شده است
+      `CREATE TABLE IF NOT EXISTS audit_log (
+         id             BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         created_at     DATETIME(3)  NOT NULL,
+         actor_id       INT          NULL,
+         actor_username VARCHAR(100) NULL,
+         api_key_id     INT          NULL,
+         ip             VARCHAR(64)  NULL,
+         user_agent     VARCHAR(255) NULL,
+         action         VARCHAR(64)  NOT NULL,
+         target_type    VARCHAR(32)  NULL,
+         target_id      VARCHAR(64)  NULL,
+         outcome        VARCHAR(16)  NOT NULL,
+         details        TEXT         NULL,
+         prev_hash      CHAR(64)     NOT NULL,
+         hash           CHAR(64)     NOT NULL,
+         KEY idx_audit_created (created_at),
+         KEY idx_audit_action (action),
+         KEY idx_audit_actor (actor_id),
+         KEY idx_audit_target (target_type, target_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS audit_chain_head (
+         id        TINYINT  NOT NULL PRIMARY KEY,
+         last_id   BIGINT   NOT NULL,
+         last_hash CHAR(64) NOT NULL
+       ) ENGINE=InnoDB`,
+      `INSERT IGNORE INTO audit_chain_head (id, last_id, last_hash) VALUES (1, 0, REPEAT('0', 64))`,
+    ],
+  },
+  {
+    // ایندکس‌های مرتب‌سازی/فیلتر فهرست حوادث و آخرین اقدام هر حادثه
+    id: "013_incident_list_indexes",
+    up: [
+      `ALTER TABLE actions ADD KEY idx_actions_incident_id (incident_id, id)`,
+      `ALTER TABLE incidents
+         ADD KEY idx_incidents_submission (submission_date),
+         ADD KEY idx_incidents_resolved (resolved_at),
+         ADD KEY idx_incidents_priority (priority_id),
+         ADD KEY idx_incidents_status (status_id),
+         ADD KEY idx_incidents_reporter (reporter_id)`,
+    ],
+  },
+  {
+    // سند جستجوی نرمال‌شده‌ی هر حادثه (عنوان، شرح، اقدامات) با FULLTEXT (پارسر ngram در صورت وجود)؛
+    // اسناد موجود را کار پس‌زمینه‌ی search_index می‌سازد
+    id: "014_incident_search_docs",
+    up: [
+      `CREATE TABLE IF NOT EXISTS incident_search_docs (
+         incident_id  INT          NOT NULL PRIMARY KEY,
+         title_norm   VARCHAR(512) NOT NULL DEFAULT '',
+         body_norm    MEDIUMTEXT   NULL,
+         actions_norm MEDIUMTEXT   NULL,
+         indexed_at   DATETIME     NOT NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      addSearchFulltext,
+    ],
+  },
+  {
+    id: "015_incident_views",
+    up: [
+      `CREATE TABLE IF NOT EXISTS incident_views (
+         id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         owner_id    INT          NOT NULL,
+         name        VARCHAR(100) NOT NULL,
+         params      TEXT         NOT NULL,
+         shared_role VARCHAR(32)  NULL,
+         created_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at  DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         KEY idx_views_owner (owner_id),
+         KEY idx_views_shared (shared_role)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS incident_view_defaults (
+         user_id INT NOT NULL PRIMARY KEY,
+         view_id INT NOT NULL,
+         KEY idx_view_defaults_view (view_id)
+       ) ENGINE=InnoDB`,
+    ],
+  },
+  {
+    id: "016_incident_attachments",
+    up: [
+      `CREATE TABLE IF NOT EXISTS incident_attachments (
+         id            INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         incident_id   INT          NOT NULL,
+         original_name VARCHAR(255) NOT NULL,
+         mime          VARCHAR(127) NOT NULL,
+         size          BIGINT       NOT NULL DEFAULT 0,
+         storage_key   VARCHAR(255) NOT NULL,
+         uploaded_by   INT          NULL,
+         uploaded_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE KEY uq_attachments_key (storage_key),
+         KEY idx_attachments_incident (incident_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    // زنجیره‌ی نگهداری شواهد: hash هر فایل هنگام دریافت و رویدادهای دسترسی به هر فایل.
+    // رویدادها به پیوست FK ندارند تا پس از حذف پیوست هم باقی بمانند.
+    id: "017_attachment_custody",
+    up: [
+      `ALTER TABLE incident_attachments ADD COLUMN sha256 CHAR(64) NULL AFTER size`,
+      `CREATE TABLE IF NOT EXISTS attachment_custody_events (
+         id             BIGINT       NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         attachment_id  INT          NOT NULL,
+         incident_id    INT          NOT NULL,
+         event          VARCHAR(16)  NOT NULL,
+         actor_id       INT          NULL,
+         actor_username VARCHAR(100) NULL,
+         api_key_id     INT          NULL,
+         ip             VARCHAR(64)  NULL,
+         sha256         CHAR(64)     NULL,
+         details        TEXT         NULL,
+         created_at     DATETIME(3)  NOT NULL,
+         KEY idx_custody_attachment (attachment_id, id),
+         KEY idx_custody_incident (incident_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    // گفتگوی حادثه: دیدگاه‌های قابل‌مشاهده برای گزارش‌دهنده و ادمین‌ها، و یادداشت‌های داخلی فقط برای ادمین‌ها
+    id: "018_incident_comments",
+    up: [
+      `CREATE TABLE IF NOT EXISTS incident_comments (
+         id          INT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         incident_id INT        NOT NULL,
+         author_id   INT        NOT NULL,
+         body        TEXT       NOT NULL,
+         internal    TINYINT(1) NOT NULL DEFAULT 0,
+         created_at  DATETIME   NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         edited_at   DATETIME   NULL,
+         deleted_at  DATETIME   NULL,
+         deleted_by  INT        NULL,
+         KEY idx_comments_incident (incident_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS incident_comment_mentions (
+         comment_id INT NOT NULL,
+         user_id    INT NOT NULL,
+         PRIMARY KEY (comment_id, user_id),
+         KEY idx_comment_mentions_user (user_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    // مسئول رسیدگی: ادمین و تیم هر حادثه، تاریخچه‌ی واگذاری‌ها و قواعد واگذاری خودکار (نوبتی)
+    id: "019_incident_assignment",
+    up: [
+      `ALTER TABLE incidents
+         ADD COLUMN assignee_id INT      NULL,
+         ADD COLUMN team_id     INT      NULL,
+         ADD COLUMN assigned_at DATETIME NULL,
+         ADD KEY idx_incidents_assignee (assignee_id),
+         ADD KEY idx_incidents_team (team_id)`,
+      `CREATE TABLE IF NOT EXISTS teams (
+         id          INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         name        VARCHAR(255) NOT NULL,
+         category_id INT          NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS team_members (
+         team_id INT NOT NULL,
+         user_id INT NOT NULL,
+         PRIMARY KEY (team_id, user_id),
+         KEY idx_team_members_user (user_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS incident_assignments (
+         id               INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         incident_id      INT          NOT NULL,
+         assignee_id      INT          NULL,
+         team_id          INT          NULL,
+         prev_assignee_id INT          NULL,
+         prev_team_id     INT          NULL,
+         source           VARCHAR(16)  NOT NULL DEFAULT 'manual',
+         rule_id          INT          NULL,
+         note             VARCHAR(500) NULL,
+         assigned_by      INT          NULL,
+         created_at       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         KEY idx_assignments_incident (incident_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS assignment_rules (
+         id           INT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         category_id  INT        NULL,
+         location_id  INT        NULL,
+         team_id      INT        NOT NULL,
+         enabled      TINYINT(1) NOT NULL DEFAULT 1,
+         last_user_id INT        NULL,
+         created_at   DATETIME   NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at   DATETIME   NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    // SLA: اهداف اولین پاسخ و حل به ازای درجه ریسک (و در صورت نیاز دسته‌بندی)، ساعات کاری هفته‌ی ایرانی
+    // (شنبه تا چهارشنبه کامل، پنج‌شنبه نیمه‌وقت) و تعطیلات؛ نقض‌ها توسط کار پس‌زمینه روی حادثه علامت می‌خورند.
+    id: "020_sla",
+    up: [
+      `CREATE TABLE IF NOT EXISTS sla_policies (
+         id                     INT        NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         priority_id            INT        NOT NULL,
+         category_id            INT        NULL,
+         first_response_minutes INT        NULL,
+         resolution_minutes     INT        NULL,
+         business_hours         TINYINT(1) NOT NULL DEFAULT 1,
+         created_at             DATETIME   NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at             DATETIME   NULL,
+         KEY idx_sla_policies_priority (priority_id, category_id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      // weekday مانند Date.getDay(): 0 یکشنبه … 5 جمعه، 6 شنبه؛ روز بدون ردیف تعطیل است
+      `CREATE TABLE IF NOT EXISTS business_hours (
+         weekday      TINYINT  NOT NULL PRIMARY KEY,
+         start_minute SMALLINT NOT NULL,
+         end_minute   SMALLINT NOT NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `INSERT IGNORE INTO business_hours (weekday, start_minute, end_minute) VALUES
+         (6, 480, 960), (0, 480, 960), (1, 480, 960), (2, 480, 960), (3, 480, 960), (4, 480, 720)`,
+      `CREATE TABLE IF NOT EXISTS holidays (
+         day  DATE         NOT NULL PRIMARY KEY,
+         name VARCHAR(255) NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `ALTER TABLE incidents
+         ADD COLUMN sla_first_response_breached_at DATETIME NULL,
+         ADD COLUMN sla_resolution_breached_at     DATETIME NULL`,
+    ],
+  },
+  {
+    // موتور تشدید: قواعد (شرط‌ها و اثرها به صورت JSON)، سابقه‌ی اجرای هر قاعده روی هر حادثه،
+    // و علامت اقدام سیستمی برای رویدادهای خودکار خط زمانی
+    id: "021_escalation_rules",
+    up: [
+      `ALTER TABLE actions ADD COLUMN is_system TINYINT(1) NOT NULL DEFAULT 0`,
+      `CREATE TABLE IF NOT EXISTS escalation_rules (
+         id               INT          NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         name             VARCHAR(255) NOT NULL,
+         enabled          TINYINT(1)   NOT NULL DEFAULT 1,
+         conditions       JSON         NOT NULL,
+         effects          JSON         NOT NULL,
+         cooldown_minutes INT          NULL,
+         created_by       INT          NULL,
+         created_at       DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         updated_at       DATETIME     NULL
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+      `CREATE TABLE IF NOT EXISTS escalation_firings (
+         id          BIGINT      NOT NULL AUTO_INCREMENT PRIMARY KEY,
+         rule_id     INT         NOT NULL,
+         incident_id INT         NOT NULL,
+         source      VARCHAR(16) NOT NULL,
+         results     JSON        NOT NULL,
+         fired_at    DATETIME    NOT NULL,
+         KEY idx_firings_rule_incident (rule_id, incident_id, fired_at),
+         KEY idx_firings_incident (incident_id, id)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+    ],
+  },
+  {
+    // ترتیب شدت درجه‌های ریسک (بزرگ‌تر = شدیدتر) برای اثر raise_priority؛ تا تعیین نشود خالی است
+    id: "022_priority_severity",
+    up: [
+      `ALTER TABLE priorities ADD COLUMN severity INT NULL`,
+    ],
+  },
+];
+
+/* --------------------------------- RUNNER --------------------------------- */
+async function ensureMigrationsTable() {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       id         VARCHAR(100) NOT NULL PRIMARY KEY,
+       applied_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+  );
+}
+
+export async function runMigrations() {
+  await ensureMigrationsTable();
+  const [rows] = await pool.query("SELECT id FROM schema_migrations");
+  const applied = new Set(rows.map(r => r.id));
+
+  for (const m of MIGRATIONS) {
+    if (applied.has(m.id)) continue;
+    for (const step of m.up) {
+      if (typeof step === "function") await step();
+      else await pool.query(step);
+    }
+    await pool.query("INSERT INTO schema_migrations (id, applied_at) VALUES (?, NOW())", [m.id]);
+    console.log("🗄  migration applied:", m.id);
+  }
+}
+
+export default runMigrations;
@@ -0,0 +1,8 @@
+// backend/src/jobs/escalation.js
+// ارزیابی دوره‌ای قواعد تشدید روی حوادث باز (شرط‌های وابسته به زمان مثل سن، بی‌اقدامی و SLA)
+import { runEscalationScan } from "../utils/escalation.js";
+
+export async function runEscalation() {
+  const count = await runEscalationScan();
+  if (count) console.log(`⚠️  Escalation: ${count} rule firing(s)`);
+}
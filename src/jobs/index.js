@@ -0,0 +1,22 @@
+// backend/src/jobs/index.js
+// ثبت همه‌ی کارهای پس‌زمینه؛ از server.js پس از بالا آمدن سرور فراخوانی می‌شود
+import { scheduleDaily, scheduleEvery } from "../utils/scheduler.js";
+import { runPasswordExpiryReport } from "./passwordExpiryReport.js";
+import { runSearchIndex } from "./searchIndex.js";
+import { runSlaBreach } from "./slaBreach.js";
+import { runEscalation } from "./escalation.js";
+import { registerEscalationListener } from "../utils/escalation.js";
+
+export function startJobs() {
+  if (process.env.JOBS_DISABLED === "true") return;
+  scheduleDaily("password_expiry_report", process.env.PASSWORD_EXPIRY_REPORT_AT || "07:00", runPasswordExpiryReport);
+  const reindexMinutes = Number(process.env.SEARCH_REINDEX_MINUTES || 15);
+  scheduleEvery("search_index", reindexMinutes * 60 * 1000, runSearchIndex, { immediate: true });
+  const slaMinutes = Number(process.env.SLA_CHECK_MINUTES || 5);
+  scheduleEvery("sla_breach", slaMinutes * 60 * 1000, runSlaBreach, { immediate: true });
+  const escalationMinutes = Number(process.env.ESCALATION_CHECK_MINUTES || 5);
+  scheduleEvery("escalation", escalationMinutes * 60 * 1000, runEscalation, { immediate: true });
+  registerEscalationListener();
+}
+
+export default startJobs;
@@ -0,0 +1,24 @@
+// backend/src/jobs/passwordExpiryReport.js
+// گزارش روزانه‌ی حساب‌هایی که رمزشان به‌زودی منقضی می‌شود، برای سیستم‌ادمین‌ها
+import { dbListExpiringPasswords } from "../utils/passwordExpiry.js";
+import { notifyRole } from "../utils/notifications.js";
+
+export async function runPasswordExpiryReport() {
+  const rows = await dbListExpiringPasswords();
+  if (!rows.length) return;
+
+  const expired  = rows.filter(r => r.expired);
+  const expiring = rows.filter(r => !r.expired);
+  const lines = [
+    ...expiring.map(r => `${r.username} (${r.fullname || "-"}): ${r.days_remaining} روز`),
+    ...expired.map(r => `${r.username} (${r.fullname || "-"}): منقضی شده`),
+  ];
+
+  await notifyRole("system-admin", {
+    type: "password_expiry_report",
+    title: `انقضای رمز: ${expiring.length} حساب نزدیک به انقضا، ${expired.length} حساب منقضی`,
+    body: lines.join("\n"),
+    link: "/api/users/password-expiry",
+  });
+  console.log(`🔑 password expiry report: ${expiring.length} expiring, ${expired.length} expired`);
+}
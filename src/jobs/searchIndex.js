@@ -0,0 +1,8 @@
+// backend/src/jobs/searchIndex.js
+// ساخت اسناد جستجوی حوادثی که سند ندارند (داده‌های قبلی) یا بیرون از برنامه تغییر کرده‌اند
+import { reindexStale } from "../utils/search.js";
+
+export async function runSearchIndex() {
+  const count = await reindexStale();
+  if (count) console.log(`🔎 search index: ${count} incident(s) indexed`);
+}
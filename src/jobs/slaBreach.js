@@ -0,0 +1,8 @@
+// backend/src/jobs/slaBreach.js
+// علامت‌گذاری حوادث بازی که از هدف SLA (اولین پاسخ یا حل) گذشته‌اند و اعلان به مسئول/ادمین‌ها
+import { flagSlaBreaches } from "../utils/sla.js";
+
+export async function runSlaBreach() {
+  const count = await flagSlaBreaches();
+  if (count) console.log(`⏱  SLA: ${count} new breach(es) flagged`);
+}
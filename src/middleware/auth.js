@@ -1,37 +1,10 @@
 // backend/src/middleware/auth.js
-import jwt from "jsonwebtoken";
 import { pool } from "../config/db.js";
-
-/* ============== تشخیص محیط ============== */
-const isProd = process.env.NODE_ENV === "production";
-
-/* ============== کاندیدهای Secret (سازگار با کد قبلی) ============== */
-/* dev_access_secret_change_me فقط در حالت توسعه به آرایه اضافه می‌شود */
-const CANDIDATE_ACCESS_SECRETS = [
-  process.env.JWT_ACCESS_SECRET,
-  process.env.JWT_SECRET,
-  process.env.ACCESS_SECRET,
-  !isProd && "dev_access_secret_change_me", // فقط برای توسعه
-].filter(Boolean);
-
-/* اگر در پروڈاکشن هیچ سکرتی تنظیم نشده باشد، خطای واضح بده */
-if (isProd && CANDIDATE_ACCESS_SECRETS.length === 0) {
-  throw new Error("No JWT secret configured in production.");
-}
-
-/* ============== Verify با هر secret موجود ============== */
-function verifyWithAnySecret(token) {
-  let lastErr = null;
-  for (const sec of CANDIDATE_ACCESS_SECRETS) {
-    try {
-      return jwt.verify(token, sec);
-    } catch (e) {
-      lastErr = e;
-    }
-  }
-  if (lastErr) throw lastErr;
-  throw new Error("No JWT secret configured.");
-}
+import { dbGetSession, dbTouchSession } from "../utils/sessions.js";
+import { isMfaEnabled, isMfaRequiredForRole } from "../utils/mfa.js";
+import { getPasswordExpiryInfo } from "../utils/passwordExpiry.js";
+import { extractApiKey, verifyApiKey, scopeAllows } from "../utils/apiKeys.js";
+import { verifyToken } from "../utils/keyring.js";
 
 /* ============== بارگیری اطلاعات کاربر (در صورت نیاز) ============== */
 async function hydrateUserIfNeeded(payload) {
@@ -54,21 +27,18 @@ async function hydrateUserIfNeeded(payload) {
   }
 }
 
-/* ============== سیاست انقضای رمز (قابل تنظیم) ============== */
-const PASSWORD_MAX_AGE_DAYS = Number(process.env.PASSWORD_MAX_AGE_DAYS || 90);
-
+/* ============== سیاست انقضای رمز (قابل تنظیم در utils/passwordExpiry) ============== */
 async function checkPasswordExpiry(userId, role) {
-  if (String(role).toLowerCase() === "system-admin") return { expired: false };
   const [[row]] = await pool.query(
-    "SELECT password_changed_at FROM users WHERE id = ? LIMIT 1",
+    `SELECT password_changed_at, auth_source, must_change_password, password_grace_used
+     FROM users WHERE id = ? LIMIT 1`,
     [userId]
   );
-  const changedAt = row?.password_changed_at ? new Date(row.password_changed_at) : null;
-  if (!changedAt) return { expired: true, days: 9999 };
-
-  const diffMs = Date.now() - changedAt.getTime();
-  const days = Math.floor(diffMs / (1000 * 60 * 60 * 24));
-  return { expired: days > PASSWORD_MAX_AGE_DAYS, days };
+  const info = getPasswordExpiryInfo(row);
+  // رمز موقت (بازنشانی توسط ادمین) برای همه‌ی نقش‌ها مثل رمز منقضی رفتار می‌کند
+  if (info.must_change) return { expired: true, mustChange: true };
+  if (String(role).toLowerCase() === "system-admin") return { expired: false };
+  return { expired: info.expired, mustChange: false };
 }
 
 /* ============== مسیرهای مجاز هنگام انقضای رمز ============== */
@@ -84,9 +54,63 @@ function isExpiredWhitelist(req) {
   return false;
 }
 
+/* ============== مسیرهای مجاز پیش از فعال‌سازی اجباری MFA ============== */
+function isMfaEnrollWhitelist(req) {
+  const m = (req.method || "GET").toUpperCase();
+  const url = String(
+    req.originalUrl || (req.baseUrl || "") + (req.path || "") || req.url || ""
+  ).toLowerCase().split("?")[0];
+
+  if (m === "GET"  && /\/api\/auth\/me$/.test(url))     return true;
+  if (m === "POST" && /\/api\/auth\/logout$/.test(url)) return true;
+  if (/\/api\/auth\/mfa(\/|$)/.test(url))              return true;
+  return false;
+}
+
+/* ============== کلید API (جایگزین Bearer JWT برای سامانه‌های خودکار) ============== */
+/**
+ * مسیرهایی که کلید API می‌پذیرند باید پیش از auth این middleware را داشته باشند؛
+ * کافی است کلید یکی از دامنه‌های ذکرشده را داشته باشد. بقیه‌ی مسیرها کلید را رد می‌کنند.
+ *   router.post("/", apiKeyScope("incidents:create"), authRequired, ...)
+ */
+export function apiKeyScope(...scopes) {
+  return (req, _res, next) => {
+    req.apiKeyScopes = scopes;
+    next();
+  };
+}
+
+async function authWithApiKey(req, res, next, rawKey) {
+  if (!req.apiKeyScopes?.length) {
+    return res.status(403).json({ message: "این مسیر با کلید API قابل استفاده نیست.", code: "API_KEY_NOT_ALLOWED" });
+  }
+  const r = await verifyApiKey(rawKey, req);
+  if (!r.ok) {
+    const message =
+      r.code === "API_KEY_EXPIRED" ? "کلید API منقضی شده است." :
+      r.code === "API_KEY_REVOKED" ? "کلید API باطل شده است." :
+      r.code === "API_KEY_OWNER_INACTIVE" ? "حساب مرتبط با کلید API غیرفعال است." : "کلید API نامعتبر است.";
+    return res.status(401).json({ message, code: r.code });
+  }
+  const key = r.apiKey;
+  if (!key.username) {
+    return res.status(401).json({ message: "حساب مرتبط با کلید API وجود ندارد.", code: "INVALID_API_KEY" });
+  }
+  if (!req.apiKeyScopes.some(s => scopeAllows(key.scopes, s))) {
+    return res.status(403).json({ message: "کلید API دسترسی لازم را ندارد.", code: "INSUFFICIENT_SCOPE" });
+  }
+
+  req.apiKey = key;
+  req.user = { id: key.user_id, username: key.username, fullname: key.name, role: "api-key" };
+  return next();
+}
+
 /* ============== Middleware اصلی ============== */
 export async function auth(req, res, next) {
   try {
+    const rawKey = extractApiKey(req);
+    if (rawKey) return await authWithApiKey(req, res, next, rawKey);
+
     const authH = String(req.headers?.authorization || "");
     const token = authH.startsWith("Bearer ") ? authH.slice(7) : null;
 
@@ -96,7 +120,7 @@ export async function auth(req, res, next) {
 
     let payload;
     try {
-      payload = verifyWithAnySecret(token);
+      payload = verifyToken("access", token); // کلید بر اساس kid (utils/keyring)
     } catch (e) {
       const isExp = e?.name === "TokenExpiredError";
       return res.status(401).json({
@@ -105,6 +129,23 @@ export async function auth(req, res, next) {
       });
     }
 
+    // توکن‌های با typ (مثل mfa_pending یا refresh) access token نیستند
+    if (payload?.typ && payload.typ !== "access") {
+      return res.status(401).json({ message: "توکن نامعتبر است.", code: "INVALID_ACCESS" });
+    }
+
+    // توکن‌های دارای sid به نشست دیتابیس گره خورده‌اند؛ نشست باطل‌شده = توکن نامعتبر
+    // (توکن‌های قدیمی بدون sid تا پایان عمر کوتاهشان پذیرفته می‌شوند)
+    let session = null;
+    if (payload?.sid) {
+      session = await dbGetSession(payload.sid);
+      if (!session || session.revoked_at || Number(session.user_id) !== Number(payload.id)) {
+        return res.status(401).json({ message: "نشست باطل شده است. دوباره وارد شوید.", code: "SESSION_REVOKED" });
+      }
+      req.sessionId = session.id;
+      dbTouchSession(session.id).catch(e => console.error("SESSION_TOUCH_ERR:", e));
+    }
+
     const hydrated = await hydrateUserIfNeeded(payload);
     req.user = {
       id: hydrated.id,
@@ -113,11 +154,23 @@ export async function auth(req, res, next) {
       role: hydrated.role || payload.role || "user",
     };
 
-    const { expired } = await checkPasswordExpiry(req.user.id, req.user.role);
-    if (expired && !isExpiredWhitelist(req)) {
+    const { expired, mustChange } = await checkPasswordExpiry(req.user.id, req.user.role);
+    // نشستی که با «ورود مهلت» ساخته شده تا تغییر رمز کار می‌کند
+    const graceSession = !mustChange && Number(session?.password_grace) === 1;
+    if (expired && !graceSession && !isExpiredWhitelist(req)) {
       return res.status(403).json({
-        message: "رمز شما منقضی شده است. لطفاً ابتدا رمز را تغییر دهید.",
+        message: mustChange
+          ? "رمز شما موقت است. لطفاً ابتدا رمز جدید تعیین کنید."
+          : "رمز شما منقضی شده است. لطفاً ابتدا رمز را تغییر دهید.",
         code: "PASSWORD_EXPIRED",
+        ...(mustChange ? { reason: "MUST_CHANGE" } : {}),
+      });
+    }
+
+    if (isMfaRequiredForRole(req.user.role) && !isMfaEnrollWhitelist(req) && !(await isMfaEnabled(req.user.id))) {
+      return res.status(403).json({
+        message: "برای نقش شما فعال‌سازی ورود دومرحله‌ای الزامی است.",
+        code: "MFA_ENROLLMENT_REQUIRED",
       });
     }
 
@@ -145,4 +198,4 @@ export function allowRoles(...roles) {
   };
 }
 
-export default { auth, allowRoles };
+export default { auth, allowRoles, apiKeyScope };
@@ -1,6 +1,8 @@
 // backend/src/middleware/upload.js
 import path from "path";
 import fs from "fs";
+import os from "os";
+import { randomUUID } from "crypto";
 import multer from "multer";
 
 // تعیین مسیر ذخیره‌سازی فایل‌ها:
@@ -18,7 +20,6 @@ export function getFilesDir() {
 }
 
 const FILES_DIR = getFilesDir();
-fs.mkdirSync(FILES_DIR, { recursive: true });
 
 // sanitize نام فایل
 function sanitizeName(n = "") {
@@ -80,7 +81,9 @@ const uploader = multer({
 });
 
 // میدل‌ویر کمکی برای تزریق مسیر فایل‌ها (کنترلرها به req._FILES_DIR دسترسی داشته باشند)
+// پوشه هنگام اولین استفاده ساخته می‌شود (import این فایل برای uploadEvidence پوشه‌ای نمی‌سازد)
 function injectFilesDir(req, _res, next) {
+  fs.mkdirSync(FILES_DIR, { recursive: true });
   req._FILES_DIR = FILES_DIR;
   next();
 }
@@ -97,4 +100,58 @@ export const uploadFile = [
 //   uploader.array("files", 10)
 // ];
 
+/* ------------------------- پیوست‌های حوادث (شواهد) ------------------------- */
+// فایل‌ها در پوشه‌ی موقت روی دیسک نوشته می‌شوند (نه حافظه) و کنترلر آن‌ها را در ذخیره‌ساز شواهد
+// (محلی/Supabase) می‌نویسد؛ فایل‌های موقت پس از پایان پاسخ پاک می‌شوند.
+const EVIDENCE_EXTS = [
+  ".jpg", ".jpeg", ".png", ".gif", ".webp", ".bmp",
+  ".pdf", ".txt", ".log", ".csv", ".json", ".xml",
+  ".evtx", ".pcap", ".pcapng", ".eml", ".msg",
+  ".zip", ".7z", ".rar",
+  ".doc", ".docx", ".xls", ".xlsx",
+  ".mp4", ".mov", ".avi", ".mkv",
+];
+export const EVIDENCE_MAX_FILES = 10;
+const EVIDENCE_MAX_BYTES = Number(process.env.EVIDENCE_MAX_MB || 25) * 1024 * 1024;
+const EVIDENCE_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), "evidence-uploads");
+
+const evidenceUploader = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => {
+      fs.mkdir(EVIDENCE_TMP_DIR, { recursive: true }, (err) => cb(err, EVIDENCE_TMP_DIR));
+    },
+    filename: (_req, _file, cb) => cb(null, randomUUID()),
+  }),
+  limits: { fileSize: EVIDENCE_MAX_BYTES, files: EVIDENCE_MAX_FILES },
+  fileFilter: (_req, file, cb) => {
+    const ext = (path.extname(file.originalname) || "").toLowerCase();
+    if (!EVIDENCE_EXTS.includes(ext)) return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+    cb(null, true);
+  },
+});
+
+function removeTempFiles(files = []) {
+  for (const f of files) if (f?.path) fs.promises.rm(f.path, { force: true }).catch(() => {});
+}
+
+/**
+ * چند فایل در فیلد files؛ خطاهای multer به پاسخ ۴xx فارسی تبدیل می‌شوند.
+ * درخواست‌های غیر multipart بدون تغییر عبور می‌کنند (req.files خالی).
+ * بررسی دسترسی به حادثه باید پیش از این میدل‌ویر انجام شود تا دریافت فایل هزینه‌ای برای درخواست غیرمجاز نداشته باشد.
+ */
+export function uploadEvidence(req, res, next) {
+  evidenceUploader.array("files", EVIDENCE_MAX_FILES)(req, res, (err) => {
+    if (!err) {
+      res.on("close", () => removeTempFiles(req.files));
+      return next();
+    }
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") return res.status(413).json({ message: "حجم فایل بیش از حد مجاز است." });
+      if (err.code === "LIMIT_FILE_COUNT") return res.status(400).json({ message: `حداکثر ${EVIDENCE_MAX_FILES} فایل در هر بار مجاز است.` });
+      if (err.code === "LIMIT_UNEXPECTED_FILE") return res.status(415).json({ message: "نوع فایل مجاز نیست." });
+    }
+    next(err);
+  });
+}
+
 export default uploadFile;
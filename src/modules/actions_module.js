@@ -2,109 +2,26 @@
 import { Router } from "express";
 import { auth as authRequired, allowRoles } from "../middleware/auth.js";
 import { pool } from "../config/db.js";
-import jalaali from "jalaali-js";
+import { withRevision, dbGetSnapshot } from "../utils/revisions.js";
+import { jalaliToGregorian, readDateParam, jalaliOutput } from "../utils/dates.js";
+import { ACTION_SELECT as SELECT_BASE, dbCreateAction, dbMarkResolvedIfClosed } from "../utils/actions.js";
+import { emitIncidentChanged } from "../utils/incidentEvents.js";
+import { reindexIncidentSafe } from "../utils/search.js";
 
 const router = Router();
 
-/* ------------------------------- DATE HELPERS ------------------------------ */
-const pad2 = (n) => (n < 10 ? `0${n}` : String(n));
-
-function toGregorianISO(jalaliDate) {
-  if (!jalaliDate) return null;
-  const m = String(jalaliDate).match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})$/);
-  if (!m) return null;
-  const { gy, gm, gd } = jalaali.toGregorian(Number(m[1]), Number(m[2]), Number(m[3]));
-  return `${gy}-${pad2(gm)}-${pad2(gd)}`;
-}
-
 /* ---------------------------------- MODEL --------------------------------- */
-const SELECT_BASE = `
-  SELECT a.id, a.incident_id, a.description,
-         DATE_FORMAT(a.action_date, '%Y-%m-%d') AS action_date,
-         a.status_id, s.name AS status_name,
-         a.created_by, u.fullname AS admin_fullname,
-         DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at
-  FROM actions a
-  LEFT JOIN statuses s ON s.id = a.status_id
-  LEFT JOIN users u ON u.id = a.created_by
-`;
-
-async function dbListByIncident(incidentId) {
+async function dbListByIncident(incidentId, { from, to } = {}) {
+  const where = ["a.incident_id = ?"], params = [incidentId];
+  if (from) { where.push("a.action_date >= ?"); params.push(from); }
+  if (to)   { where.push("a.action_date <= ?"); params.push(to); }
   const [rows] = await pool.query(
-    SELECT_BASE + " WHERE a.incident_id = ? ORDER BY a.id DESC",
-    [incidentId]
+    SELECT_BASE + ` WHERE ${where.join(" AND ")} ORDER BY a.id DESC`,
+    params
   );
   return rows;
 }
 
-// شمارش اقدامات یک حادثه
-async function dbCountActionsByIncident(incidentId) {
-  const [[row]] = await pool.query(
-    "SELECT COUNT(*) AS c FROM actions WHERE incident_id = ?",
-    [incidentId]
-  );
-  return Number(row?.c || 0);
-}
-
-// ثابت‌های وضعیت مطابق دیتابیس
-const CLOSED_STATUS_ID = 4; // 'حل شده'
-
-// اولین اقدام: ست کردن first_action_at اگر هنوز NULL است (با ساعت واقعی)
-async function dbMarkFirstActionIfNeeded(incidentId) {
-  await pool.query(
-    `UPDATE incidents
-        SET first_action_at = COALESCE(first_action_at, NOW()),
-            updated_at = NOW()
-     WHERE id = ?`,
-    [incidentId]
-  );
-}
-
-// اگر وضعیت حل شد: ست کردن resolved_at (در صورت نداشتن مقدار)
-async function dbMarkResolvedIfClosed(incidentId, statusId) {
-  if (Number(statusId) !== CLOSED_STATUS_ID) return;
-  await pool.query(
-    `UPDATE incidents
-        SET resolved_at = IFNULL(resolved_at, NOW()),
-            updated_at = NOW()
-      WHERE id = ?`,
-    [incidentId]
-  );
-}
-
-async function dbCreateAction({ incident_id, description, action_date, status_id, created_by }) {
-  // سقف ۱۰ اقدام
-  const cnt = await dbCountActionsByIncident(incident_id);
-  if (cnt >= 10) {
-    const err = new Error("برای این حادثه حداکثر ۱۰ اقدام قابل ثبت است.");
-    err.status = 409;
-    throw err;
-  }
-
-  // درج اقدام (اگر تاریخ اقدام ندادی، فقط تاریخ روز ذخیره می‌شود؛ زمان دقیق در created_at است)
-  const [ins] = await pool.query(
-    `INSERT INTO actions (incident_id, description, action_date, status_id, created_by, added_at, created_at)
-     VALUES (?, ?, COALESCE(?, CURDATE()), ?, ?, NOW(), NOW())`,
-    [incident_id, description, action_date || null, status_id || null, created_by || null]
-  );
-  const insertedId = ins.insertId;
-
-  // همگام‌سازی وضعیت Incident
-  if (status_id) {
-    await pool.query(
-      "UPDATE incidents SET status_id = ?, updated_at = NOW() WHERE id = ?",
-      [status_id, incident_id]
-    );
-  }
-
-  // KPI times
-  await dbMarkFirstActionIfNeeded(incident_id); // ← با NOW() پر می‌شود اگر خالی بود
-  if (status_id) await dbMarkResolvedIfClosed(incident_id, status_id);
-
-  const [rows] = await pool.query(SELECT_BASE + " WHERE a.id = ?", [insertedId]);
-  return rows[0];
-}
-
 async function dbUpdateAction(id, { description, action_date, status_id }) {
   const sets = [], params = [];
   if (description !== undefined) { sets.push("description = ?"); params.push(description); }
@@ -146,7 +63,8 @@ async function dbDeleteAction(id) {
 
 async function dbGetIncidentOwnership(incidentId) {
   const [rows] = await pool.query(
-    `SELECT id, reporter_id, category_id FROM incidents WHERE id = ? LIMIT 1`,
+    // حوادث حذف‌شده (نرم) برای اقدامات وجود ندارند
+    `SELECT id, reporter_id, category_id FROM incidents WHERE id = ? AND deleted_at IS NULL LIMIT 1`,
     [incidentId]
   );
   return rows?.[0] || null;
@@ -168,18 +86,21 @@ function canActOnIncident(user, own) {
 
 /* --------------------------------- ROUTES --------------------------------- */
 
-// GET /api/actions/:incidentId
+// GET /api/actions/:incidentId?from=YYYY-MM-DD&to=...|from_jalali=1403-01-01&to_jalali=...&jalali=1
 router.get("/:incidentId", authRequired, async (req, res) => {
   try {
     const incidentId = Number(req.params.incidentId);
     if (!incidentId) return res.status(400).json({ message: "شناسه حادثه نامعتبر است." });
+    const from = readDateParam(req.query || {}, "from");
+    const to = readDateParam(req.query || {}, "to");
+    if (!from.ok || !to.ok) return res.status(400).json({ message: (from.ok ? to : from).message });
 
     const own = await dbGetIncidentOwnership(incidentId);
     if (!own) return res.status(404).json({ message: "حادثه یافت نشد." });
     if (!canReadIncident(req.user, own)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
 
-    const items = await dbListByIncident(incidentId);
-    res.json(Array.isArray(items) ? items : []);
+    const items = await dbListByIncident(incidentId, { from: from.value, to: to.value });
+    res.json(jalaliOutput(req, Array.isArray(items) ? items : []));
   } catch (e) {
     console.error("ACTIONS_LIST_ERR:", e);
     res.status(500).json({ message: "خطا در دریافت اقدامات." });
@@ -200,16 +121,20 @@ router.post("/", authRequired, allowRoles("defense-admin", "system-admin"), asyn
     if (!own) return res.status(404).json({ message: "حادثه یافت نشد." });
     if (!canActOnIncident(req.user, own)) return res.status(403).json({ message: "اجازه ثبت اقدام ندارید." });
 
-    const iso = action_date_jalali ? toGregorianISO(action_date_jalali) : null;
-
-    const created = await dbCreateAction({
-      incident_id: incidentId,
-      description: String(description).trim(),
-      action_date: iso,
-      status_id: status_id ? Number(status_id) : null,
-      created_by: req.user?.id || null,
-    });
-    res.status(201).json(created);
+    const iso = action_date_jalali ? jalaliToGregorian(action_date_jalali) : null;
+
+    // اقدام جدید وضعیت و زمان‌های حادثه را هم تغییر می‌دهد؛ هر دو در تاریخچه ثبت می‌شوند
+    const created = await withRevision(req, { incidentId, entity: "incident", entityId: incidentId, op: "update" },
+      () => withRevision(req, { incidentId, entity: "action", op: "create" }, () => dbCreateAction({
+        incident_id: incidentId,
+        description: String(description).trim(),
+        action_date: iso,
+        status_id: status_id ? Number(status_id) : null,
+        created_by: req.user?.id || null,
+      })));
+    await reindexIncidentSafe(incidentId); // متن اقدام بلافاصله قابل جستجو شود
+    emitIncidentChanged(incidentId, "action.create");
+    res.status(201).json(jalaliOutput(req, created));
   } catch (e) {
     console.error("ACTIONS_CREATE_ERR:", e);
     res.status(500).json({ message: "ثبت اقدام با خطا مواجه شد." });
@@ -227,16 +152,23 @@ router.put("/:id", authRequired, allowRoles("defense-admin", "system-admin"), as
       action_date_jalali === undefined
         ? undefined
         : action_date_jalali
-        ? toGregorianISO(action_date_jalali)
+        ? jalaliToGregorian(action_date_jalali)
         : null;
 
-    const updated = await dbUpdateAction(id, {
-      description: description !== undefined ? String(description).trim() : undefined,
-      action_date: iso,
-      status_id: status_id !== undefined ? (status_id ? Number(status_id) : null) : undefined,
-    });
+    const current = await dbGetSnapshot("action", id);
+    if (!current) return res.status(404).json({ message: "اقدام یافت نشد." });
+    const incidentId = current.incident_id;
+
+    const updated = await withRevision(req, { incidentId, entity: "incident", entityId: incidentId, op: "update" },
+      () => withRevision(req, { incidentId, entity: "action", entityId: id, op: "update" }, () => dbUpdateAction(id, {
+        description: description !== undefined ? String(description).trim() : undefined,
+        action_date: iso,
+        status_id: status_id !== undefined ? (status_id ? Number(status_id) : null) : undefined,
+      })));
+    await reindexIncidentSafe(incidentId);
+    emitIncidentChanged(incidentId, "action.update");
 
-    res.json(updated);
+    res.json(jalaliOutput(req, updated));
   } catch (e) {
     console.error("ACTIONS_UPDATE_ERR:", e);
     res.status(500).json({ message: "ویرایش اقدام با خطا مواجه شد." });
@@ -248,7 +180,9 @@ router.delete("/:id", authRequired, allowRoles("defense-admin", "system-admin"),
   try {
     const id = Number(req.params.id);
     if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
-    await dbDeleteAction(id);
+    const current = await dbGetSnapshot("action", id);
+    await withRevision(req, { entity: "action", entityId: id, op: "delete" }, () => dbDeleteAction(id));
+    emitIncidentChanged(current?.incident_id, "action.delete");
     res.json({ ok: true });
   } catch (e) {
     console.error("ACTIONS_DELETE_ERR:", e);
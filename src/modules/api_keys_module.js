@@ -0,0 +1,79 @@
+// backend/src/modules/api_keys_module.js
+// مدیریت کلیدهای API (فقط سیستم‌ادمین)
+import { Router } from "express";
+import { auth as authRequired, allowRoles } from "../middleware/auth.js";
+import { pool } from "../config/db.js";
+import {
+  API_KEY_SCOPES, normalizeScopes, dbListApiKeys, dbCreateApiKey, dbRevokeApiKey,
+} from "../utils/apiKeys.js";
+import { audit } from "../utils/audit.js";
+
+const router = Router();
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/api-keys
+router.get("/", authRequired, allowRoles("system-admin"), async (_req, res) => {
+  try {
+    const items = await dbListApiKeys();
+    res.json({ scopes: API_KEY_SCOPES, items });
+  } catch (e) {
+    console.error("API_KEYS_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت کلیدهای API." });
+  }
+});
+
+// POST /api/api-keys  { name, scopes: [...], user_id?, expires_in_days? }
+// متن کامل کلید فقط در همین پاسخ برگردانده می‌شود
+router.post("/", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const { name, scopes, user_id, expires_in_days } = req.body || {};
+    const cleanName = String(name || "").trim().slice(0, 100);
+    if (!cleanName) return res.status(400).json({ message: "نام کلید الزامی است." });
+
+    const list = normalizeScopes(scopes);
+    if (!list.length) return res.status(400).json({ message: "حداقل یک دامنه‌ی دسترسی انتخاب کنید." });
+    const unknown = list.filter(s => !API_KEY_SCOPES.includes(s));
+    if (unknown.length) return res.status(400).json({ message: `دامنه‌ی نامعتبر: ${unknown.join(", ")}` });
+
+    // حسابی که رکوردها به نام آن ثبت می‌شوند (پیش‌فرض: سازنده‌ی کلید)
+    const userId = user_id ? Number(user_id) : req.user.id;
+    const [[owner]] = await pool.query("SELECT id, status FROM users WHERE id = ? LIMIT 1", [userId]);
+    if (!owner) return res.status(400).json({ message: "کاربر مرتبط یافت نشد." });
+    if (owner.status !== "active") return res.status(400).json({ message: "کاربر مرتبط غیرفعال است." });
+
+    let expiresAt = null;
+    if (expires_in_days != null && expires_in_days !== "") {
+      const days = Number(expires_in_days);
+      if (!Number.isFinite(days) || days <= 0) return res.status(400).json({ message: "مدت اعتبار نامعتبر است." });
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { key, apiKey } = await dbCreateApiKey({
+      name: cleanName, scopes: list, userId, createdBy: req.user.id, expiresAt,
+    });
+    await audit(req, "api_key.create", {
+      targetType: "api_key", targetId: apiKey.id, details: { name: apiKey.name, scopes: apiKey.scopes, user_id: userId },
+    });
+    res.status(201).json({ ok: true, key, api_key: apiKey, message: "این کلید فقط یک بار نمایش داده می‌شود." });
+  } catch (e) {
+    console.error("API_KEYS_CREATE_ERR:", e);
+    res.status(500).json({ message: "ساخت کلید API با خطا مواجه شد." });
+  }
+});
+
+// DELETE /api/api-keys/:id  (ابطال؛ رکورد برای سابقه باقی می‌ماند)
+router.delete("/:id", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const ok = await dbRevokeApiKey(id, req.user.id);
+    if (!ok) return res.status(404).json({ message: "کلید فعال یافت نشد." });
+    await audit(req, "api_key.revoke", { targetType: "api_key", targetId: id });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("API_KEYS_REVOKE_ERR:", e);
+    res.status(500).json({ message: "ابطال کلید API با خطا مواجه شد." });
+  }
+});
+
+export default router;
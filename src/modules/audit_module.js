@@ -0,0 +1,51 @@
+// backend/src/modules/audit_module.js
+// جستجو و بررسی یکپارچگی لاگ ممیزی (فقط سیستم‌ادمین)
+import { Router } from "express";
+import { auth as authRequired, allowRoles } from "../middleware/auth.js";
+import { dbListAudit, verifyAuditChain, audit } from "../utils/audit.js";
+
+const router = Router();
+
+const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/audit?action=user.&actor=ali&target_type=resource&target_id=12&outcome=failure&from=2025-01-01&to=2025-01-31&page=1&page_size=50
+router.get("/", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const q = req.query || {};
+    if ((q.from && !isDate(q.from)) || (q.to && !isDate(q.to))) {
+      return res.status(400).json({ message: "قالب تاریخ باید YYYY-MM-DD باشد." });
+    }
+    const page = Math.max(1, Number(q.page) || 1);
+    const pageSize = Math.min(200, Math.max(1, Number(q.page_size) || 50));
+
+    const result = await dbListAudit({
+      actor_id: q.actor_id,
+      actor: q.actor ? String(q.actor).trim() : undefined,
+      action: q.action ? String(q.action).trim() : undefined,
+      target_type: q.target_type,
+      target_id: q.target_id,
+      outcome: q.outcome,
+      from: q.from,
+      to: q.to,
+    }, { page, pageSize });
+    res.json(result);
+  } catch (e) {
+    console.error("AUDIT_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت لاگ ممیزی." });
+  }
+});
+
+// GET /api/audit/verify  (بررسی زنجیره‌ی hash از ابتدا)
+router.get("/verify", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    await audit(req, "audit.verify", { outcome: result.ok ? "success" : "failure", details: result });
+    res.json(result);
+  } catch (e) {
+    console.error("AUDIT_VERIFY_ERR:", e);
+    res.status(500).json({ message: "بررسی یکپارچگی لاگ ممیزی با خطا مواجه شد." });
+  }
+});
+
+export default router;
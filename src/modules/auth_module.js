@@ -1,20 +1,37 @@
 // backend/src/modules/auth_module.js
 import { Router } from "express";
 import jwt from "jsonwebtoken";
+import { randomUUID } from "crypto";
 import { pool } from "../config/db.js";
 import { auth as authRequired } from "../middleware/auth.js";
 import { comparePassword, hashPassword } from "../utils/hash.js";
+import { authenticate, verifyUserPassword, isDirectoryUser } from "../utils/authProviders.js";
+import {
+  getPasswordPolicy, validatePassword, policyErrorBody,
+  isPasswordReused, reuseErrorBody, recordPasswordHistory,
+} from "../utils/passwordPolicy.js";
+import { getPasswordExpiryInfo, dbConsumeGraceLogin } from "../utils/passwordExpiry.js";
+import { signToken, verifyToken } from "../utils/keyring.js";
+import { audit } from "../utils/audit.js";
+import {
+  dbCreateSession, dbGetSession, dbListActiveSessions, dbRevokeSession,
+} from "../utils/sessions.js";
+import {
+  checkLoginAllowed, recordLoginFailure, resetLoginFailures, sendLoginBlocked,
+} from "../utils/lockout.js";
+import {
+  dbGetMfa, isMfaEnabled, isMfaRequiredForRole, dbStartMfaEnrollment, dbEnableMfa, dbDeleteMfa,
+  consumeTotp, consumeRecoveryCode, dbRegenerateRecoveryCodes, dbCountRecoveryCodes,
+} from "../utils/mfa.js";
 
 const router = Router();
 
-/* ----------------------------- CONFIG ----------------------------- */
-const PASSWORD_MAX_AGE_DAYS = Number(process.env.PASSWORD_MAX_AGE_DAYS || 90); // 0 = غیرفعال
-
 /* ----------------------------- MODEL ------------------------------ */
 async function dbGetUserByUsername(username) {
   const [rows] = await pool.query(
     `SELECT id, username, fullname, position, role, status,
-            password AS password, password_changed_at
+            password AS password, password_changed_at, auth_source,
+            must_change_password, temp_password_expires_at, password_grace_used
      FROM users WHERE username = ? LIMIT 1`,
     [username]
   );
@@ -23,12 +40,37 @@ async function dbGetUserByUsername(username) {
 async function dbGetUserById(id) {
   const [rows] = await pool.query(
     `SELECT id, username, fullname, position, role, status,
-            password AS password, password_changed_at
+            password AS password, password_changed_at, auth_source,
+            must_change_password, temp_password_expires_at, password_grace_used
      FROM users WHERE id = ? LIMIT 1`,
     [id]
   );
   return rows?.[0] || null;
 }
+async function dbInsertRefreshToken({ jti, familyId, userId, expiresAt }) {
+  await pool.query(
+    `INSERT INTO auth_refresh_tokens (jti, family_id, user_id, expires_at, created_at)
+     VALUES (?, ?, ?, ?, NOW())`,
+    [jti, familyId, userId, expiresAt]
+  );
+}
+async function dbGetRefreshToken(jti) {
+  const [rows] = await pool.query(
+    `SELECT jti, family_id, user_id, expires_at, used_at, replaced_by, revoked_at
+     FROM auth_refresh_tokens WHERE jti = ? LIMIT 1`,
+    [jti]
+  );
+  return rows?.[0] || null;
+}
+// فقط اگر قبلاً مصرف نشده باشد علامت می‌زند؛ در صورت رقابت دو درخواست، فقط یکی موفق می‌شود
+async function dbMarkRefreshUsed(jti, replacedBy) {
+  const [res] = await pool.query(
+    `UPDATE auth_refresh_tokens SET used_at = NOW(), replaced_by = ?
+     WHERE jti = ? AND used_at IS NULL AND revoked_at IS NULL`,
+    [replacedBy, jti]
+  );
+  return res.affectedRows === 1;
+}
 function buildUserPayload(u) {
   return {
     id: u.id,
@@ -41,34 +83,40 @@ function buildUserPayload(u) {
 }
 
 /* --------------------------- PASSWORD AGE -------------------------- */
-function isPasswordExpired(user) {
-  try {
-    if (!PASSWORD_MAX_AGE_DAYS || PASSWORD_MAX_AGE_DAYS <= 0) return false;
-    const ts = user?.password_changed_at;
-    // اگر هرگز تغییر داده نشده باشد، از created_at اگر دارید استفاده کنید، وگرنه منقضی فرض کن
-    const base = ts ? new Date(ts) : null;
-    if (!base || isNaN(base.getTime())) return true;
-    const now = new Date();
-    const diffMs = now - base;
-    const diffDays = diffMs / (1000 * 60 * 60 * 24);
-    return diffDays > PASSWORD_MAX_AGE_DAYS;
-  } catch {
-    return false;
+// ورود مهلت فقط برای رمز منقضی‌شده (نه رمز موقت ادمین) و تا سقف تعیین‌شده
+const canUseGrace = (expiry) => expiry.expired && !expiry.must_change && expiry.grace_logins_remaining > 0;
+
+/** رمز موقتی که مهلت استفاده‌اش گذشته است (فقط ادمین می‌تواند دوباره صادر کند) */
+function isTempPasswordExpired(user) {
+  if (!Number(user?.must_change_password) || !user?.temp_password_expires_at) return false;
+  return new Date(user.temp_password_expires_at).getTime() < Date.now();
+}
+
+function passwordExpiredBody(user) {
+  if (isTempPasswordExpired(user)) {
+    return {
+      ok: false,
+      code: "TEMP_PASSWORD_EXPIRED",
+      message: "مهلت رمز موقت به پایان رسیده است. برای دریافت رمز جدید با مدیر سامانه تماس بگیرید."
+    };
   }
+  if (Number(user?.must_change_password)) {
+    return {
+      ok: false,
+      code: "PASSWORD_EXPIRED",
+      reason: "MUST_CHANGE",
+      message: "رمز شما موقت است. لطفاً ابتدا رمز جدید تعیین کنید."
+    };
+  }
+  return {
+    ok: false,
+    code: "PASSWORD_EXPIRED",
+    message: "رمز شما منقضی شده است. لطفاً ابتدا رمز را تغییر دهید."
+  };
 }
 
 /* ------------------------------ TOKENS ------------------------------ */
-const ACCESS_SECRET =
-  process.env.JWT_ACCESS_SECRET ||
-  process.env.JWT_SECRET ||
-  process.env.ACCESS_SECRET ||
-  "dev_access_secret_change_me";
-
-const REFRESH_SECRET =
-  process.env.JWT_REFRESH_SECRET ||
-  process.env.REFRESH_SECRET ||
-  "dev_refresh_secret_change_me";
-
+// کلیدهای امضا و چرخش آن‌ها در utils/keyring.js
 /** سازگاری با نام‌های مختلف env */
 function readExp(namePrimary, nameCompat, fallback) {
   return process.env[namePrimary] || process.env[nameCompat] || fallback;
@@ -76,8 +124,52 @@ function readExp(namePrimary, nameCompat, fallback) {
 const ACCESS_EXPIRES  = readExp("JWT_ACCESS_EXPIRES",  "JWT_ACCESS_TTL",  "30m");
 const REFRESH_EXPIRES = readExp("JWT_REFRESH_EXPIRES", "JWT_REFRESH_TTL", "30m");
 
-const signAccess  = (payload) => jwt.sign(payload, ACCESS_SECRET,  { expiresIn: ACCESS_EXPIRES });
-const signRefresh = (payload) => jwt.sign(payload, REFRESH_SECRET, { expiresIn: REFRESH_EXPIRES });
+const MFA_PENDING_EXPIRES = readExp("MFA_PENDING_EXPIRES", "MFA_PENDING_TTL", "5m");
+
+const signAccess  = (payload) => signToken("access", payload, { expiresIn: ACCESS_EXPIRES });
+// توکن مرحله‌ی اول ورود دومرحله‌ای؛ middleware آن را به‌عنوان access نمی‌پذیرد (typ)
+const signMfaPending = (userId) => signToken("access", { id: userId, typ: "mfa_pending" }, { expiresIn: MFA_PENDING_EXPIRES });
+const signRefresh = (payload, jti) => signToken("refresh", payload, { expiresIn: REFRESH_EXPIRES, jwtid: jti });
+
+/**
+ * صدور جفت توکن؛ refresh در دیتابیس ثبت می‌شود تا قابل چرخش و ابطال باشد.
+ * sessionId همان خانواده‌ی refresh token هاست (هر refresh عضو جدید همان خانواده است)
+ * و در access token به‌صورت sid می‌آید تا middleware بتواند نشست باطل‌شده را رد کند.
+ */
+async function issueTokens(user, { sessionId, jti = randomUUID() }) {
+  const payload = buildUserPayload(user);
+  const accessToken  = signAccess({ ...payload, sid: sessionId });
+  const refreshToken = signRefresh({ id: user.id, fam: sessionId, typ: "refresh" }, jti);
+  const { exp } = jwt.decode(refreshToken);
+  await dbInsertRefreshToken({ jti, familyId: sessionId, userId: user.id, expiresAt: new Date(exp * 1000) });
+  return { accessToken, refreshToken, payload };
+}
+
+/**
+ * پایان موفق ورود: اعمال ورود مهلت (در صورت انقضا)، ساخت نشست و صدور توکن‌ها.
+ * پاسخ شامل وضعیت انقضای رمز است تا فرانت‌اند هشدار روزهای باقی‌مانده را نشان دهد.
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  const expiry = getPasswordExpiryInfo(user);
+  let passwordGrace = false;
+  if (expiry.expired) {
+    passwordGrace = canUseGrace(expiry) && await dbConsumeGraceLogin(user.id);
+    if (!passwordGrace) return res.status(403).json(passwordExpiredBody(user));
+    expiry.grace_logins_remaining -= 1;
+  }
+
+  const sessionId = await dbCreateSession({ userId: user.id, req, device: req.body?.device, passwordGrace });
+  const { accessToken, refreshToken, payload } = await issueTokens(user, { sessionId });
+  await audit(req, "auth.login", {
+    actor: user, targetType: "user", targetId: user.id,
+    details: { session_id: sessionId, auth_source: user.auth_source, ...(passwordGrace ? { password_grace: true } : {}) },
+  });
+  return res.json({ ok: true, accessToken, refreshToken, user: payload, password_expiry: expiry, ...extra });
+}
+
+/** ثبت ورود ناموفق در لاگ ممیزی (actor: نام کاربری واردشده یا کاربر شناخته‌شده) */
+const auditLoginFailure = (req, actor, reason, extra = {}) =>
+  audit(req, "auth.login", { actor, outcome: "failure", details: { reason, ...extra } });
 
 /* ------------------------------ ROUTES ------------------------------ */
 
@@ -89,52 +181,314 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ ok: false, message: "نام کاربری و گذرواژه الزامی است." });
     }
 
-    const user = await dbGetUserByUsername(String(username).trim());
-    if (!user || !user.password) {
-      return res.status(401).json({ ok: false, message: "نام کاربری یا گذرواژه اشتباه است." });
+    const uname = String(username).trim();
+    const gate = await checkLoginAllowed(uname);
+    if (!gate.allowed) {
+      await auditLoginFailure(req, { username: uname }, "blocked", { code: gate.code });
+      return sendLoginBlocked(res, gate);
     }
 
-    const ok = await comparePassword(String(password), user.password);
-    if (!ok) {
+    const result = await authenticate(uname, String(password));
+    const user = result.ok ? await dbGetUserById(result.userId) : null;
+    if (!user) {
+      // برای نام‌های کاربری ناموجود هم شمارش می‌شود تا وجود حساب لو نرود
+      const failure = await recordLoginFailure(uname);
+      await auditLoginFailure(req, { username: uname }, "invalid_credentials", { locked: !!failure?.locked });
+      if (failure?.locked) return sendLoginBlocked(res, { code: "ACCOUNT_LOCKED", retryAfter: failure.retryAfter });
       return res.status(401).json({ ok: false, message: "نام کاربری یا گذرواژه اشتباه است." });
     }
+    await resetLoginFailures(uname);
 
     if (user.status && user.status !== "active") {
+      await auditLoginFailure(req, user, "inactive");
       return res.status(403).json({ ok: false, message: "حساب غیرفعال است." });
     }
 
     // اگر رمز منقضی شده، اجازه ورود نده
-    if (isPasswordExpired(user)) {
-      return res.status(403).json({
+    const expiry = getPasswordExpiryInfo(user);
+    if (expiry.expired && !canUseGrace(expiry)) {
+      await auditLoginFailure(req, user, "password_expired");
+      return res.status(403).json(passwordExpiredBody(user));
+    }
+
+    // ورود دومرحله‌ای: به‌جای توکن اصلی، توکن کوتاه‌عمر «در انتظار MFA» صادر می‌شود
+    if (await isMfaEnabled(user.id)) {
+      return res.json({ ok: true, mfa_required: true, mfaToken: signMfaPending(user.id) });
+    }
+
+    return await completeLogin(req, res, user);
+  } catch (e) {
+    console.error("AUTH_LOGIN_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در ورود." });
+  }
+});
+
+// POST /api/auth/login/mfa  (مرحله‌ی دوم: کد TOTP یا کد بازیابی)
+router.post("/login/mfa", async (req, res) => {
+  try {
+    const { mfaToken, code, recovery_code } = req.body || {};
+    if (!mfaToken || (!code && !recovery_code)) {
+      return res.status(400).json({ ok: false, message: "کد تأیید الزامی است." });
+    }
+
+    let claims;
+    try {
+      claims = verifyToken("access", String(mfaToken));
+    } catch (e) {
+      const isExp = e?.name === "TokenExpiredError";
+      return res.status(401).json({
         ok: false,
-        code: "PASSWORD_EXPIRED",
-        message: "رمز شما منقضی شده است. لطفاً ابتدا رمز را تغییر دهید."
+        message: isExp ? "مهلت ورود کد به پایان رسید. دوباره وارد شوید." : "درخواست ورود نامعتبر است.",
+        code: isExp ? "EXPIRED_MFA_TOKEN" : "INVALID_MFA_TOKEN",
       });
     }
+    if (claims?.typ !== "mfa_pending") {
+      return res.status(401).json({ ok: false, message: "درخواست ورود نامعتبر است.", code: "INVALID_MFA_TOKEN" });
+    }
 
-    const payload = buildUserPayload(user);
-    const accessToken  = signAccess(payload);
-    const refreshToken = signRefresh({ id: user.id });
+    const user = await dbGetUserById(claims.id);
+    if (!user || (user.status && user.status !== "active")) {
+      return res.status(403).json({ ok: false, message: "حساب غیرفعال است." });
+    }
+    const gate = await checkLoginAllowed(user.username);
+    if (!gate.allowed) return sendLoginBlocked(res, gate);
 
-    res.json({ ok: true, accessToken, refreshToken, user: payload });
+    const mfa = await dbGetMfa(user.id);
+    const ok = !!mfa?.enabled && (code
+      ? await consumeTotp(mfa, code)
+      : await consumeRecoveryCode(user.id, recovery_code));
+    if (!ok) {
+      const failure = await recordLoginFailure(user.username);
+      await auditLoginFailure(req, user, "mfa_invalid", { locked: !!failure?.locked });
+      if (failure?.locked) return sendLoginBlocked(res, { code: "ACCOUNT_LOCKED", retryAfter: failure.retryAfter });
+      return res.status(401).json({ ok: false, message: "کد تأیید نادرست است.", code: "MFA_INVALID_CODE" });
+    }
+    await resetLoginFailures(user.username);
+
+    const extra = code ? {} : { recovery_codes_remaining: await dbCountRecoveryCodes(user.id) };
+    return await completeLogin(req, res, user, extra);
   } catch (e) {
-    console.error("AUTH_LOGIN_ERR:", e);
+    console.error("AUTH_LOGIN_MFA_ERR:", e);
     res.status(500).json({ ok: false, message: "خطا در ورود." });
   }
 });
 
+// POST /api/auth/refresh  (چرخش refresh token؛ استفاده‌ی مجدد = ابطال کل خانواده)
+router.post("/refresh", async (req, res) => {
+  try {
+    const token = String(req.body?.refreshToken || req.body?.refresh_token || "");
+    if (!token) {
+      return res.status(400).json({ ok: false, message: "توکن تمدید الزامی است.", code: "NO_REFRESH" });
+    }
+
+    let claims;
+    try {
+      claims = verifyToken("refresh", token);
+    } catch (e) {
+      const isExp = e?.name === "TokenExpiredError";
+      return res.status(401).json({
+        ok: false,
+        message: isExp ? "نشست منقضی شده است. دوباره وارد شوید." : "توکن تمدید نامعتبر است.",
+        code: isExp ? "EXPIRED_REFRESH" : "INVALID_REFRESH",
+      });
+    }
+    // توکن‌های قدیمی (بدون jti) هرگز در دیتابیس ثبت نشده‌اند
+    if (claims?.typ !== "refresh" || !claims.jti) {
+      return res.status(401).json({ ok: false, message: "توکن تمدید نامعتبر است.", code: "INVALID_REFRESH" });
+    }
+
+    const row = await dbGetRefreshToken(claims.jti);
+    if (!row || Number(row.user_id) !== Number(claims.id)) {
+      return res.status(401).json({ ok: false, message: "توکن تمدید نامعتبر است.", code: "INVALID_REFRESH" });
+    }
+    const session = await dbGetSession(row.family_id);
+    if (row.revoked_at || !session || session.revoked_at) {
+      return res.status(401).json({ ok: false, message: "نشست باطل شده است. دوباره وارد شوید.", code: "REVOKED_REFRESH" });
+    }
+    if (row.used_at) {
+      await dbRevokeSession(row.family_id, "reuse");
+      console.warn("AUTH_REFRESH_REUSE: family", row.family_id, "user", row.user_id);
+      return res.status(401).json({ ok: false, message: "نشست باطل شده است. دوباره وارد شوید.", code: "REFRESH_REUSED" });
+    }
+
+    const user = await dbGetUserById(row.user_id);
+    if (!user || (user.status && user.status !== "active")) {
+      await dbRevokeSession(row.family_id, "user_inactive");
+      return res.status(403).json({ ok: false, message: "حساب غیرفعال است." });
+    }
+    // رمز منقضی/موقت: تمدید ممنوع، حتی برای نشست ورود مهلت؛ هر ورود مهلت فقط یک عمر access token دوام دارد
+    const expiry = getPasswordExpiryInfo(user);
+    if (expiry.expired) {
+      return res.status(403).json(passwordExpiredBody(user));
+    }
+
+    const nextJti = randomUUID();
+    const claimed = await dbMarkRefreshUsed(row.jti, nextJti);
+    if (!claimed) {
+      // درخواست هم‌زمان دیگری همین توکن را مصرف کرده است
+      await dbRevokeSession(row.family_id, "reuse");
+      return res.status(401).json({ ok: false, message: "نشست باطل شده است. دوباره وارد شوید.", code: "REFRESH_REUSED" });
+    }
+
+    const { accessToken, refreshToken, payload } = await issueTokens(user, { sessionId: row.family_id, jti: nextJti });
+    res.json({ ok: true, accessToken, refreshToken, user: payload });
+  } catch (e) {
+    console.error("AUTH_REFRESH_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در تمدید نشست." });
+  }
+});
+
+// POST /api/auth/logout  (ابطال نشست جاری)
+router.post("/logout", authRequired, async (req, res) => {
+  try {
+    if (req.sessionId) await dbRevokeSession(req.sessionId, "logout", req.user.id);
+    await audit(req, "auth.logout", { targetType: "session", targetId: req.sessionId });
+    res.json({ ok: true, message: "از حساب خارج شدید." });
+  } catch (e) {
+    console.error("AUTH_LOGOUT_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در خروج." });
+  }
+});
+
+// GET /api/auth/sessions  (نشست‌های فعال کاربر جاری)
+router.get("/sessions", authRequired, async (req, res) => {
+  try {
+    const rows = await dbListActiveSessions(req.user.id);
+    res.json({
+      ok: true,
+      sessions: rows.map(({ user_id, revoked_at, revoke_reason, ...s }) => ({ ...s, current: s.id === req.sessionId })),
+    });
+  } catch (e) {
+    console.error("AUTH_SESSIONS_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در دریافت نشست‌ها." });
+  }
+});
+
+// DELETE /api/auth/sessions/:id  (خروج از یک دستگاه دیگر)
+router.delete("/sessions/:id", authRequired, async (req, res) => {
+  try {
+    const session = await dbGetSession(String(req.params.id || ""));
+    if (!session || Number(session.user_id) !== Number(req.user.id)) {
+      return res.status(404).json({ ok: false, message: "نشست یافت نشد." });
+    }
+    await dbRevokeSession(session.id, "user_revoked", req.user.id);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("AUTH_SESSION_REVOKE_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در ابطال نشست." });
+  }
+});
+
+/* ------------------------------- MFA ROUTES ------------------------------- */
+
+// GET /api/auth/mfa  (وضعیت ورود دومرحله‌ای کاربر جاری)
+router.get("/mfa", authRequired, async (req, res) => {
+  try {
+    const mfa = await dbGetMfa(req.user.id);
+    const enabled = !!mfa?.enabled;
+    res.json({
+      ok: true,
+      enabled,
+      required: isMfaRequiredForRole(req.user.role),
+      confirmed_at: enabled ? mfa.confirmed_at : null,
+      recovery_codes_remaining: enabled ? await dbCountRecoveryCodes(req.user.id) : 0,
+    });
+  } catch (e) {
+    console.error("AUTH_MFA_STATUS_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در دریافت وضعیت ورود دومرحله‌ای." });
+  }
+});
+
+// POST /api/auth/mfa/setup  (ساخت secret و URI برای QR)
+router.post("/mfa/setup", authRequired, async (req, res) => {
+  try {
+    if (await isMfaEnabled(req.user.id)) {
+      return res.status(409).json({ ok: false, message: "ورود دومرحله‌ای از قبل فعال است." });
+    }
+    const { secret, otpauth_uri } = await dbStartMfaEnrollment(req.user);
+    res.json({ ok: true, secret, otpauth_uri });
+  } catch (e) {
+    console.error("AUTH_MFA_SETUP_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در آغاز فعال‌سازی ورود دومرحله‌ای." });
+  }
+});
+
+// POST /api/auth/mfa/enable  (تأیید اولین کد و دریافت کدهای بازیابی)
+router.post("/mfa/enable", authRequired, async (req, res) => {
+  try {
+    const mfa = await dbGetMfa(req.user.id);
+    if (!mfa) return res.status(400).json({ ok: false, message: "ابتدا فعال‌سازی را آغاز کنید." });
+    if (mfa.enabled) return res.status(409).json({ ok: false, message: "ورود دومرحله‌ای از قبل فعال است." });
+    if (!(await consumeTotp(mfa, req.body?.code))) {
+      return res.status(400).json({ ok: false, message: "کد تأیید نادرست است.", code: "MFA_INVALID_CODE" });
+    }
+    await dbEnableMfa(req.user.id);
+    const recovery_codes = await dbRegenerateRecoveryCodes(req.user.id);
+    res.json({ ok: true, recovery_codes, message: "ورود دومرحله‌ای فعال شد. کدهای بازیابی را در جای امن نگه دارید." });
+  } catch (e) {
+    console.error("AUTH_MFA_ENABLE_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در فعال‌سازی ورود دومرحله‌ای." });
+  }
+});
+
+// POST /api/auth/mfa/recovery-codes  (صدور مجدد کدهای بازیابی با کد TOTP)
+router.post("/mfa/recovery-codes", authRequired, async (req, res) => {
+  try {
+    const mfa = await dbGetMfa(req.user.id);
+    if (!mfa?.enabled) return res.status(400).json({ ok: false, message: "ورود دومرحله‌ای فعال نیست." });
+    if (!(await consumeTotp(mfa, req.body?.code))) {
+      return res.status(400).json({ ok: false, message: "کد تأیید نادرست است.", code: "MFA_INVALID_CODE" });
+    }
+    const recovery_codes = await dbRegenerateRecoveryCodes(req.user.id);
+    res.json({ ok: true, recovery_codes });
+  } catch (e) {
+    console.error("AUTH_MFA_CODES_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در صدور کدهای بازیابی." });
+  }
+});
+
+// POST /api/auth/mfa/disable  (نیازمند رمز فعلی و کد TOTP)
+router.post("/mfa/disable", authRequired, async (req, res) => {
+  try {
+    if (isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({ ok: false, message: "ورود دومرحله‌ای برای نقش شما الزامی است." });
+    }
+    const { current_password, code } = req.body || {};
+    const mfa = await dbGetMfa(req.user.id);
+    if (!mfa?.enabled) return res.status(400).json({ ok: false, message: "ورود دومرحله‌ای فعال نیست." });
+
+    const user = await dbGetUserById(req.user.id);
+    const okPass = await verifyUserPassword(user, current_password);
+    if (!okPass) return res.status(400).json({ ok: false, message: "رمز فعلی نادرست است." });
+    if (!(await consumeTotp(mfa, code))) {
+      return res.status(400).json({ ok: false, message: "کد تأیید نادرست است.", code: "MFA_INVALID_CODE" });
+    }
+
+    await dbDeleteMfa(req.user.id);
+    res.json({ ok: true, message: "ورود دومرحله‌ای غیرفعال شد." });
+  } catch (e) {
+    console.error("AUTH_MFA_DISABLE_ERR:", e);
+    res.status(500).json({ ok: false, message: "خطا در غیرفعال‌سازی ورود دومرحله‌ای." });
+  }
+});
+
 // GET /api/auth/me
 router.get("/me", authRequired, async (req, res) => {
   try {
     const me = await dbGetUserById(req.user.id);
     if (!me) return res.status(404).json({ ok: false, message: "کاربر یافت نشد." });
-    res.json({ ok: true, user: buildUserPayload(me) });
+    res.json({ ok: true, user: buildUserPayload(me), password_expiry: getPasswordExpiryInfo(me) });
   } catch (e) {
     console.error("AUTH_ME_ERR:", e);
     res.status(500).json({ ok: false, message: "خطا در دریافت اطلاعات کاربر." });
   }
 });
 
+// GET /api/auth/password-policy  (عمومی؛ برای نمایش قواعد در فرم‌ها)
+router.get("/password-policy", (_req, res) => {
+  res.json({ ok: true, policy: getPasswordPolicy() });
+});
+
 // PATCH /api/auth/password  (برای کاربر لاگین‌شده)
 router.patch("/password", authRequired, async (req, res) => {
   try {
@@ -145,25 +499,27 @@ router.patch("/password", authRequired, async (req, res) => {
       return res.status(400).json({ ok: false, message: "هر دو فیلد رمز فعلی و رمز جدید الزامی هستند." });
     }
 
-    // پیچیدگی رمز
-    const pass = String(new_password);
-    const okLen = pass.length >= 8;
-    const okUpper = /[A-Zآ-ی]/.test(pass);
-    const okLower = /[a-z]/.test(pass) || /[اآبپتثجچحخدذرزژسشصضطظعغفقکگلمنوهی]/.test(pass);
-    const okDigit = /\d/.test(pass);
-    const okSpec  = /[^A-Za-z0-9آ-ی]/.test(pass);
-    if (!(okLen && okUpper && okLower && okDigit && okSpec)) {
-      return res.status(400).json({ ok: false, message: "رمز جدید باید حداقل ۸ کاراکتر و شامل حروف بزرگ/کوچک، عدد و نشانه باشد." });
-    }
-
     const user = await dbGetUserById(id);
     if (!user) return res.status(404).json({ ok: false, message: "کاربر یافت نشد." });
+    if (isDirectoryUser(user)) {
+      return res.status(400).json({ ok: false, code: "DIRECTORY_MANAGED", message: "رمز این حساب در سامانه‌ی سازمانی (LDAP) مدیریت می‌شود." });
+    }
+
+    // سیاست رمز
+    const pass = String(new_password);
+    const policy = validatePassword(pass, { username: user.username });
+    if (!policy.ok) return res.status(400).json(policyErrorBody(policy.errors));
 
     const ok = await comparePassword(String(current_password), user.password);
     if (!ok) return res.status(400).json({ ok: false, message: "رمز فعلی نادرست است." });
+    if (await isPasswordReused(id, pass, user.password)) return res.status(400).json(reuseErrorBody());
 
     const hashed = await hashPassword(pass);
-    await pool.query("UPDATE users SET password=?, password_changed_at=NOW() WHERE id=?", [hashed, id]);
+    await pool.query(`UPDATE users SET password=?, password_changed_at=NOW(),
+                    must_change_password=0, temp_password_expires_at=NULL, password_grace_used=0
+      WHERE id=?`, [hashed, id]);
+    await recordPasswordHistory(id, hashed);
+    await audit(req, "auth.password_change", { targetType: "user", targetId: id });
 
     res.json({ ok: true, success: true, message: "رمز شما با موفقیت تغییر کرد." });
   } catch (e) {
@@ -180,34 +536,47 @@ router.post("/password/expired-change", async (req, res) => {
     if (!username || !current_password || !new_password) {
       return res.status(400).json({ ok: false, message: "نام کاربری، رمز فعلی و رمز جدید الزامی است." });
     }
-    const user = await dbGetUserByUsername(String(username).trim());
+    const uname = String(username).trim();
+    const gate = await checkLoginAllowed(uname);
+    if (!gate.allowed) return sendLoginBlocked(res, gate);
+
+    const user = await dbGetUserByUsername(uname);
     if (!user || !user.password) {
       return res.status(404).json({ ok: false, message: "کاربر یافت نشد." });
     }
     if (user.status && user.status !== "active") {
       return res.status(403).json({ ok: false, message: "حساب غیرفعال است." });
     }
+    if (isDirectoryUser(user)) {
+      return res.status(400).json({ ok: false, code: "DIRECTORY_MANAGED", message: "رمز این حساب در سامانه‌ی سازمانی (LDAP) مدیریت می‌شود." });
+    }
     // فقط اجازه بده اگر واقعاً منقضی است (یا می‌خواهی همیشه اجازه بدهی؛ این امن‌تر است)
-    if (!isPasswordExpired(user)) {
+    if (!getPasswordExpiryInfo(user).expired) {
       return res.status(400).json({ ok: false, message: "رمز عبور منقضی نیست. لطفاً وارد شوید." });
     }
 
     const ok = await comparePassword(String(current_password), user.password);
-    if (!ok) return res.status(400).json({ ok: false, message: "رمز فعلی نادرست است." });
+    if (!ok) {
+      const failure = await recordLoginFailure(uname);
+      if (failure?.locked) return sendLoginBlocked(res, { code: "ACCOUNT_LOCKED", retryAfter: failure.retryAfter });
+      return res.status(400).json({ ok: false, message: "رمز فعلی نادرست است." });
+    }
+    // فقط پس از تأیید رمز فعلی؛ وگرنه وضعیت رمز موقت بدون دانستن رمز فاش می‌شود
+    if (isTempPasswordExpired(user)) return res.status(403).json(passwordExpiredBody(user));
 
-    // پیچیدگی رمز
+    // سیاست رمز
     const pass = String(new_password);
-    const okLen = pass.length >= 8;
-    const okUpper = /[A-Zآ-ی]/.test(pass);
-    const okLower = /[a-z]/.test(pass) || /[اآبپتثجچحخدذرزژسشصضطظعغفقکگلمنوهی]/.test(pass);
-    const okDigit = /\d/.test(pass);
-    const okSpec  = /[^A-Za-z0-9آ-ی]/.test(pass);
-    if (!(okLen && okUpper && okLower && okDigit && okSpec)) {
-      return res.status(400).json({ ok: false, message: "رمز جدید باید حداقل ۸ کاراکتر و شامل حروف بزرگ/کوچک، عدد و نشانه باشد." });
-    }
+    const policy = validatePassword(pass, { username: user.username });
+    if (!policy.ok) return res.status(400).json(policyErrorBody(policy.errors));
+    if (await isPasswordReused(user.id, pass, user.password)) return res.status(400).json(reuseErrorBody());
 
     const hashed = await hashPassword(pass);
-    await pool.query("UPDATE users SET password=?, password_changed_at=NOW() WHERE id=?", [hashed, user.id]);
+    await pool.query(`UPDATE users SET password=?, password_changed_at=NOW(),
+                    must_change_password=0, temp_password_expires_at=NULL, password_grace_used=0
+      WHERE id=?`, [hashed, user.id]);
+    await recordPasswordHistory(user.id, hashed);
+    await resetLoginFailures(uname);
+    await audit(req, "auth.password_change", { actor: user, targetType: "user", targetId: user.id, details: { expired: true } });
 
     res.json({ ok: true, success: true, message: "رمز با موفقیت تغییر کرد. اکنون وارد شوید." });
   } catch (e) {
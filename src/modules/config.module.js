@@ -2,6 +2,17 @@
 import { Router } from "express";
 import { auth as authRequired, allowRoles } from "../middleware/auth.js";
 import { pool } from "../config/db.js";
+import { audit } from "../utils/audit.js";
+import {
+  dbListTeams, dbGetTeam, dbSetTeamMembers, dbDetachTeam, canBeAssignee,
+  dbListRules, dbGetRule, cleanRuleInput, dbCreateRule, dbUpdateRule, dbDeleteRule,
+} from "../utils/assignment.js";
+import {
+  dbListPolicies, dbGetPolicy, cleanPolicyInput, dbCreatePolicy, dbUpdatePolicy, dbDeletePolicy,
+  dbGetBusinessHours, dbSetBusinessHours, dbListHolidays, dbUpsertHoliday, dbDeleteHoliday,
+} from "../utils/sla.js";
+import { readDateParam, toJalali } from "../utils/dates.js";
+import { isAdmin } from "../utils/incidentAcl.js";
 
 const router = Router();
 
@@ -12,21 +23,24 @@ function tableNameByType(type) {
     case "priority":  return "priorities";
     case "status":    return "statuses";
     case "title":     return "incident_titles";
+    case "team":      return "teams";
     default: throw new Error("نوع نامعتبر است.");
   }
 }
 
-async function dbGetAllConfig() {
+// اعضای تیم‌ها (شناسه و نام ادمین‌ها) فقط برای ادمین‌ها برگردانده می‌شود
+async function dbGetAllConfig({ withMembers = false } = {}) {
   const [titles]    = await pool.query(`SELECT id AS title_id, title, category_id FROM incident_titles ORDER BY id ASC`);
   const [locations] = await pool.query(`SELECT id, name FROM locations ORDER BY id ASC`);
-  const [priorities]= await pool.query(`SELECT id, name FROM priorities ORDER BY id ASC`);
+  const [priorities]= await pool.query(`SELECT id, name, severity FROM priorities ORDER BY id ASC`);
   const [statuses]  = await pool.query(`SELECT id, name FROM statuses  ORDER BY id ASC`);
+  const teams       = (await dbListTeams()).map(({ members, ...t }) => (withMembers ? { ...t, members } : t));
   return {
     titles: {
       cyber:    titles.filter(t => t.category_id === 1),
       physical: titles.filter(t => t.category_id === 2),
     },
-    locations, priorities, statuses,
+    locations, priorities, statuses, teams,
   };
 }
 async function dbGetTitlesByCategory(categoryId) {
@@ -49,6 +63,11 @@ async function dbAddConfigItem(type, name, category_id) {
       [res.insertId]
     );
     return rows[0];
+  } else if (table === "teams") {
+    // تیم بدون دسته‌بندی برای هر دو دسته قابل استفاده است
+    const cid = [1, 2].includes(Number(category_id)) ? Number(category_id) : null;
+    const [res] = await pool.query(`INSERT INTO teams (name, category_id) VALUES (?, ?)`, [name, cid]);
+    return { ...(await dbGetTeam(res.insertId)), members: [] };
   } else {
     const [res] = await pool.query(`INSERT INTO ${table} (name) VALUES (?)`, [name]);
     const [rows] = await pool.query(`SELECT id, name FROM ${table} WHERE id=?`, [res.insertId]);
@@ -67,16 +86,41 @@ async function dbUpdateConfigItem(type, id, name) {
     return rows[0];
   }
 }
+async function dbGetConfigItem(type, id) {
+  const table = tableNameByType(type);
+  const cols = table === "incident_titles" ? "id AS title_id, title, category_id"
+    : table === "teams" ? "id, name, category_id" : "id, name";
+  const [rows] = await pool.query(`SELECT ${cols} FROM ${table} WHERE id = ? LIMIT 1`, [id]);
+  return rows?.[0] || null;
+}
+// ترتیب شدت درجه‌های ریسک، از کم به زیاد؛ درجه‌ای که در فهرست نیست بدون ترتیب می‌ماند
+async function dbSetPriorityOrder(ids) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query("UPDATE priorities SET severity = NULL");
+    for (const [i, id] of ids.entries()) {
+      await conn.query("UPDATE priorities SET severity = ? WHERE id = ?", [i + 1, id]);
+    }
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
 async function dbDeleteConfigItem(type, id) {
   const table = tableNameByType(type);
+  if (table === "teams") await dbDetachTeam(id);
   await pool.query(`DELETE FROM ${table} WHERE id = ?`, [id]);
   return { ok: true };
 }
 
 /* ------------------------------ ROUTES ----------------------------------- */
-router.get("/", authRequired, async (_req, res) => {
+router.get("/", authRequired, async (req, res) => {
   try {
-    const data = await dbGetAllConfig();
+    const data = await dbGetAllConfig({ withMembers: isAdmin(req.user) });
     res.json(data);
   } catch (e) {
     console.error("CFG_GET_ALL_ERR:", e);
@@ -94,13 +138,270 @@ router.get("/titles", authRequired, async (req, res) => {
     res.status(500).json({ message: "خطا در دریافت عناوین." });
   }
 });
+/* ------------------------- TEAMS & ASSIGNMENT RULES ------------------------- */
+// تیم‌ها با نوع عمومی "team" ساخته/ویرایش/حذف می‌شوند؛ اعضا و قواعد واگذاری خودکار مسیرهای جدا دارند.
+// defense-admin فقط تیم‌ها و قواعد فیزیکی را مدیریت می‌کند.
+const physicalTeam = (team) => Number(team?.category_id) === 2;
+
+// PUT /api/config/team/:id/members  { user_ids: [..] }  (فقط ادمین‌های فعال واجد شرایط دسته‌ی تیم)
+router.put("/team/:id/members", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const team = await dbGetTeam(Number(req.params.id || 0));
+    if (!team) return res.status(404).json({ message: "تیم یافت نشد." });
+    if (req.user?.role === "defense-admin" && !physicalTeam(team)) {
+      return res.status(403).json({ message: "ویرایش این تیم برای شما مجاز نیست." });
+    }
+    const raw = req.body?.user_ids;
+    if (!Array.isArray(raw)) return res.status(400).json({ message: "user_ids باید آرایه باشد." });
+    const ids = [...new Set(raw.map(Number).filter(Boolean))];
+
+    const [users] = ids.length
+      ? await pool.query("SELECT id, role, status FROM users WHERE id IN (?)", [ids])
+      : [[]];
+    // عضو باید بتواند حوادث دسته‌ی تیم را بگیرد؛ در تیم بدون دسته، defense-admin فقط حوادث فیزیکی را می‌گیرد
+    const sample = { category_id: team.category_id || 2 };
+    const invalid = ids.filter(id => !users.some(u => u.id === id && canBeAssignee(u, sample)));
+    if (invalid.length) return res.status(400).json({ message: `کاربر نامعتبر یا غیرمجاز برای این تیم: ${invalid.join(", ")}` });
+
+    await dbSetTeamMembers(team.id, ids);
+    await audit(req, "config.team_members", { targetType: "team", targetId: team.id, details: { user_ids: ids } });
+    res.json((await dbListTeams()).find(t => t.id === team.id));
+  } catch (e) {
+    console.error("CFG_TEAM_MEMBERS_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش اعضای تیم." });
+  }
+});
+
+// GET /api/config/assignment-rules
+router.get("/assignment-rules", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const rows = await dbListRules();
+    res.json(req.user?.role === "defense-admin" ? rows.filter(r => r.category_id === 2) : rows);
+  } catch (e) {
+    console.error("CFG_RULES_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت قواعد واگذاری." });
+  }
+});
+
+// POST /api/config/assignment-rules  { category_id?, location_id?, team_id, enabled? }
+// حادثه‌ی تازه با دقیق‌ترین قاعده‌ی منطبق، به نوبت به اعضای تیم قاعده واگذار می‌شود
+router.post("/assignment-rules", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const parsed = await cleanRuleInput(req.body || {}, req.user?.role);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbCreateRule(parsed.rule);
+    await audit(req, "config.create", { targetType: "assignment_rule", targetId: row.id, details: { item: row } });
+    res.status(201).json(row);
+  } catch (e) {
+    console.error("CFG_RULE_ADD_ERR:", e);
+    res.status(500).json({ message: "خطا در افزودن قاعده‌ی واگذاری." });
+  }
+});
+
+router.put("/assignment-rules/:id", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const before = await dbGetRule(Number(req.params.id || 0));
+    if (!before) return res.status(404).json({ message: "قاعده یافت نشد." });
+    if (req.user?.role === "defense-admin" && before.category_id !== 2) {
+      return res.status(403).json({ message: "ویرایش این قاعده برای شما مجاز نیست." });
+    }
+    const parsed = await cleanRuleInput(req.body || {}, req.user?.role, before);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbUpdateRule(before.id, parsed.rule);
+    await audit(req, "config.update", { targetType: "assignment_rule", targetId: before.id, details: { before, after: row } });
+    res.json(row);
+  } catch (e) {
+    console.error("CFG_RULE_UPD_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش قاعده‌ی واگذاری." });
+  }
+});
+
+router.delete("/assignment-rules/:id", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const before = await dbGetRule(Number(req.params.id || 0));
+    if (!before) return res.status(404).json({ message: "قاعده یافت نشد." });
+    if (req.user?.role === "defense-admin" && before.category_id !== 2) {
+      return res.status(403).json({ message: "حذف این قاعده برای شما مجاز نیست." });
+    }
+    await dbDeleteRule(before.id);
+    await audit(req, "config.delete", { targetType: "assignment_rule", targetId: before.id, details: { before } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("CFG_RULE_DEL_ERR:", e);
+    res.status(500).json({ message: "خطا در حذف قاعده‌ی واگذاری." });
+  }
+});
+
+/* ------------------------------------ SLA ----------------------------------- */
+// سیاست‌های SLA به ازای درجه ریسک (category_id خالی = همه‌ی دسته‌ها؛ سیاست ویژه‌ی دسته مقدم است).
+// ساعات کاری و تعطیلات سراسری‌اند و فقط system-admin ویرایششان می‌کند.
+
+// GET /api/config/sla-policies
+router.get("/sla-policies", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const rows = await dbListPolicies();
+    if (req.user?.role !== "defense-admin") return res.json(rows);
+    // سیاست‌های عمومی (بدون دسته‌بندی) هم بر حوادث فیزیکی حاکم‌اند؛ برای مدیر پدافند فقط‌خواندنی
+    res.json(rows
+      .filter(p => p.category_id === 2 || p.category_id === null)
+      .map(p => ({ ...p, read_only: p.category_id === null })));
+  } catch (e) {
+    console.error("CFG_SLA_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت سیاست‌های SLA." });
+  }
+});
+
+// POST /api/config/sla-policies  { priority_id, category_id?, first_response_minutes?, resolution_minutes?, business_hours? }
+router.post("/sla-policies", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const parsed = await cleanPolicyInput(req.body || {}, req.user?.role);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbCreatePolicy(parsed.policy);
+    await audit(req, "config.create", { targetType: "sla_policy", targetId: row.id, details: { item: row } });
+    res.status(201).json(row);
+  } catch (e) {
+    console.error("CFG_SLA_ADD_ERR:", e);
+    res.status(500).json({ message: "خطا در افزودن سیاست SLA." });
+  }
+});
+
+router.put("/sla-policies/:id", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const before = await dbGetPolicy(Number(req.params.id || 0));
+    if (!before) return res.status(404).json({ message: "سیاست SLA یافت نشد." });
+    if (req.user?.role === "defense-admin" && before.category_id !== 2) {
+      return res.status(403).json({ message: "ویرایش این سیاست برای شما مجاز نیست." });
+    }
+    const parsed = await cleanPolicyInput(req.body || {}, req.user?.role, before);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbUpdatePolicy(before.id, parsed.policy);
+    await audit(req, "config.update", { targetType: "sla_policy", targetId: before.id, details: { before, after: row } });
+    res.json(row);
+  } catch (e) {
+    console.error("CFG_SLA_UPD_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش سیاست SLA." });
+  }
+});
+
+router.delete("/sla-policies/:id", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
+  try {
+    const before = await dbGetPolicy(Number(req.params.id || 0));
+    if (!before) return res.status(404).json({ message: "سیاست SLA یافت نشد." });
+    if (req.user?.role === "defense-admin" && before.category_id !== 2) {
+      return res.status(403).json({ message: "حذف این سیاست برای شما مجاز نیست." });
+    }
+    await dbDeletePolicy(before.id);
+    await audit(req, "config.delete", { targetType: "sla_policy", targetId: before.id, details: { before } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("CFG_SLA_DEL_ERR:", e);
+    res.status(500).json({ message: "خطا در حذف سیاست SLA." });
+  }
+});
+
+// GET /api/config/business-hours  → [{ weekday (0 یکشنبه … 6 شنبه), start: "HH:mm", end: "HH:mm" }]
+router.get("/business-hours", authRequired, allowRoles("system-admin","defense-admin"), async (_req, res) => {
+  try {
+    res.json(await dbGetBusinessHours());
+  } catch (e) {
+    console.error("CFG_HOURS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت ساعات کاری." });
+  }
+});
+
+// PUT /api/config/business-hours  { days: [...] }  (جایگزینی کامل؛ روزی که نیامده تعطیل است)
+router.put("/business-hours", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const before = await dbGetBusinessHours();
+    const result = await dbSetBusinessHours(req.body?.days);
+    if (!result.ok) return res.status(400).json({ message: result.message });
+    const after = await dbGetBusinessHours();
+    await audit(req, "config.update", { targetType: "business_hours", details: { before, after } });
+    res.json(after);
+  } catch (e) {
+    console.error("CFG_HOURS_UPD_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش ساعات کاری." });
+  }
+});
+
+// GET /api/config/holidays?from=&to=  (یا from_jalali/to_jalali)
+router.get("/holidays", authRequired, async (req, res) => {
+  try {
+    const from = readDateParam(req.query, "from"), to = readDateParam(req.query, "to");
+    if (!from.ok || !to.ok) return res.status(400).json({ message: from.message || to.message });
+    const rows = await dbListHolidays({ from: from.value, to: to.value });
+    res.json(rows.map(r => ({ ...r, day_jalali: toJalali(r.day) })));
+  } catch (e) {
+    console.error("CFG_HOLIDAYS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت تعطیلات." });
+  }
+});
+
+// POST /api/config/holidays  { day: "YYYY-MM-DD" | day_jalali: "1403/01/01", name? }  (افزودن یا تغییر نام)
+router.post("/holidays", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const day = readDateParam(req.body || {}, "day");
+    if (!day.ok) return res.status(400).json({ message: day.message });
+    if (!day.value) return res.status(400).json({ message: "تاریخ تعطیل الزامی است." });
+    const name = String(req.body?.name || "").trim().slice(0, 255);
+    await dbUpsertHoliday(day.value, name);
+    await audit(req, "config.create", { targetType: "holiday", targetId: day.value, details: { name } });
+    res.status(201).json({ day: day.value, day_jalali: toJalali(day.value), name: name || null });
+  } catch (e) {
+    console.error("CFG_HOLIDAY_ADD_ERR:", e);
+    res.status(500).json({ message: "خطا در افزودن تعطیل." });
+  }
+});
+
+// DELETE /api/config/holidays/:day  (YYYY-MM-DD)
+router.delete("/holidays/:day", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const day = readDateParam({ day: req.params.day }, "day");
+    if (!day.ok || !day.value) return res.status(400).json({ message: day.message || "تاریخ نامعتبر است." });
+    if (!(await dbDeleteHoliday(day.value))) return res.status(404).json({ message: "تعطیل یافت نشد." });
+    await audit(req, "config.delete", { targetType: "holiday", targetId: day.value });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("CFG_HOLIDAY_DEL_ERR:", e);
+    res.status(500).json({ message: "خطا در حذف تعطیل." });
+  }
+});
+
+/* ------------------------------ PRIORITY ORDER ------------------------------ */
+// PUT /api/config/priority-order  { priority_ids: [کم‌خطرترین, …, شدیدترین] }  (جایگزینی کامل)
+// اثر raise_priority در قواعد تشدید فقط به درجه‌ی شدیدتر از درجه‌ی فعلی حادثه می‌برد.
+router.put("/priority-order", authRequired, allowRoles("system-admin"), async (req, res) => {
+  try {
+    const raw = req.body?.priority_ids;
+    if (!Array.isArray(raw)) return res.status(400).json({ message: "priority_ids باید آرایه باشد." });
+    const ids = raw.map(Number);
+    const [before] = await pool.query("SELECT id, name, severity FROM priorities ORDER BY id ASC");
+    const unknown = ids.filter(id => !before.some(p => p.id === id));
+    if (unknown.length || new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: "فهرست درجه‌های ریسک نامعتبر یا تکراری است." });
+    }
+    await dbSetPriorityOrder(ids);
+    const [after] = await pool.query("SELECT id, name, severity FROM priorities ORDER BY id ASC");
+    await audit(req, "config.update", { targetType: "priority_order", details: { before, after } });
+    res.json(after);
+  } catch (e) {
+    console.error("CFG_PRIORITY_ORDER_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش ترتیب درجه‌های ریسک." });
+  }
+});
+
+/* ------------------------------ GENERIC ITEMS ------------------------------ */
 router.post("/:type", authRequired, allowRoles("system-admin","defense-admin"), async (req, res) => {
   try {
     const type = String(req.params.type || "");
     const name = String(req.body?.name || "").trim();
     const category_id = req.body?.category_id;
     if (!name) return res.status(400).json({ message: "نام الزامی است." });
+    if (type === "team" && req.user?.role === "defense-admin" && Number(category_id) !== 2) {
+      return res.status(403).json({ message: "مدیر پدافند فقط تیم فیزیکی می‌سازد." });
+    }
     const row = await dbAddConfigItem(type, name, category_id);
+    await audit(req, "config.create", { targetType: type, targetId: row?.id ?? row?.title_id, details: { item: row } });
     res.json(row);
   } catch (e) {
     console.error("CFG_ADD_ERR:", e);
@@ -113,7 +414,14 @@ router.put("/:type/:id", authRequired, allowRoles("system-admin","defense-admin"
     const id   = Number(req.params.id || 0);
     const name = String(req.body?.name || "").trim();
     if (!id || !name) return res.status(400).json({ message: "اطلاعات نامعتبر است." });
+    if (type === "team" && req.user?.role === "defense-admin") {
+      const team = await dbGetTeam(id);
+      if (!team) return res.status(404).json({ message: "تیم یافت نشد." });
+      if (!physicalTeam(team)) return res.status(403).json({ message: "ویرایش این مورد برای شما مجاز نیست." });
+    }
+    const before = await dbGetConfigItem(type, id);
     const row = await dbUpdateConfigItem(type, id, name);
+    await audit(req, "config.update", { targetType: type, targetId: id, details: { before, after: row } });
     res.json(row);
   } catch (e) {
     console.error("CFG_UPD_ERR:", e);
@@ -137,8 +445,15 @@ router.delete("/:type/:id", authRequired, allowRoles("system-admin","defense-adm
         return res.status(403).json({ message: "حذف این مورد برای شما مجاز نیست." });
       }
     }
+    if (type === "team" && req.user?.role === "defense-admin") {
+      const team = await dbGetTeam(id);
+      if (!team) return res.status(404).json({ message: "تیم یافت نشد." });
+      if (!physicalTeam(team)) return res.status(403).json({ message: "حذف این مورد برای شما مجاز نیست." });
+    }
 
+    const before = await dbGetConfigItem(type, id);
     await dbDeleteConfigItem(type, id);
+    await audit(req, "config.delete", { targetType: type, targetId: id, details: { before } });
     res.json({ ok: true });
   } catch (e) {
     console.error("CFG_DEL_ERR:", e);
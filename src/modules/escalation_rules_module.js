@@ -0,0 +1,111 @@
+// backend/src/modules/escalation_rules_module.js
+// مدیریت قواعد تشدید خودکار: /api/escalation-rules
+// system-admin همه‌ی قواعد و defense-admin فقط قواعد فیزیکی (category_ids: [2]) را می‌بیند و مدیریت می‌کند.
+import { Router } from "express";
+import { auth as authRequired, allowRoles } from "../middleware/auth.js";
+import {
+  isPhysicalRule, cleanRuleInput, dbListRules, dbGetRule, dbCreateRule, dbUpdateRule, dbDeleteRule,
+  dbListFirings, previewRule,
+} from "../utils/escalation.js";
+import { jalaliOutput } from "../utils/dates.js";
+import { audit } from "../utils/audit.js";
+
+const router = Router();
+const admins = allowRoles("system-admin", "defense-admin");
+
+/* --------------------------------- HELPERS -------------------------------- */
+const inScope = (user, rule) => user?.role !== "defense-admin" || isPhysicalRule(rule);
+
+/** بارگذاری قاعده در محدوده‌ی کاربر؛ قاعده‌ی خارج از محدوده 404 است */
+async function ruleOr404(req, res) {
+  const rule = await dbGetRule(Number(req.params.id) || 0);
+  if (!rule || !inScope(req.user, rule)) {
+    res.status(404).json({ message: "قاعده‌ی تشدید یافت نشد." });
+    return null;
+  }
+  return rule;
+}
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/escalation-rules
+router.get("/", authRequired, admins, async (req, res) => {
+  try {
+    const rows = await dbListRules();
+    res.json(rows.filter(r => inScope(req.user, r)));
+  } catch (e) {
+    console.error("ESCALATION_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت قواعد تشدید." });
+  }
+});
+
+// POST /api/escalation-rules  { name, enabled?, conditions: {...}, effects: [...], cooldown_minutes? }
+router.post("/", authRequired, admins, async (req, res) => {
+  try {
+    const parsed = await cleanRuleInput(req.body || {}, req.user?.role);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbCreateRule(parsed.rule, req.user.id);
+    await audit(req, "escalation_rule.create", { targetType: "escalation_rule", targetId: row.id, details: { item: row } });
+    res.status(201).json(row);
+  } catch (e) {
+    console.error("ESCALATION_CREATE_ERR:", e);
+    res.status(500).json({ message: "خطا در افزودن قاعده‌ی تشدید." });
+  }
+});
+
+// GET /api/escalation-rules/:id/firings  (سابقه‌ی اجرا، جدیدترین اول)
+router.get("/:id/firings", authRequired, admins, async (req, res) => {
+  try {
+    const rule = await ruleOr404(req, res);
+    if (!rule) return;
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    res.json(jalaliOutput(req, await dbListFirings(rule.id, { limit })));
+  } catch (e) {
+    console.error("ESCALATION_FIRINGS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت سابقه‌ی اجرای قاعده." });
+  }
+});
+
+// GET /api/escalation-rules/:id/preview  (حوادث باز منطبق با شرط‌ها؛ اثری اعمال نمی‌شود)
+router.get("/:id/preview", authRequired, admins, async (req, res) => {
+  try {
+    const rule = await ruleOr404(req, res);
+    if (!rule) return;
+    const preview = await previewRule(rule);
+    res.json({ ...preview, matches: jalaliOutput(req, preview.matches) });
+  } catch (e) {
+    console.error("ESCALATION_PREVIEW_ERR:", e);
+    res.status(500).json({ message: "خطا در پیش‌نمایش قاعده‌ی تشدید." });
+  }
+});
+
+// PUT /api/escalation-rules/:id  (ویرایش جزئی؛ فیلدهای نیامده بدون تغییر می‌مانند)
+router.put("/:id", authRequired, admins, async (req, res) => {
+  try {
+    const before = await ruleOr404(req, res);
+    if (!before) return;
+    const parsed = await cleanRuleInput(req.body || {}, req.user?.role, before);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const row = await dbUpdateRule(before.id, parsed.rule);
+    await audit(req, "escalation_rule.update", { targetType: "escalation_rule", targetId: before.id, details: { before, after: row } });
+    res.json(row);
+  } catch (e) {
+    console.error("ESCALATION_UPDATE_ERR:", e);
+    res.status(500).json({ message: "خطا در ویرایش قاعده‌ی تشدید." });
+  }
+});
+
+// DELETE /api/escalation-rules/:id  (سابقه‌ی اجرا نیز حذف می‌شود)
+router.delete("/:id", authRequired, admins, async (req, res) => {
+  try {
+    const before = await ruleOr404(req, res);
+    if (!before) return;
+    await dbDeleteRule(before.id);
+    await audit(req, "escalation_rule.delete", { targetType: "escalation_rule", targetId: before.id, details: { before } });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("ESCALATION_DELETE_ERR:", e);
+    res.status(500).json({ message: "خطا در حذف قاعده‌ی تشدید." });
+  }
+});
+
+export default router;
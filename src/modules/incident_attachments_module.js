@@ -0,0 +1,212 @@
+// backend/src/modules/incident_attachments_module.js
+// پیوست‌های شواهد حادثه: /api/incidents/:incidentId/attachments
+// هر دسترسی به فایل در زنجیره‌ی نگهداری (utils/custody.js) ثبت می‌شود.
+import { Router } from "express";
+import { auth as authRequired } from "../middleware/auth.js";
+import { uploadEvidence } from "../middleware/upload.js";
+import { dbQueryIncidents } from "../utils/incidentQuery.js";
+import { canReadIncident, isAdmin, isAdminInScope } from "../utils/incidentAcl.js";
+import {
+  dbListAttachments, dbListAttachmentRecords, dbGetAttachment, saveAttachments, deleteAttachment, openAttachment,
+} from "../utils/attachments.js";
+import {
+  CUSTODY_REPORT_FORMATS, recordCustody, dbListCustodyEvents, verifyAttachments, sendCustodyReport,
+} from "../utils/custody.js";
+import { audit } from "../utils/audit.js";
+
+const router = Router({ mergeParams: true });
+
+/* --------------------------------- HELPERS -------------------------------- */
+// نوع‌هایی که نمایش درون‌خطی‌شان بی‌خطر است (SVG/HTML هرگز inline نمی‌شوند)
+const INLINE_MIMES = new Set(["image/jpeg", "image/png", "image/gif", "image/webp", "image/bmp", "application/pdf"]);
+
+async function loadIncident(req, { includeDeleted = false } = {}) {
+  const id = Number(req.params.incidentId);
+  if (!id) return null;
+  const { rows } = await dbQueryIncidents({
+    filters: { id, deleted: includeDeleted ? "any" : false },
+    fields: ["title", "reporter_id", "category_id", "deleted_at"],
+  });
+  return rows?.[0] || null;
+}
+
+/**
+ * بارگذاری حادثه و بررسی دسترسی خواندن؛ در صورت عدم دسترسی پاسخ خطا ارسال و null برمی‌گردد.
+ */
+async function readableIncidentOr404(req, res) {
+  const incident = await loadIncident(req, { includeDeleted: isAdmin(req.user) });
+  if (!incident) { res.status(404).json({ message: "حادثه یافت نشد." }); return null; }
+  if (!canReadIncident(req.user, incident, req)) { res.status(403).json({ message: "دسترسی غیرمجاز." }); return null; }
+  return incident;
+}
+
+/** حادثه‌ای که کاربر ادمین محدوده‌ی آن است (بررسی و گزارش نگهداری) */
+async function custodyIncidentOr404(req, res) {
+  const incident = await readableIncidentOr404(req, res);
+  if (!incident) return null;
+  if (!isAdminInScope(req.user, incident)) { res.status(403).json({ message: "دسترسی غیرمجاز." }); return null; }
+  return incident;
+}
+
+function encodeRFC5987ValueChars(str = "") {
+  return encodeURIComponent(str).replace(/['()]/g, escape).replace(/\*/g, "%2A");
+}
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/incidents/:incidentId/attachments
+router.get("/", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    res.json(await dbListAttachments(incident.id));
+  } catch (e) {
+    console.error("ATTACHMENTS_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت پیوست‌ها." });
+  }
+});
+
+// دسترسی پیش از دریافت فایل‌ها بررسی می‌شود تا درخواست غیرمجاز چیزی روی دیسک ننویسد
+async function uploadableIncident(req, res, next) {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    if (incident.deleted_at) return res.status(409).json({ message: "به حادثه‌ی حذف‌شده نمی‌توان پیوست افزود." });
+    req.incident = incident;
+    next();
+  } catch (e) {
+    console.error("ATTACHMENTS_UPLOAD_ERR:", e);
+    res.status(500).json({ message: "بارگذاری پیوست با خطا مواجه شد." });
+  }
+}
+
+// POST /api/incidents/:incidentId/attachments  (multipart، فیلد files؛ هر کسی که حادثه را می‌بیند)
+router.post("/", authRequired, uploadableIncident, uploadEvidence, async (req, res) => {
+  try {
+    if (!req.files?.length) return res.status(400).json({ message: "فایلی ارسال نشده است." });
+
+    const created = await saveAttachments(req, req.incident.id, req.files);
+    res.status(201).json(created);
+  } catch (e) {
+    console.error("ATTACHMENTS_UPLOAD_ERR:", e);
+    res.status(500).json({ message: "بارگذاری پیوست با خطا مواجه شد." });
+  }
+});
+
+// GET /api/incidents/:incidentId/attachments/verify  (?id= برای یک پیوست؛ ادمین در محدوده)
+// hash فایل‌های ذخیره‌شده دوباره محاسبه و با hash زمان دریافت مقایسه می‌شود.
+router.get("/verify", authRequired, async (req, res) => {
+  try {
+    const incident = await custodyIncidentOr404(req, res);
+    if (!incident) return;
+    let attachments = await dbListAttachmentRecords(incident.id);
+    if (req.query?.id !== undefined) {
+      attachments = attachments.filter(a => a.id === Number(req.query.id));
+      if (!attachments.length) return res.status(404).json({ message: "پیوست یافت نشد." });
+    }
+    const result = await verifyAttachments(req, attachments, openAttachment);
+    res.json({ incident_id: incident.id, ...result });
+  } catch (e) {
+    console.error("ATTACHMENTS_VERIFY_ERR:", e);
+    res.status(500).json({ message: "خطا در بررسی صحت پیوست‌ها." });
+  }
+});
+
+// GET /api/incidents/:incidentId/attachments/custody?format=json|csv|pdf  (گزارش نگهداری؛ ادمین در محدوده)
+router.get("/custody", authRequired, async (req, res) => {
+  try {
+    const format = String(req.query?.format || "json").toLowerCase();
+    if (!CUSTODY_REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format باید یکی از ${CUSTODY_REPORT_FORMATS.join(", ")} باشد.` });
+    }
+    const incident = await custodyIncidentOr404(req, res);
+    if (!incident) return;
+
+    const attachments = await dbListAttachmentRecords(incident.id);
+    await audit(req, "incident_attachment.custody_export", {
+      targetType: "incident", targetId: incident.id, details: { format, attachments: attachments.length },
+    });
+    await sendCustodyReport(req, res, format, { incident, attachments });
+  } catch (e) {
+    console.error("ATTACHMENTS_CUSTODY_ERR:", e);
+    if (!res.headersSent) res.status(500).json({ message: "خطا در تهیه‌ی گزارش نگهداری." });
+  }
+});
+
+// GET /api/incidents/:incidentId/attachments/:id/custody  (رویدادهای نگهداری یک پیوست، حتی پس از حذف آن)
+router.get("/:id/custody", authRequired, async (req, res) => {
+  try {
+    const incident = await custodyIncidentOr404(req, res);
+    if (!incident) return;
+    const attachmentId = Number(req.params.id) || 0;
+    const events = await dbListCustodyEvents({ incidentId: incident.id, attachmentId });
+    // پیوست حذف‌شده فقط از روی رویدادهایش شناخته می‌شود؛ پیوست موجود بدون رویداد → فهرست خالی
+    if (!events.length && !(await dbGetAttachment(incident.id, attachmentId))) {
+      return res.status(404).json({ message: "پیوست یافت نشد." });
+    }
+    res.json(events);
+  } catch (e) {
+    console.error("ATTACHMENTS_CUSTODY_EVENTS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت رویدادهای نگهداری." });
+  }
+});
+
+// GET /api/incidents/:incidentId/attachments/:id/download  (?inline=1 برای تصویر/PDF)
+router.get("/:id/download", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    const att = await dbGetAttachment(incident.id, Number(req.params.id) || 0);
+    if (!att) return res.status(404).json({ message: "پیوست یافت نشد." });
+
+    const stream = await openAttachment(att);
+    if (!stream) return res.status(404).json({ message: "فایل پیوست وجود ندارد." });
+    const inline = ["1", "true"].includes(String(req.query?.inline || "")) && INLINE_MIMES.has(att.mime);
+    try {
+      await recordCustody(req, att, inline ? "viewed" : "downloaded", { sha256: att.sha256 || null });
+    } catch (err) {
+      stream.destroy();
+      throw err;
+    }
+    await audit(req, "incident_attachment.download", {
+      targetType: "incident_attachment", targetId: att.id, details: { incident_id: incident.id, name: att.original_name },
+    });
+
+    res.setHeader("Content-Type", inline ? att.mime : "application/octet-stream");
+    if (att.size) res.setHeader("Content-Length", String(att.size));
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Cache-Control", "private, no-store");
+    res.setHeader("Content-Disposition",
+      `${inline ? "inline" : "attachment"}; filename="${att.original_name.replace(/[^\x20-\x7E]|"/g, "_")}"; filename*=UTF-8''${encodeRFC5987ValueChars(att.original_name)}`
+    );
+    stream.on("error", (err) => {
+      console.error("ATTACHMENTS_STREAM_ERR:", err);
+      if (!res.headersSent) res.status(500).json({ message: "خطا در دانلود پیوست." });
+      else res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (e) {
+    console.error("ATTACHMENTS_DOWNLOAD_ERR:", e);
+    res.status(500).json({ message: "خطا در دانلود پیوست." });
+  }
+});
+
+// DELETE /api/incidents/:incidentId/attachments/:id  (بارگذارنده یا ادمین در محدوده)
+router.delete("/:id", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    const att = await dbGetAttachment(incident.id, Number(req.params.id) || 0);
+    if (!att) return res.status(404).json({ message: "پیوست یافت نشد." });
+    if (att.uploaded_by !== req.user.id && !isAdminInScope(req.user, incident)) {
+      return res.status(403).json({ message: "فقط بارگذارنده یا ادمین می‌تواند پیوست را حذف کند." });
+    }
+
+    await deleteAttachment(req, att);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("ATTACHMENTS_DELETE_ERR:", e);
+    res.status(500).json({ message: "حذف پیوست با خطا مواجه شد." });
+  }
+});
+
+export default router;
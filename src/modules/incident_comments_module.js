@@ -0,0 +1,163 @@
+// backend/src/modules/incident_comments_module.js
+// گفتگوی حادثه: /api/incidents/:incidentId/comments
+// دسترسی همانند canReadIncident؛ یادداشت‌های داخلی (internal) فقط برای ادمین در محدوده.
+import { Router } from "express";
+import { auth as authRequired } from "../middleware/auth.js";
+import { dbQueryIncidents } from "../utils/incidentQuery.js";
+import { canReadIncident, isAdmin, isAdminInScope } from "../utils/incidentAcl.js";
+import {
+  COMMENT_MAX_LENGTH, canSeeComment, commentPermissions,
+  dbListComments, dbGetComment, dbGetCommentRow, createComment, updateComment, deleteComment,
+} from "../utils/comments.js";
+import { jalaliOutput } from "../utils/dates.js";
+import { audit } from "../utils/audit.js";
+
+const router = Router({ mergeParams: true });
+
+/* --------------------------------- HELPERS -------------------------------- */
+async function loadIncident(req, { includeDeleted = false } = {}) {
+  const id = Number(req.params.incidentId);
+  if (!id) return null;
+  const { rows } = await dbQueryIncidents({
+    filters: { id, deleted: includeDeleted ? "any" : false },
+    fields: ["reporter_id", "category_id", "deleted_at"],
+  });
+  return rows?.[0] || null;
+}
+
+/**
+ * بارگذاری حادثه و بررسی دسترسی خواندن؛ در صورت عدم دسترسی پاسخ خطا ارسال و null برمی‌گردد.
+ */
+async function readableIncidentOr404(req, res) {
+  const incident = await loadIncident(req, { includeDeleted: isAdmin(req.user) });
+  if (!incident) { res.status(404).json({ message: "حادثه یافت نشد." }); return null; }
+  if (!canReadIncident(req.user, incident, req)) { res.status(403).json({ message: "دسترسی غیرمجاز." }); return null; }
+  return incident;
+}
+
+/** دیدگاهی که کاربر می‌بیند؛ یادداشت داخلی برای دیگران 404 است (وجودش هم فاش نمی‌شود) */
+async function visibleCommentOr404(req, res, incident) {
+  const row = await dbGetCommentRow(incident.id, Number(req.params.id) || 0);
+  if (!row || !canSeeComment(req.user, incident, row, req)) {
+    res.status(404).json({ message: "دیدگاه یافت نشد." });
+    return null;
+  }
+  return row;
+}
+
+function readBody(input) {
+  const body = typeof input === "string" ? input.trim() : "";
+  if (!body) return { ok: false, message: "متن دیدگاه الزامی است." };
+  if (body.length > COMMENT_MAX_LENGTH) return { ok: false, message: `متن دیدگاه حداکثر ${COMMENT_MAX_LENGTH} نویسه است.` };
+  return { ok: true, body };
+}
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/incidents/:incidentId/comments
+router.get("/", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    res.json(jalaliOutput(req, await dbListComments(req.user, incident)));
+  } catch (e) {
+    console.error("COMMENTS_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت دیدگاه‌ها." });
+  }
+});
+
+// POST /api/incidents/:incidentId/comments  { body, internal? }
+router.post("/", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    if (incident.deleted_at) return res.status(409).json({ message: "برای حادثه‌ی حذف‌شده نمی‌توان دیدگاه ثبت کرد." });
+
+    const parsed = readBody(req.body?.body);
+    if (!parsed.ok) return res.status(400).json({ message: parsed.message });
+    const internal = req.body?.internal === true || ["1", "true"].includes(String(req.body?.internal));
+    if (internal && !isAdminInScope(req.user, incident)) {
+      return res.status(403).json({ message: "یادداشت داخلی فقط توسط ادمین قابل ثبت است." });
+    }
+
+    const comment = await createComment(req.user, incident, { body: parsed.body, internal });
+    await audit(req, "incident_comment.create", {
+      targetType: "incident_comment", targetId: comment.id,
+      details: { incident_id: incident.id, internal, mentions: comment.mentions.map(u => u.id) },
+    });
+    res.status(201).json(jalaliOutput(req, comment));
+  } catch (e) {
+    console.error("COMMENTS_CREATE_ERR:", e);
+    res.status(500).json({ message: "ثبت دیدگاه با خطا مواجه شد." });
+  }
+});
+
+// GET /api/incidents/:incidentId/comments/:id
+router.get("/:id", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    const row = await visibleCommentOr404(req, res, incident);
+    if (!row) return;
+    res.json(jalaliOutput(req, await dbGetComment(req.user, incident, row.id)));
+  } catch (e) {
+    console.error("COMMENTS_GET_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت دیدگاه." });
+  }
+});
+
+// PUT/PATCH /api/incidents/:incidentId/comments/:id  { body }  (فقط نویسنده، در بازه‌ی ویرایش)
+async function updateCommentHandler(req, res) {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    const row = await visibleCommentOr404(req, res, incident);
+    if (!row) return;
+    if (row.deleted_at) return res.status(409).json({ message: "دیدگاه حذف شده است." });
+    if (row.author_id !== req.user.id) return res.status(403).json({ message: "فقط نویسنده می‌تواند دیدگاه را ویرایش کند." });
+    if (!commentPermissions(req.user, incident, row).can_edit) {
+      return res.status(403).json({ message: "مهلت ویرایش این دیدگاه به پایان رسیده است." });
+    }
+
+    const parsed = readBody(req.body?.body);
+    if (!parsed.ok) return res.status(400).json({ message: parsed.message });
+
+    const comment = await updateComment(req.user, incident, row, { body: parsed.body });
+    await audit(req, "incident_comment.update", {
+      targetType: "incident_comment", targetId: row.id, details: { incident_id: incident.id, internal: !!row.internal },
+    });
+    res.json(jalaliOutput(req, comment));
+  } catch (e) {
+    console.error("COMMENTS_UPDATE_ERR:", e);
+    res.status(500).json({ message: "ویرایش دیدگاه با خطا مواجه شد." });
+  }
+}
+router.put("/:id", authRequired, updateCommentHandler);
+router.patch("/:id", authRequired, updateCommentHandler);
+
+// DELETE /api/incidents/:incidentId/comments/:id  (نویسنده در بازه‌ی حذف یا ادمین در محدوده)
+router.delete("/:id", authRequired, async (req, res) => {
+  try {
+    const incident = await readableIncidentOr404(req, res);
+    if (!incident) return;
+    const row = await visibleCommentOr404(req, res, incident);
+    if (!row) return;
+    if (row.deleted_at) return res.status(409).json({ message: "دیدگاه قبلاً حذف شده است." });
+    if (!commentPermissions(req.user, incident, row).can_delete) {
+      return res.status(403).json({
+        message: row.author_id === req.user.id ? "مهلت حذف این دیدگاه به پایان رسیده است." : "دسترسی غیرمجاز.",
+      });
+    }
+
+    await deleteComment(req.user, row);
+    await audit(req, "incident_comment.delete", {
+      targetType: "incident_comment", targetId: row.id,
+      details: { incident_id: incident.id, internal: !!row.internal, author_id: row.author_id },
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("COMMENTS_DELETE_ERR:", e);
+    res.status(500).json({ message: "حذف دیدگاه با خطا مواجه شد." });
+  }
+});
+
+export default router;
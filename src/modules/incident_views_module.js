@@ -0,0 +1,117 @@
+// backend/src/modules/incident_views_module.js
+// نماهای ذخیره‌شده‌ی فهرست حوادث (فیلترهای نام‌دار، خصوصی یا اشتراکی با نقش)
+import { Router } from "express";
+import { auth as authRequired } from "../middleware/auth.js";
+import {
+  MAX_VIEWS_PER_USER, cleanViewParams, dbListViews, dbGetAccessibleView, dbCountOwnViews,
+  dbCreateView, dbUpdateView, dbDeleteView, dbSetDefaultView,
+} from "../utils/incidentViews.js";
+
+const router = Router();
+
+const cleanName = (v) => String(v || "").trim().slice(0, 100);
+const truthy = (v) => v === true || ["1", "true"].includes(String(v));
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/incident-views  (نماهای من + نماهای اشتراکی نقش من)
+router.get("/", authRequired, async (req, res) => {
+  try {
+    res.json(await dbListViews(req.user));
+  } catch (e) {
+    console.error("VIEWS_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت نماهای ذخیره‌شده." });
+  }
+});
+
+// POST /api/incident-views  { name, params: { status_id, priority_id, ... }, shared?, is_default? }
+router.post("/", authRequired, async (req, res) => {
+  try {
+    const { name, params, shared, is_default } = req.body || {};
+    const title = cleanName(name);
+    if (!title) return res.status(400).json({ message: "نام نما الزامی است." });
+    const clean = cleanViewParams(params || {}, req.user.role);
+    if (!clean.ok) return res.status(400).json({ message: clean.message });
+    if (await dbCountOwnViews(req.user.id) >= MAX_VIEWS_PER_USER) {
+      return res.status(409).json({ message: `حداکثر ${MAX_VIEWS_PER_USER} نما قابل ذخیره است.` });
+    }
+
+    const view = await dbCreateView(req.user, { name: title, params: clean.params, shared: truthy(shared) });
+    if (truthy(is_default)) {
+      await dbSetDefaultView(req.user.id, view.id);
+      view.is_default = true;
+    }
+    res.status(201).json(view);
+  } catch (e) {
+    console.error("VIEWS_CREATE_ERR:", e);
+    res.status(500).json({ message: "ذخیره‌ی نما با خطا مواجه شد." });
+  }
+});
+
+// PUT /api/incident-views/:id  { name?, params?, shared? }  (فقط سازنده)
+router.put("/:id", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const { name, params, shared } = req.body || {};
+    const patch = {};
+    if (name !== undefined) {
+      patch.name = cleanName(name);
+      if (!patch.name) return res.status(400).json({ message: "نام نما الزامی است." });
+    }
+    if (params !== undefined) {
+      const clean = cleanViewParams(params, req.user.role);
+      if (!clean.ok) return res.status(400).json({ message: clean.message });
+      patch.params = clean.params;
+    }
+    if (shared !== undefined) patch.shared = truthy(shared);
+
+    const view = await dbUpdateView(req.user, id, patch);
+    if (!view) return res.status(404).json({ message: "نما یافت نشد یا متعلق به شما نیست." });
+    res.json(view);
+  } catch (e) {
+    console.error("VIEWS_UPDATE_ERR:", e);
+    res.status(500).json({ message: "ویرایش نما با خطا مواجه شد." });
+  }
+});
+
+// DELETE /api/incident-views/default  (برداشتن نمای پیش‌فرض؛ پیش از /:id)
+router.delete("/default", authRequired, async (req, res) => {
+  try {
+    await dbSetDefaultView(req.user.id, null);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("VIEWS_DEFAULT_CLEAR_ERR:", e);
+    res.status(500).json({ message: "برداشتن نمای پیش‌فرض با خطا مواجه شد." });
+  }
+});
+
+// DELETE /api/incident-views/:id  (فقط سازنده)
+router.delete("/:id", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const ok = await dbDeleteView(req.user, id);
+    if (!ok) return res.status(404).json({ message: "نما یافت نشد یا متعلق به شما نیست." });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("VIEWS_DELETE_ERR:", e);
+    res.status(500).json({ message: "حذف نما با خطا مواجه شد." });
+  }
+});
+
+// POST /api/incident-views/:id/default  (نمای خود یا اشتراکی را پیش‌فرض کن)
+router.post("/:id/default", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const view = await dbGetAccessibleView(req.user, id);
+    if (!view) return res.status(404).json({ message: "نما یافت نشد." });
+    await dbSetDefaultView(req.user.id, id);
+    res.json({ ...view, is_default: true });
+  } catch (e) {
+    console.error("VIEWS_DEFAULT_ERR:", e);
+    res.status(500).json({ message: "تنظیم نمای پیش‌فرض با خطا مواجه شد." });
+  }
+});
+
+export default router;
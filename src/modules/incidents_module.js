@@ -1,220 +1,32 @@
 // backend/src/modules/incidents_module.js
 import { Router } from "express";
-import { auth as authRequired, allowRoles } from "../middleware/auth.js";
+import { auth as authRequired, allowRoles, apiKeyScope } from "../middleware/auth.js";
 import { pool } from "../config/db.js";
-import jalaali from "jalaali-js";
+import { apiKeyPhysicalOnly, canReadIncident, isAdmin, isAdminInScope } from "../utils/incidentAcl.js";
+import { uploadEvidence } from "../middleware/upload.js";
+import { saveAttachmentsSettled } from "../utils/attachments.js";
+import { withRevision, dbListIncidentHistory } from "../utils/revisions.js";
+import { parseListQuery, dbQueryIncidents, dbSearchIncidentIds, sendIncidentList } from "../utils/incidentQuery.js";
+import { toGregorianISO, jalaliOutput } from "../utils/dates.js";
+import { dbIncidentStats } from "../utils/incidentStats.js";
+import { EXPORT_FORMATS, exportMaxRows, sendIncidentExport, dbListActionsForIncidents } from "../utils/incidentExport.js";
+import { searchTerms, highlight } from "../utils/search.js";
+import { dbGetAccessibleView, dbGetDefaultView, mergeViewQuery } from "../utils/incidentViews.js";
+import {
+  autoAssignIncident, assignIncident, dbListAssignmentHistory, dbGetUserBrief, dbGetTeam,
+  dbTeamMembers, canBeAssignee, teamFitsIncident,
+} from "../utils/assignment.js";
+import { attachSla } from "../utils/sla.js";
+import { emitIncidentChanged } from "../utils/incidentEvents.js";
+import { audit } from "../utils/audit.js";
 
 const router = Router();
 
-/* ------------------------------- DATE HELPERS ------------------------------ */
-// نرمال‌سازی ورودی شمسی (ارقام فارسی/عربی، جداکننده‌ها و فاصله‌ها)
-function normalizeJalaliInput(input = "") {
-  const fa = "۰۱۲۳۴۵۶۷۸۹";
-  const ar = "٠١٢٣٤٥٦٧٨٩";
-  let s = String(input).trim();
-  s = s.replace(/[۰-۹]/g, d => String(fa.indexOf(d)))
-       .replace(/[٠-٩]/g, d => String(ar.indexOf(d)))
-       .replace(/[\.\/]/g, "-")
-       .replace(/\s+/g, " ");
-  return s;
-}
-const pad2 = (n) => (n < 10 ? `0${n}` : String(n));
-
-/**
- * تبدیل تاریخ شمسی (YYYY-MM-DD) + زمان (HH:mm اختیاری) به رشته‌ی میلادی ISO برای MySQL
- * مثال خروجی: "2025-09-12 07:41:00"
- */
-function toGregorianISO(jalaliDate, timeHHmm) {
-  if (!jalaliDate) return null;
-  const norm = normalizeJalaliInput(jalaliDate);
-  const m = String(norm).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (!m) return null;
-
-  // ✅ تبدیل دقیق با jalaali-js (جلوگیری از جابه‌جایی ~۲۰ روزه)
-  const { gy, gm, gd } = jalaali.toGregorian(Number(m[1]), Number(m[2]), Number(m[3]));
-  const time =
-    timeHHmm && /^\d{1,2}:\d{2}$/.test(String(timeHHmm).trim())
-      ? String(timeHHmm).trim()
-      : "00:00";
-  return `${gy}-${pad2(gm)}-${pad2(gd)} ${time}:00`;
-}
-
 /* ---------------------------------- MODEL --------------------------------- */
-function categoryLabelById(cid) {
-  if (cid === 1) return "cyber";
-  if (cid === 2) return "physical";
-  return `cat_${cid ?? ""}`;
-}
-
-async function dbListMyIncidents(userId) {
-  const [rows] = await pool.query(
-    `
-    SELECT
-      i.id, i.title, i.category_id,
-      CASE WHEN i.category_id=1 THEN 'cyber'
-           WHEN i.category_id=2 THEN 'physical'
-           ELSE CONCAT('cat_', i.category_id) END AS category_label,
-      i.location_id,  l.name  AS location_name,
-      i.priority_id,  p.name  AS priority_name,
-      i.status_id,    s.name  AS status_name,
-      i.description,
-      i.reporter_id,  u.username AS reporter_username, u.fullname AS reporter_fullname,
-      DATE_FORMAT(i.submission_date, '%Y-%m-%d %H:%i:%s') AS submission_date,
-      DATE_FORMAT(i.created_at,       '%Y-%m-%d %H:%i:%s') AS created_at,
-      -- ✅ افزوده‌ها برای داشبورد:
-      DATE_FORMAT(i.first_action_at,  '%Y-%m-%d %H:%i:%s') AS first_action_at,
-      DATE_FORMAT(i.resolved_at,      '%Y-%m-%d %H:%i:%s') AS resolved_at,
-
-      -- آمار و آخرین اقدام
-      ac.actions_count,
-      la.description                                                   AS last_action_description,
-      DATE_FORMAT(la.action_date, '%Y-%m-%d')                          AS last_action_date,
-      DATE_FORMAT(COALESCE(la.added_at, la.created_at), '%Y-%m-%d %H:%i:%s') AS last_action_at,
-      la.status_id                                                     AS last_action_status_id,
-      ls.name                                                          AS last_action_status_name
-
-    FROM incidents i
-    LEFT JOIN locations  l ON l.id = i.location_id
-    LEFT JOIN priorities p ON p.id = i.priority_id
-    LEFT JOIN statuses   s ON s.id = i.status_id
-    LEFT JOIN users      u ON u.id = i.reporter_id
-
-    LEFT JOIN (
-      SELECT incident_id,
-             COUNT(*) AS actions_count,
-             MAX(id)  AS last_action_id
-      FROM actions
-      GROUP BY incident_id
-    ) ac ON ac.incident_id = i.id
-    LEFT JOIN actions  la ON la.id = ac.last_action_id
-    LEFT JOIN statuses ls ON ls.id = la.status_id
-
-    WHERE i.reporter_id = ?
-    ORDER BY i.id DESC
-    `,
-    [userId]
-  );
-  return rows;
-}
-
-async function dbListAllByFilters(filters = {}) {
-  const { status_id, priority_id, location_id, category_id, search, scope, reporter_id } = filters;
-  const where = [], params = [];
-
-  if (scope === "physical") where.push("i.category_id = 2");
-  if (status_id)   { where.push("i.status_id = ?");   params.push(Number(status_id)); }
-  if (priority_id) { where.push("i.priority_id = ?"); params.push(Number(priority_id)); }
-  if (location_id) { where.push("i.location_id = ?"); params.push(Number(location_id)); }
-  if (category_id) { where.push("i.category_id = ?"); params.push(Number(category_id)); }
-  if (reporter_id) { where.push("i.reporter_id = ?"); params.push(Number(reporter_id)); }
-
-  if (search) {
-    const s = String(search).slice(0, 256); // جلوگیری از کوئری بسیار طولانی
-    where.push("(i.title LIKE ? OR i.description LIKE ?)");
-    const like = `%${s}%`;
-    params.push(like, like);
-  }
-
-  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
-
-  const [rows] = await pool.query(
-    `
-    SELECT
-      i.id, i.title, i.category_id,
-      CASE WHEN i.category_id=1 THEN 'cyber'
-           WHEN i.category_id=2 THEN 'physical'
-           ELSE CONCAT('cat_', i.category_id) END AS category_label,
-      i.location_id,  l.name  AS location_name,
-      i.priority_id,  p.name  AS priority_name,
-      i.status_id,    s.name  AS status_name,
-      i.description,
-      i.reporter_id,  u.username AS reporter_username, u.fullname AS reporter_fullname,
-      DATE_FORMAT(i.submission_date, '%Y-%m-%d %H:%i:%s') AS submission_date,
-      DATE_FORMAT(i.created_at,       '%Y-%m-%d %H:%i:%s') AS created_at,
-      -- ✅ افزوده‌ها برای داشبورد:
-      DATE_FORMAT(i.first_action_at,  '%Y-%m-%d %H:%i:%s') AS first_action_at,
-      DATE_FORMAT(i.resolved_at,      '%Y-%m-%d %H:%i:%s') AS resolved_at,
-
-      -- آمار و آخرین اقدام
-      ac.actions_count,
-      la.description                                                   AS last_action_description,
-      DATE_FORMAT(la.action_date, '%Y-%m-%d')                          AS last_action_date,
-      DATE_FORMAT(COALESCE(la.added_at, la.created_at), '%Y-%m-%d %H:%i:%s') AS last_action_at,
-      la.status_id                                                     AS last_action_status_id,
-      ls.name                                                          AS last_action_status_name
-
-    FROM incidents i
-    LEFT JOIN locations  l ON l.id = i.location_id
-    LEFT JOIN priorities p ON p.id = i.priority_id
-    LEFT JOIN statuses   s ON s.id = i.status_id
-    LEFT JOIN users      u ON u.id = i.reporter_id
-
-    LEFT JOIN (
-      SELECT incident_id,
-             COUNT(*) AS actions_count,
-             MAX(id)  AS last_action_id
-      FROM actions
-      GROUP BY incident_id
-    ) ac ON ac.incident_id = i.id
-    LEFT JOIN actions  la ON la.id = ac.last_action_id
-    LEFT JOIN statuses ls ON ls.id = la.status_id
-
-    ${whereSql}
-    ORDER BY i.id DESC
-    `,
-    params
-  );
-  return rows;
-}
-
-async function dbGetIncidentById(id) {
-  const [rows] = await pool.query(
-    `
-    SELECT
-      i.id, i.title, i.category_id,
-      CASE WHEN i.category_id=1 THEN 'cyber'
-           WHEN i.category_id=2 THEN 'physical'
-           ELSE CONCAT('cat_', i.category_id) END AS category_label,
-      i.location_id,  l.name  AS location_name,
-      i.priority_id,  p.name  AS priority_name,
-      i.status_id,    s.name  AS status_name,
-      i.description,
-      i.reporter_id,  u.username AS reporter_username, u.fullname AS reporter_fullname,
-      DATE_FORMAT(i.submission_date, '%Y-%m-%d %H:%i:%s') AS submission_date,
-      DATE_FORMAT(i.created_at,       '%Y-%m-%d %H:%i:%s') AS created_at,
-      DATE_FORMAT(i.first_action_at,  '%Y-%m-%d %H:%i:%s') AS first_action_at,
-      DATE_FORMAT(i.resolved_at,      '%Y-%m-%d %H:%i:%s') AS resolved_at,
-      DATE_FORMAT(i.updated_at,       '%Y-%m-%d %H:%i:%s') AS updated_at,
-
-      ac.actions_count,
-      la.description                                                   AS last_action_description,
-      DATE_FORMAT(la.action_date, '%Y-%m-%d')                          AS last_action_date,
-      DATE_FORMAT(COALESCE(la.added_at, la.created_at), '%Y-%m-%d %H:%i:%s') AS last_action_at,
-      la.status_id                                                     AS last_action_status_id,
-      ls.name                                                          AS last_action_status_name
-
-    FROM incidents i
-    LEFT JOIN locations  l ON l.id = i.location_id
-    LEFT JOIN priorities p ON p.id = i.priority_id
-    LEFT JOIN statuses   s ON s.id = i.status_id
-    LEFT JOIN users      u ON u.id = i.reporter_id
-
-    LEFT JOIN (
-      SELECT incident_id,
-             COUNT(*) AS actions_count,
-             MAX(id)  AS last_action_id
-      FROM actions
-      GROUP BY incident_id
-    ) ac ON ac.incident_id = i.id
-    LEFT JOIN actions  la ON la.id = ac.last_action_id
-    LEFT JOIN statuses ls ON ls.id = la.status_id
-
-    WHERE i.id = ?
-    LIMIT 1
-    `,
-    [id]
-  );
-  return rows?.[0] || null;
+/** حادثه با همه‌ی فیلدها و وضعیت SLA محاسبه‌شده */
+async function dbGetIncidentById(id, { includeDeleted = false } = {}) {
+  const { rows } = await dbQueryIncidents({ filters: { id, deleted: includeDeleted ? "any" : false } });
+  return rows?.[0] ? attachSla(rows[0]) : null;
 }
 
 async function dbCreateIncident(data) {
@@ -243,54 +55,155 @@ async function dbCreateIncident(data) {
   return await dbGetIncidentById(res.insertId);
 }
 
+/** ویرایش فیلدهای مجاز؛ فقط فیلدهای ارسال‌شده تغییر می‌کنند */
+async function dbUpdateIncident(id, fields, updatedBy) {
+  const cols = ["title", "description", "location_id", "priority_id", "category_id", "submission_date"];
+  const sets = [], params = [];
+  for (const c of cols) {
+    if (fields[c] === undefined) continue;
+    sets.push(`${c} = ?`);
+    params.push(fields[c]);
+  }
+  if (sets.length) {
+    await pool.query(
+      `UPDATE incidents SET ${sets.join(", ")}, updated_by = ?, updated_at = NOW() WHERE id = ?`,
+      [...params, updatedBy, id]
+    );
+  }
+  return await dbGetIncidentById(id);
+}
+
+async function dbWithdrawIncident(id, userId, reason) {
+  const [res] = await pool.query(
+    `UPDATE incidents
+        SET withdrawn_at = NOW(), withdrawn_by = ?, withdraw_reason = ?, updated_at = NOW()
+      WHERE id = ? AND withdrawn_at IS NULL AND resolved_at IS NULL AND deleted_at IS NULL`,
+    [userId, reason || null, id]
+  );
+  return res.affectedRows > 0;
+}
+
+async function dbSoftDeleteIncident(id, userId) {
+  const [res] = await pool.query(
+    "UPDATE incidents SET deleted_at = NOW(), deleted_by = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL",
+    [userId, id]
+  );
+  return res.affectedRows > 0;
+}
+
+async function dbRestoreIncident(id) {
+  const [res] = await pool.query(
+    "UPDATE incidents SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW() WHERE id = ? AND deleted_at IS NOT NULL",
+    [id]
+  );
+  return res.affectedRows > 0;
+}
+
 /* ----------------------------------- ACL ---------------------------------- */
-function canReadIncident(user, incident) {
-  if (!user || !incident) return false;
-  const { role, id } = user;
-  if (role === "system-admin") return true;
-  if (role === "defense-admin") return incident.category_id === 2;
-  return incident.reporter_id === id;
+/**
+ * قواعد ویرایش: گزارش‌دهنده تا پیش از ثبت اولین اقدام، ادمین‌ها در محدوده‌ی خود همیشه.
+ * خروجی: null (مجاز) یا { status, message }
+ */
+function editDenial(user, incident) {
+  if (incident.withdrawn_at) return { status: 409, message: "گزارش پس‌گرفته‌شده قابل ویرایش نیست." };
+  if (isAdminInScope(user, incident)) return null;
+  if (incident.reporter_id !== user?.id) return { status: 403, message: "دسترسی غیرمجاز." };
+  if (incident.first_action_at || Number(incident.actions_count) > 0) {
+    return { status: 409, message: "پس از ثبت اولین اقدام، ویرایش گزارش فقط توسط ادمین ممکن است." };
+  }
+  return null;
 }
-function isAdmin(user) {
-  return user?.role === "system-admin" || user?.role === "defense-admin";
+
+/**
+ * پارامترهای فهرست از query، با اعمال نمای ذخیره‌شده (view=:id یا view=default).
+ * پارامترهای صریح درخواست بر پارامترهای نما مقدم‌اند.
+ */
+async function listQueryFrom(req) {
+  const query = req.query || {};
+  if (!query.view) return parseListQuery(query);
+  if (req.user?.role === "api-key") return { ok: false, message: "نمای ذخیره‌شده برای کلید API در دسترس نیست." };
+
+  const view = query.view === "default"
+    ? await dbGetDefaultView(req.user)
+    : await dbGetAccessibleView(req.user, Number(query.view) || 0);
+  if (!view) return { ok: false, status: 404, message: "نمای ذخیره‌شده یافت نشد." };
+  const parsed = parseListQuery(mergeViewQuery(view, query));
+  if (parsed.ok) parsed.list.view = { id: view.id, name: view.name, deleted: view.params.deleted };
+  return parsed;
+}
+
+/**
+ * پارامترهای فهرست مدیریتی با اعمال محدوده‌ی دسترسی (برای فهرست، آمار، جستجو و خروجی).
+ * defense-admin و کلید API فقط‌فیزیکی همیشه فقط فیزیکال می‌بینند؛ نمای اشتراکی هم این را تغییر نمی‌دهد.
+ */
+async function scopedListQuery(req) {
+  const parsed = await listQueryFrom(req);
+  if (!parsed.ok) return parsed;
+  const { list } = parsed;
+  const physicalOnly = req.user?.role === "defense-admin" || apiKeyPhysicalOnly(req);
+  if (physicalOnly) list.filters = { ...list.filters, scope: "physical", category_id: 2 };
+  const deleted = req.query?.deleted ?? list.view?.deleted;
+  list.filters.deleted = isAdmin(req.user) && ["1", "true"].includes(String(deleted || ""));
+  return parsed;
 }
 
 /* --------------------------------- ROUTES --------------------------------- */
 // GET /api/incidents/mine
+// پارامترهای فهرست (هر دو مسیر): page, page_size, sort=-submission_date|priority|status|last_action,
+// fields=id,title,..., submitted_from/to, resolved_from/to (YYYY-MM-DD) یا نسخه‌ی _jalali هر کدام،
+// from/to و from_jalali/to_jalali (بازه‌ی تاریخ وقوع)، jalali=1 (افزودن معادل شمسی تاریخ‌ها)،
+// view=:id|default (نمای ذخیره‌شده؛ /api/incident-views)
 router.get("/mine", authRequired, async (req, res) => {
   try {
     const me = req.user;
-    const rows = await dbListMyIncidents(me.id);
-    res.json(rows);
+    const parsed = await listQueryFrom(req);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const { list } = parsed;
+    list.filters = { ...list.filters, reporter_id: me.id };
+    const result = await dbQueryIncidents(list);
+    result.rows = await attachSla(result.rows);
+    sendIncidentList(res, list, result);
   } catch (e) {
     console.error("INCIDENTS_MINE_ERR:", e);
     res.status(500).json({ message: "خطا در دریافت گزارش‌های شما." });
   }
 });
 
+// GET /api/incidents/assigned  (واگذارشده به من؛ include_teams=1 حوادث بدون مسئولِ تیم‌های من را هم می‌آورد)
+// همان پارامترهای فهرست؛ assignee_id=none|:id و team_id در فهرست مدیریتی هم پشتیبانی می‌شوند
+router.get("/assigned", authRequired, allowRoles("defense-admin", "system-admin"), async (req, res) => {
+  try {
+    const parsed = await scopedListQuery(req);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const { list } = parsed;
+    list.filters = {
+      ...list.filters,
+      assigned_to: req.user.id,
+      assigned_to_teams: ["1", "true"].includes(String(req.query?.include_teams || "")),
+    };
+    const result = await dbQueryIncidents(list);
+    result.rows = await attachSla(result.rows);
+    sendIncidentList(res, list, result);
+  } catch (e) {
+    console.error("INCIDENTS_ASSIGNED_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت حوادث واگذارشده به شما." });
+  }
+});
+
 // GET /api/incidents  (admins list with filters & reporter filter)
 router.get(
   "/",
+  apiKeyScope("incidents:read", "incidents:read:physical"),
   authRequired,
-  allowRoles("defense-admin", "system-admin"),
+  allowRoles("defense-admin", "system-admin", "api-key"),
   async (req, res) => {
     try {
-      const { status_id, priority_id, location_id, category_id, search, scope, reporter_id } = req.query || {};
-
-      // اگر نقش defense-admin است، فقط فیزیکال را برگردان
-      const forcedScope = req.user?.role === "defense-admin" ? "physical" : (scope === "physical" ? "physical" : "all");
-      const forcedCategoryId = req.user?.role === "defense-admin" ? 2 : (category_id || undefined);
-
-      const rows = await dbListAllByFilters({
-        status_id: status_id ? Number(status_id) : undefined,
-        priority_id: priority_id ? Number(priority_id) : undefined,
-        location_id: location_id ? Number(location_id) : undefined,
-        category_id: forcedCategoryId ? Number(forcedCategoryId) : undefined,
-        reporter_id: reporter_id ? Number(reporter_id) : undefined,
-        search: search ? String(search).trim() : undefined,
-        scope: forcedScope,
-      });
-      res.json(rows);
+      const parsed = await scopedListQuery(req);
+      if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+      const { list } = parsed;
+      const result = await dbQueryIncidents(list);
+      result.rows = await attachSla(result.rows);
+      sendIncidentList(res, list, result);
     } catch (e) {
       console.error("INCIDENTS_ALL_ERR:", e);
       res.status(500).json({ message: "خطا در دریافت فهرست حوادث." });
@@ -298,23 +211,156 @@ router.get(
   }
 );
 
+// GET /api/incidents/stats  (آمار داشبورد؛ همان فیلترهای فهرست، بدون صفحه‌بندی و مرتب‌سازی)
+router.get(
+  "/stats",
+  apiKeyScope("incidents:read", "incidents:read:physical"),
+  authRequired,
+  allowRoles("defense-admin", "system-admin", "api-key"),
+  async (req, res) => {
+    try {
+      const parsed = await scopedListQuery(req);
+      if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+      res.json(await dbIncidentStats(parsed.list.filters));
+    } catch (e) {
+      console.error("INCIDENTS_STATS_ERR:", e);
+      res.status(500).json({ message: "خطا در محاسبه‌ی آمار حوادث." });
+    }
+  }
+);
+
+// GET /api/incidents/search?q=...&page=1&page_size=20 (+ فیلترهای فهرست)
+// نتایج به ترتیب ارتباط، با بریده‌های برجسته‌شده از عنوان، شرح و اقدامات؛ کاربر عادی فقط گزارش‌های خودش را می‌بیند
+router.get("/search", apiKeyScope("incidents:read", "incidents:read:physical"), authRequired, async (req, res) => {
+  try {
+    const terms = searchTerms(req.query?.q);
+    if (!terms.length) return res.status(400).json({ message: "عبارت جستجو باید دست‌کم دو نویسه داشته باشد." });
+
+    const parsed = await scopedListQuery(req);
+    if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+    const { list } = parsed;
+    if (!isAdmin(req.user) && req.user.role !== "api-key") list.filters.reporter_id = req.user.id;
+    delete list.filters.search;
+
+    const { hits, total } = await dbSearchIncidentIds(terms, list.filters, { page: list.page, pageSize: list.pageSize });
+    const ids = hits.map(h => h.id);
+    const { rows } = await dbQueryIncidents({
+      // عنوان و شرح برای ساخت بریده‌ها لازم است
+      filters: { ids, deleted: list.filters.deleted },
+      fields: list.fields && [...list.fields, "title", "description"],
+    });
+    const actions = await dbListActionsForIncidents(ids);
+    const byId = new Map((await attachSla(rows)).map(r => [r.id, r]));
+
+    const items = hits.filter(h => byId.has(h.id)).map(h => {
+      const inc = byId.get(h.id);
+      return {
+        ...jalaliOutput(req, inc),
+        score: h.score,
+        highlights: {
+          title: highlight(inc.title, terms, { whole: true }),
+          description: highlight(inc.description, terms),
+          actions: (actions.get(h.id) || [])
+            .map(a => ({ id: a.id, action_date: a.action_date, snippet: highlight(a.description, terms) }))
+            .filter(a => a.snippet),
+        },
+      };
+    });
+    res.setHeader("X-Total-Count", String(total));
+    res.json({ items, total, page: list.page, page_size: list.pageSize, terms });
+  } catch (e) {
+    console.error("INCIDENTS_SEARCH_ERR:", e);
+    res.status(500).json({ message: "جستجو با خطا مواجه شد." });
+  }
+});
+
+// GET /api/incidents/export?format=xlsx|csv|pdf  (همان فیلترها و مرتب‌سازی GET /api/incidents، همراه اقدامات)
+router.get(
+  "/export",
+  apiKeyScope("incidents:read", "incidents:read:physical"),
+  authRequired,
+  allowRoles("defense-admin", "system-admin", "api-key"),
+  async (req, res) => {
+    try {
+      const format = String(req.query?.format || "xlsx").toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ message: `قالب خروجی باید یکی از ${EXPORT_FORMATS.join(", ")} باشد.` });
+      }
+      const parsed = await scopedListQuery(req);
+      if (!parsed.ok) return res.status(parsed.status || 400).json({ message: parsed.message });
+      const maxRows = exportMaxRows();
+      const list = { ...parsed.list, fields: null, paginated: true, page: 1, pageSize: maxRows };
+
+      const { rows, total } = await dbQueryIncidents(list);
+      if (total > maxRows) {
+        return res.status(400).json({
+          message: `تعداد حوادث (${total}) بیش از سقف خروجی (${maxRows}) است؛ فیلترها را محدودتر کنید.`,
+        });
+      }
+
+      await audit(req, "incident.export", { details: { format, count: rows.length, query: req.query } });
+      await sendIncidentExport(res, format, rows);
+    } catch (e) {
+      console.error("INCIDENTS_EXPORT_ERR:", e);
+      if (!res.headersSent) res.status(500).json({ message: "تهیه‌ی خروجی با خطا مواجه شد." });
+      else res.end();
+    }
+  }
+);
+
+// GET /api/incidents/:id/history  (خط زمانی تغییرات حادثه و اقداماتش)
+router.get("/:id/history", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id, { includeDeleted: isAdmin(req.user) });
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (!canReadIncident(req.user, incident, req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+
+    const items = await dbListIncidentHistory(id);
+    res.json({ incident_id: id, items: jalaliOutput(req, items) });
+  } catch (e) {
+    console.error("INCIDENTS_HISTORY_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت تاریخچه‌ی حادثه." });
+  }
+});
+
+// GET /api/incidents/:id/assignments  (تاریخچه‌ی واگذاری؛ هر کسی که حادثه را می‌بیند)
+router.get("/:id/assignments", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id, { includeDeleted: isAdmin(req.user) });
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (!canReadIncident(req.user, incident, req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+
+    const items = await dbListAssignmentHistory(id);
+    res.json({ incident_id: id, items: jalaliOutput(req, items) });
+  } catch (e) {
+    console.error("INCIDENTS_ASSIGNMENTS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت تاریخچه‌ی واگذاری." });
+  }
+});
+
 // GET /api/incidents/:id
-router.get("/:id", authRequired, async (req, res) => {
+router.get("/:id", apiKeyScope("incidents:read", "incidents:read:physical"), authRequired, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
-    const incident = await dbGetIncidentById(id);
+    // ادمین حادثه‌ی حذف‌شده‌ی محدوده‌ی خود را هم می‌بیند (برای بازگردانی)
+    const incident = await dbGetIncidentById(id, { includeDeleted: isAdmin(req.user) });
     if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
-    if (!canReadIncident(req.user, incident)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
-    res.json(incident);
+    if (!canReadIncident(req.user, incident, req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    res.json(jalaliOutput(req, incident));
   } catch (e) {
     console.error("INCIDENTS_GET_ERR:", e);
     res.status(500).json({ message: "خطا در دریافت حادثه." });
   }
 });
 
-// POST /api/incidents
-router.post("/", authRequired, async (req, res) => {
+// POST /api/incidents  (کاربران یا کلید API با دامنه‌ی incidents:create)
+// JSON یا multipart؛ در حالت multipart فایل‌های فیلد files پیوست حادثه می‌شوند
+router.post("/", apiKeyScope("incidents:create"), authRequired, uploadEvidence, async (req, res) => {
   try {
     const me = req.user;
     const {
@@ -342,7 +388,7 @@ router.post("/", authRequired, async (req, res) => {
     // تبدیل تاریخ شمسی + زمان به میلادی (اگر فرستاده شده باشد)، در غیر این صورت NOW()
     const iso = submission_date_jalali ? toGregorianISO(submission_date_jalali, submission_time) : null;
 
-    const created = await dbCreateIncident({
+    const created = await withRevision(req, { entity: "incident", op: "create" }, () => dbCreateIncident({
       title: String(title),
       description: String(description).trim(),
       location_id,
@@ -351,13 +397,193 @@ router.post("/", authRequired, async (req, res) => {
       reporter_id: me.id,
       category_id,
       submission_date: iso, // اگر null باشد COALESCE -> NOW()
+    }));
+
+    // واگذاری خودکار طبق قواعد دسته‌بندی/محل (در صورت وجود)
+    const incident = await autoAssignIncident(req, created) ? await dbGetIncidentById(created.id) : created;
+
+    // حادثه ثبت شده است: شکست ذخیره‌ی فایل 500 نمی‌دهد (تکرار درخواست حادثه‌ی تکراری می‌ساخت)
+    // و خطای هر فایل در attachment_errors برمی‌گردد تا کلاینت همان فایل را به مسیر پیوست‌ها بفرستد
+    const { created: attachments, failed } = req.files?.length
+      ? await saveAttachmentsSettled(req, created.id, req.files)
+      : { created: [], failed: [] };
+    emitIncidentChanged(created.id, "incident.create");
+    res.status(201).json({
+      ...jalaliOutput(req, incident), attachments, ...(failed.length ? { attachment_errors: failed } : {}),
     });
-
-    res.status(201).json(created);
   } catch (e) {
     console.error("INCIDENTS_CREATE_ERR:", e);
     res.status(500).json({ message: "ثبت حادثه با خطا مواجه شد." });
   }
 });
 
+// PUT|PATCH /api/incidents/:id  (فقط فیلدهای ارسال‌شده تغییر می‌کنند)
+async function updateIncidentHandler(req, res) {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id);
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    const denial = editDenial(req.user, incident);
+    if (denial) return res.status(denial.status).json({ message: denial.message });
+
+    const {
+      title_id, title_text, description, location_id, priority_id, category_id,
+      submission_date_jalali, submission_time,
+    } = req.body || {};
+    const fields = {};
+
+    if (title_text !== undefined || title_id !== undefined) {
+      const title = (title_text && String(title_text).trim()) || (title_id ? `#${title_id}` : "");
+      if (!title) return res.status(400).json({ message: "عنوان حادثه الزامی است." });
+      fields.title = title;
+    }
+    if (description !== undefined) {
+      if (!String(description || "").trim()) return res.status(400).json({ message: "شرح حادثه الزامی است." });
+      fields.description = String(description).trim();
+    }
+    if (location_id !== undefined) {
+      if (!Number(location_id)) return res.status(400).json({ message: "محل وقوع را مشخص کنید." });
+      fields.location_id = Number(location_id);
+    }
+    if (priority_id !== undefined) {
+      if (!Number(priority_id)) return res.status(400).json({ message: "درجه ریسک را مشخص کنید." });
+      fields.priority_id = Number(priority_id);
+    }
+    if (category_id !== undefined) {
+      if (![1, 2].includes(Number(category_id))) return res.status(400).json({ message: "دسته‌بندی نامعتبر است." });
+      // defense-admin نمی‌تواند حادثه را از محدوده‌ی خودش خارج کند
+      if (req.user.role === "defense-admin" && Number(category_id) !== 2) {
+        return res.status(403).json({ message: "تغییر دسته‌بندی به سایبری مجاز نیست." });
+      }
+      fields.category_id = Number(category_id);
+    }
+    if (submission_date_jalali !== undefined) {
+      const iso = toGregorianISO(submission_date_jalali, submission_time);
+      if (!iso) return res.status(400).json({ message: "تاریخ وقوع نامعتبر است." });
+      fields.submission_date = iso;
+    }
+    if (!Object.keys(fields).length) return res.status(400).json({ message: "فیلدی برای ویرایش ارسال نشده است." });
+
+    const updated = await withRevision(req, { entity: "incident", entityId: id, op: "update" },
+      () => dbUpdateIncident(id, fields, req.user.id));
+    emitIncidentChanged(id, "incident.update");
+    res.json(jalaliOutput(req, updated));
+  } catch (e) {
+    console.error("INCIDENTS_UPDATE_ERR:", e);
+    res.status(500).json({ message: "ویرایش حادثه با خطا مواجه شد." });
+  }
+}
+router.put("/:id", authRequired, updateIncidentHandler);
+router.patch("/:id", authRequired, updateIncidentHandler);
+
+// POST /api/incidents/:id/withdraw  { reason? }  (گزارش‌دهنده، تا پیش از حل شدن)
+router.post("/:id/withdraw", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id);
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (incident.reporter_id !== req.user.id) return res.status(403).json({ message: "فقط گزارش‌دهنده می‌تواند گزارش را پس بگیرد." });
+    if (incident.withdrawn_at) return res.status(409).json({ message: "این گزارش قبلاً پس گرفته شده است." });
+    if (incident.resolved_at) return res.status(409).json({ message: "گزارش حل‌شده قابل پس‌گرفتن نیست." });
+
+    const reason = String(req.body?.reason || "").trim().slice(0, 500);
+    const ok = await withRevision(req, { entity: "incident", entityId: id, op: "withdraw" },
+      () => dbWithdrawIncident(id, req.user.id, reason));
+    if (!ok) return res.status(409).json({ message: "وضعیت گزارش تغییر کرده است؛ دوباره تلاش کنید." });
+    res.json(jalaliOutput(req, await dbGetIncidentById(id)));
+  } catch (e) {
+    console.error("INCIDENTS_WITHDRAW_ERR:", e);
+    res.status(500).json({ message: "پس‌گرفتن گزارش با خطا مواجه شد." });
+  }
+});
+
+// POST /api/incidents/:id/assign  { assignee_id?: id|"me"|null, team_id?: id|null, note? }  (ادمین در محدوده)
+// فیلد ارسال‌نشده بدون تغییر می‌ماند؛ null آن را خالی می‌کند. مسئول باید ادمین فعال در محدوده‌ی حادثه
+// و در صورت تعیین تیم، عضو همان تیم باشد.
+router.post("/:id/assign", authRequired, allowRoles("defense-admin", "system-admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id);
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (!isAdminInScope(req.user, incident)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    if (incident.withdrawn_at) return res.status(409).json({ message: "گزارش پس‌گرفته‌شده قابل واگذاری نیست." });
+
+    const body = req.body || {};
+    if (body.assignee_id === undefined && body.team_id === undefined) {
+      return res.status(400).json({ message: "assignee_id یا team_id الزامی است." });
+    }
+
+    let team = incident.team_id ? await dbGetTeam(incident.team_id) : null;
+    if (body.team_id !== undefined) {
+      team = body.team_id === null || body.team_id === "" ? null : await dbGetTeam(Number(body.team_id) || 0);
+      if (body.team_id && !team) return res.status(400).json({ message: "تیم یافت نشد." });
+      if (team && !teamFitsIncident(team, incident)) return res.status(400).json({ message: "تیم با دسته‌بندی حادثه سازگار نیست." });
+    }
+
+    let assignee = incident.assignee_id ? await dbGetUserBrief(incident.assignee_id) : null;
+    if (body.assignee_id !== undefined) {
+      const raw = body.assignee_id === "me" ? req.user.id : body.assignee_id;
+      assignee = raw === null || raw === "" ? null : await dbGetUserBrief(Number(raw) || 0);
+      if (raw && !canBeAssignee(assignee, incident)) {
+        return res.status(400).json({ message: "مسئول باید ادمین فعال در محدوده‌ی این حادثه باشد." });
+      }
+    }
+    if (assignee && team) {
+      const members = (await dbTeamMembers([team.id])).get(team.id) || [];
+      if (!members.some(u => u.id === assignee.id)) {
+        // تیم تازه و مسئول قبلی ناهم‌خوان: مسئول خالی می‌شود تا تیم آن را بردارد
+        if (body.assignee_id === undefined) assignee = null;
+        else return res.status(400).json({ message: "مسئول عضو تیم انتخاب‌شده نیست." });
+      }
+    }
+
+    const changed = await assignIncident(req, incident, { assignee, team, note: body.note });
+    if (changed) emitIncidentChanged(id, "incident.assign");
+    res.json({ changed, ...jalaliOutput(req, await dbGetIncidentById(id)) });
+  } catch (e) {
+    console.error("INCIDENTS_ASSIGN_ERR:", e);
+    res.status(500).json({ message: "واگذاری حادثه با خطا مواجه شد." });
+  }
+});
+
+// DELETE /api/incidents/:id  (حذف نرم؛ قابل بازگردانی)
+router.delete("/:id", authRequired, allowRoles("defense-admin", "system-admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id);
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (!isAdminInScope(req.user, incident)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+
+    await withRevision(req, { entity: "incident", entityId: id, op: "delete" },
+      () => dbSoftDeleteIncident(id, req.user.id));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("INCIDENTS_DELETE_ERR:", e);
+    res.status(500).json({ message: "حذف حادثه با خطا مواجه شد." });
+  }
+});
+
+// POST /api/incidents/:id/restore
+router.post("/:id/restore", authRequired, allowRoles("defense-admin", "system-admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const incident = await dbGetIncidentById(id, { includeDeleted: true });
+    if (!incident) return res.status(404).json({ message: "حادثه یافت نشد." });
+    if (!isAdminInScope(req.user, incident)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    if (!incident.deleted_at) return res.status(409).json({ message: "این حادثه حذف نشده است." });
+
+    await withRevision(req, { entity: "incident", entityId: id, op: "restore" }, () => dbRestoreIncident(id));
+    emitIncidentChanged(id, "incident.restore");
+    res.json(jalaliOutput(req, await dbGetIncidentById(id)));
+  } catch (e) {
+    console.error("INCIDENTS_RESTORE_ERR:", e);
+    res.status(500).json({ message: "بازگردانی حادثه با خطا مواجه شد." });
+  }
+});
+
 export default router;
@@ -0,0 +1,49 @@
+// backend/src/modules/notifications_module.js
+import { Router } from "express";
+import { auth as authRequired } from "../middleware/auth.js";
+import { dbListNotifications, dbCountUnread, dbMarkRead } from "../utils/notifications.js";
+
+const router = Router();
+
+/* --------------------------------- ROUTES --------------------------------- */
+// GET /api/notifications?unread=1&limit=50
+router.get("/", authRequired, async (req, res) => {
+  try {
+    const unreadOnly = ["1", "true"].includes(String(req.query?.unread || ""));
+    const limit = Math.min(200, Math.max(1, Number(req.query?.limit) || 50));
+    const [items, unread] = await Promise.all([
+      dbListNotifications(req.user.id, { unreadOnly, limit }),
+      dbCountUnread(req.user.id),
+    ]);
+    res.json({ items, unread });
+  } catch (e) {
+    console.error("NOTIFS_LIST_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت اعلان‌ها." });
+  }
+});
+
+// POST /api/notifications/read-all
+router.post("/read-all", authRequired, async (req, res) => {
+  try {
+    const updated = await dbMarkRead(req.user.id);
+    res.json({ ok: true, updated });
+  } catch (e) {
+    console.error("NOTIFS_READ_ALL_ERR:", e);
+    res.status(500).json({ message: "خطا در به‌روزرسانی اعلان‌ها." });
+  }
+});
+
+// PATCH /api/notifications/:id/read
+router.patch("/:id/read", authRequired, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const updated = await dbMarkRead(req.user.id, id);
+    res.json({ ok: true, updated });
+  } catch (e) {
+    console.error("NOTIFS_READ_ERR:", e);
+    res.status(500).json({ message: "خطا در به‌روزرسانی اعلان." });
+  }
+});
+
+export default router;
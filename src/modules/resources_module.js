@@ -4,9 +4,10 @@ import path, { dirname } from "path";
 import fs from "fs";
 import multer from "multer";
 import { fileURLToPath } from "url";
-import { createClient } from "@supabase/supabase-js";
 import { auth as authRequired, allowRoles } from "../middleware/auth.js";
 import { pool } from "../config/db.js";
+import { audit } from "../utils/audit.js";
+import { USE_SUPABASE, supa } from "../utils/storage.js";
 
 const router = Router();
 
@@ -65,13 +66,8 @@ async function dbRemove(id) {
 /* --------------------------- STORAGE: LOCAL / SUPA ------------------------- */
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const SUPA_URL          = process.env.SUPABASE_URL || "";
-const SUPA_ANON_KEY     = process.env.SUPABASE_KEY || "";           // optional
-const SUPA_SERVICE_KEY  = process.env.SUPABASE_SERVICE_KEY || "";   // <-- جدید (اولویت)
+// انتخاب Supabase/محلی در utils/storage.js مشترک است
 const SUPA_BUCKET       = process.env.SUPABASE_BUCKET || "resources";
-const HAVE_SUPA_KEY     = !!(SUPA_SERVICE_KEY || SUPA_ANON_KEY);
-const USE_SUPABASE      = !!SUPA_URL && HAVE_SUPA_KEY;
-const supa = USE_SUPABASE ? createClient(SUPA_URL, SUPA_SERVICE_KEY || SUPA_ANON_KEY) : null;
 
 const ROUTE_BASE = process.env.RESOURCES_ROUTE_BASE || "/api/resources";
 
@@ -250,6 +246,7 @@ router.get("/file/:name", authRequired, async (req, res) => {
 
     const full = safeJoin(FILES_DIR, fileName);
     if (!fs.existsSync(full)) return res.status(404).json({ message: "فایل یافت نشد." });
+    await audit(req, "resource.download", { targetType: "resource_file", targetId: fileName });
 
     const ext  = path.extname(full);
     const mime = getMimeByExt(ext);
@@ -275,6 +272,7 @@ router.get("/view/:id", authRequired, async (req, res) => {
 
     const file = await dbGetById(id);
     if (!file) return res.status(404).json({ message: "فایل یافت نشد." });
+    await audit(req, "resource.view", { targetType: "resource", targetId: id, details: { title: file.title } });
 
     if (USE_SUPABASE) {
       const { data } = supa.storage.from(SUPA_BUCKET).getPublicUrl(file.filename);
@@ -317,6 +315,7 @@ router.get("/download/:id", authRequired, async (req, res) => {
 
     const file = await dbGetById(id);
     if (!file) return res.status(404).json({ message: "فایل یافت نشد." });
+    await audit(req, "resource.download", { targetType: "resource", targetId: id, details: { title: file.title } });
 
     if (USE_SUPABASE) {
       const { data } = supa.storage.from(SUPA_BUCKET).getPublicUrl(file.filename);
@@ -401,6 +400,10 @@ router.post("/", authRequired, allowRoles("system-admin","defense-admin"), uploa
       size,
       created_by: req.user?.id || null,
     });
+    await audit(req, "resource.create", {
+      targetType: "resource", targetId: created.id,
+      details: { title: created.title, domain: created.domain, filename: created.filename, size: created.size },
+    });
 
     let url;
     if (USE_SUPABASE) {
@@ -483,6 +486,10 @@ router.put("/:id", authRequired, allowRoles("system-admin","defense-admin"), upl
     }
 
     const updated = await dbUpdate(id, fields);
+    await audit(req, "resource.update", {
+      targetType: "resource", targetId: id,
+      details: { title: updated.title, fields: Object.keys(fields), file_replaced: !!req.file },
+    });
 
     let url;
     if (USE_SUPABASE) {
@@ -525,6 +532,9 @@ router.delete("/:id", authRequired, allowRoles("system-admin","defense-admin"),
     }
 
     await dbRemove(id);
+    await audit(req, "resource.delete", {
+      targetType: "resource", targetId: id, details: { title: exist.title, domain: exist.domain, filename: exist.filename },
+    });
     res.json({ ok: true });
   } catch (e) {
     console.error("RES_DELETE_ERR:", e);
@@ -5,6 +5,15 @@ import { Router } from "express";
 import { auth as authRequired } from "../middleware/auth.js";
 import { pool } from "../config/db.js";
 import { hashPassword, comparePassword } from "../utils/hash.js";
+import { dbListActiveSessions, dbRevokeUserSessions } from "../utils/sessions.js";
+import { dbGetLoginFailures, resetLoginFailures } from "../utils/lockout.js";
+import { dbDeleteMfa } from "../utils/mfa.js";
+import { dbListExpiringPasswords, PASSWORD_WARN_DAYS } from "../utils/passwordExpiry.js";
+import { audit } from "../utils/audit.js";
+import {
+  validatePassword, policyErrorBody, isPasswordReused, reuseErrorBody, recordPasswordHistory,
+  generateTemporaryPassword,
+} from "../utils/passwordPolicy.js";
 
 const router = Router();
 
@@ -20,28 +29,22 @@ function mapUserRow(row) {
     position: row.position,
     role: row.role,          // "user" | "defense-admin" | "system-admin"
     status: row.status,      // "active" | "inactive"
+    auth_source: row.auth_source || "local", // "local" | "ldap"
     created_at: row.created_at || null,
+    ...(row.locked_until !== undefined ? { locked_until: row.locked_until } : {}),
   };
 }
 
 function isSystemAdmin(req) { return req?.user?.role === "system-admin"; }
 
-/** اعتبارسنجی پیچیدگی رمز عبور (سازگار با فارسی) */
-function validatePasswordComplexity(pass) {
-  const p = String(pass || "");
-  if (p.length < 8) return false;
-  const hasLetter = /[A-Za-z\u0600-\u06FF]/.test(p);   // هر حرفی: فارسی/لاتین
-  const hasDigit  = /\d/.test(p);                      // عدد
-  const hasSpec   = /[^A-Za-z0-9\u0600-\u06FF]/.test(p); // نشانه
-  return hasLetter && hasDigit && hasSpec;
-}
+const TEMP_PASSWORD_TTL_MINUTES = Number(process.env.TEMP_PASSWORD_TTL_MINUTES || 60);
 
 /* -------------------------------------------------------------------------- */
 /*                                   MODEL                                    */
 /* -------------------------------------------------------------------------- */
 async function dbGetUserByUsername(username) {
   const sql = `
-    SELECT id, username, fullname, position, role, status,
+    SELECT id, username, fullname, position, role, status, auth_source,
            password AS password,
            DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at
     FROM users WHERE username = ? LIMIT 1`;
@@ -51,7 +54,7 @@ async function dbGetUserByUsername(username) {
 
 async function dbGetUserById(id) {
   const sql = `
-    SELECT id, username, fullname, position, role, status,
+    SELECT id, username, fullname, position, role, status, auth_source,
            password AS password,
            DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at
     FROM users WHERE id = ? LIMIT 1`;
@@ -62,15 +65,18 @@ async function dbGetUserById(id) {
 async function dbListUsers({ q, role, status } = {}) {
   const where = [];
   const params = [];
-  if (q) { where.push("(username LIKE ? OR fullname LIKE ?)"); params.push(`%${q}%`, `%${q}%`); }
-  if (role) { where.push("role = ?"); params.push(role); }
-  if (status) { where.push("status = ?"); params.push(status); }
+  if (q) { where.push("(u.username LIKE ? OR u.fullname LIKE ?)"); params.push(`%${q}%`, `%${q}%`); }
+  if (role) { where.push("u.role = ?"); params.push(role); }
+  if (status) { where.push("u.status = ?"); params.push(status); }
   const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
   const sql = `
-    SELECT id, username, fullname, position, role, status,
-           DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at
-    FROM users ${whereSql}
-    ORDER BY id DESC`;
+    SELECT u.id, u.username, u.fullname, u.position, u.role, u.status, u.auth_source,
+           DATE_FORMAT(u.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+           IF(f.locked_until > NOW(), DATE_FORMAT(f.locked_until, '%Y-%m-%d %H:%i:%s'), NULL) AS locked_until
+    FROM users u
+    LEFT JOIN auth_login_failures f ON f.username = u.username
+    ${whereSql}
+    ORDER BY u.id DESC`;
   const [rows] = await pool.query(sql, params);
   return rows;
 }
@@ -91,7 +97,10 @@ async function dbUpdateUser(id, fields = {}) {
   if (role !== undefined) { sets.push("role = ?"); vals.push(role); }
   if (status !== undefined) { sets.push("status = ?"); vals.push(status); }
   if (passwordHash !== undefined) {
-    sets.push("password = ?", "password_changed_at = NOW()");
+    sets.push(
+      "password = ?", "password_changed_at = NOW()",
+      "must_change_password = 0", "temp_password_expires_at = NULL", "password_grace_used = 0"
+    );
     vals.push(passwordHash);
   }
   if (!sets.length) return dbGetUserById(id);
@@ -101,6 +110,23 @@ async function dbUpdateUser(id, fields = {}) {
   return dbGetUserById(id);
 }
 
+/** رمز موقت: کاربر پس از ورود باید رمز خودش را تعیین کند و رمز پس از مهلت کوتاهی از کار می‌افتد */
+async function dbSetTemporaryPassword(id, passwordHash, ttlMinutes) {
+  await pool.query(
+    `UPDATE users
+        SET password = ?, password_changed_at = NOW(),
+            must_change_password = 1, password_grace_used = 0,
+            temp_password_expires_at = NOW() + INTERVAL ? MINUTE
+      WHERE id = ?`,
+    [passwordHash, ttlMinutes, id]
+  );
+  const [[row]] = await pool.query(
+    "SELECT DATE_FORMAT(temp_password_expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at FROM users WHERE id = ?",
+    [id]
+  );
+  return row?.expires_at || null;
+}
+
 async function dbDeleteUser(id) {
   await pool.query("DELETE FROM users WHERE id = ?", [id]);
   return { ok: true };
@@ -127,6 +153,18 @@ router.get("/", authRequired, async (req, res) => {
   }
 });
 
+// GET /api/users/password-expiry  (حساب‌های نزدیک به انقضا یا منقضی؛ فقط سیستم‌ادمین)
+router.get("/password-expiry", authRequired, async (req, res) => {
+  try {
+    if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    const rows = await dbListExpiringPasswords();
+    res.json({ warn_days: PASSWORD_WARN_DAYS, items: rows });
+  } catch (e) {
+    console.error("USERS_PASSWORD_EXPIRY_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت وضعیت انقضای رمزها." });
+  }
+});
+
 // GET /api/users/:id
 router.get("/:id", authRequired, async (req, res) => {
   try {
@@ -155,9 +193,8 @@ router.post("/", authRequired, async (req, res) => {
     const existing = await dbGetUserByUsername(String(username).trim());
     if (existing) return res.status(409).json({ message: "نام کاربری تکراری است." });
 
-    if (!validatePasswordComplexity(password)) {
-      return res.status(400).json({ message: "رمز باید حداقل ۸ کاراکتر و شامل حروف بزرگ/کوچک، عدد و نشانه باشد." });
-    }
+    const policy = validatePassword(password, { username });
+    if (!policy.ok) return res.status(400).json(policyErrorBody(policy.errors));
 
     const passwordHash = await hashPassword(String(password));
     const created = await dbCreateUser({
@@ -168,6 +205,11 @@ router.post("/", authRequired, async (req, res) => {
       status: status || "active",
       passwordHash,
     });
+    await recordPasswordHistory(created.id, passwordHash);
+    await audit(req, "user.create", {
+      targetType: "user", targetId: created.id,
+      details: { username: created.username, role: created.role, status: created.status },
+    });
     res.status(201).json(mapUserRow(created));
   } catch (e) {
     console.error("USERS_CREATE_ERR:", e);
@@ -203,6 +245,15 @@ router.put("/:id", authRequired, async (req, res) => {
     }
 
     const updated = await dbUpdateUser(id, fields);
+    const changes = {};
+    for (const k of Object.keys(fields)) {
+      if (String(prev[k] ?? "") !== String(fields[k] ?? "")) changes[k] = { from: prev[k] ?? null, to: fields[k] };
+    }
+    await audit(req, "user.update", { targetType: "user", targetId: id, details: { username: prev.username, changes } });
+    // کاربر غیرفعال‌شده نباید با نشست‌های قبلی ادامه دهد
+    if (fields.status === "inactive" && prev.status !== "inactive") {
+      await dbRevokeUserSessions(id, "user_inactive", req.user.id);
+    }
     res.json(mapUserRow(updated));
   } catch (e) {
     console.error("USERS_UPDATE_ERR:", e);
@@ -227,18 +278,21 @@ router.patch("/me/password", authRequired, async (req, res) => {
       return res.status(400).json({ message: "رمز فعلی و رمز جدید الزامی است." });
     }
 
-    if (!validatePasswordComplexity(new_password)) {
-      return res.status(400).json({ message: "رمز جدید باید حداقل ۸ کاراکتر و شامل حروف بزرگ/کوچک، عدد و نشانه باشد." });
-    }
-
     const me = await dbGetUserById(meId);
     if (!me) return res.status(404).json({ message: "کاربر یافت نشد." });
+    if (me.auth_source === "ldap") return res.status(400).json({ message: "رمز این حساب در سامانه‌ی سازمانی (LDAP) مدیریت می‌شود." });
+
+    const policy = validatePassword(new_password, { username: me.username });
+    if (!policy.ok) return res.status(400).json(policyErrorBody(policy.errors));
 
     const ok = await comparePassword(String(current_password), me.password);
     if (!ok) return res.status(400).json({ message: "رمز فعلی نادرست است." });
+    if (await isPasswordReused(meId, new_password, me.password)) return res.status(400).json(reuseErrorBody());
 
     const passwordHash = await hashPassword(String(new_password));
     const updated = await dbUpdateUser(meId, { passwordHash });
+    await recordPasswordHistory(meId, passwordHash);
+    await audit(req, "auth.password_change", { targetType: "user", targetId: meId });
     res.json({ success: true, user: mapUserRow(updated) });
   } catch (e) {
     console.error("USERS_ME_PASSWORD_ERR:", e);
@@ -247,29 +301,112 @@ router.patch("/me/password", authRequired, async (req, res) => {
 });
 
 // PATCH /api/users/:id/password  (فقط سیستم‌ادمین برای سایرین)
+// رمز تعیین‌شده توسط ادمین همیشه «موقت» است: یک‌بار مصرف، با مهلت کوتاه و الزام تغییر در اولین ورود.
+// اگر password ارسال نشود، رمز تصادفی ساخته و فقط همین یک بار در پاسخ برگردانده می‌شود.
 router.patch("/:id/password", authRequired, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
     if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
 
-    const { password } = req.body || {};
-    if (!password) return res.status(400).json({ message: "رمز عبور جدید الزامی است." });
+    const prev = await dbGetUserById(id); if (!prev) return res.status(404).json({ message: "کاربر یافت نشد." });
+    if (prev.auth_source === "ldap") return res.status(400).json({ message: "رمز این حساب در سامانه‌ی سازمانی (LDAP) مدیریت می‌شود." });
 
-    if (!validatePasswordComplexity(password)) {
-      return res.status(400).json({ message: "رمز باید حداقل ۸ کاراکتر و شامل حروف بزرگ/کوچک، عدد و نشانه باشد." });
+    const given = req.body?.password ? String(req.body.password) : "";
+    const password = given || generateTemporaryPassword();
+    if (given) {
+      const policy = validatePassword(given, { username: prev.username });
+      if (!policy.ok) return res.status(400).json(policyErrorBody(policy.errors));
     }
 
-    const prev = await dbGetUserById(id); if (!prev) return res.status(404).json({ message: "کاربر یافت نشد." });
-    const passwordHash = await hashPassword(String(password));
-    const updated = await dbUpdateUser(id, { passwordHash });
-    res.json(mapUserRow(updated));
+    const passwordHash = await hashPassword(password);
+    const expiresAt = await dbSetTemporaryPassword(id, passwordHash, TEMP_PASSWORD_TTL_MINUTES);
+    // نشست‌های قبلی کاربر باطل و قفل ورود باز می‌شود تا با رمز موقت وارد شود
+    await dbRevokeUserSessions(id, "admin_password_reset", req.user.id);
+    await resetLoginFailures(prev.username);
+    await audit(req, "user.password_reset", {
+      targetType: "user", targetId: id, details: { username: prev.username, generated: !given },
+    });
+
+    const updated = await dbGetUserById(id);
+    res.json({
+      ...mapUserRow(updated),
+      must_change_password: true,
+      temp_password_expires_at: expiresAt,
+      ...(given ? {} : { temporary_password: password }),
+    });
   } catch (e) {
     console.error("USERS_PASSWORD_ERR:", e);
     res.status(500).json({ message: "تغییر رمز عبور با خطا مواجه شد." });
   }
 });
 
+// POST /api/users/:id/unlock  (باز کردن قفل ورود؛ فقط سیستم‌ادمین)
+router.post("/:id/unlock", authRequired, async (req, res) => {
+  try {
+    if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const prev = await dbGetUserById(id); if (!prev) return res.status(404).json({ message: "کاربر یافت نشد." });
+    const state = await dbGetLoginFailures(prev.username);
+    await resetLoginFailures(prev.username);
+    await audit(req, "user.unlock", { targetType: "user", targetId: id, details: { username: prev.username } });
+    res.json({ success: true, was_locked: !!(state?.locked_until && new Date(state.locked_until) > new Date()) });
+  } catch (e) {
+    console.error("USERS_UNLOCK_ERR:", e);
+    res.status(500).json({ message: "باز کردن قفل حساب با خطا مواجه شد." });
+  }
+});
+
+// DELETE /api/users/:id/mfa  (بازنشانی ورود دومرحله‌ای کاربر؛ فقط سیستم‌ادمین)
+router.delete("/:id/mfa", authRequired, async (req, res) => {
+  try {
+    if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const prev = await dbGetUserById(id); if (!prev) return res.status(404).json({ message: "کاربر یافت نشد." });
+    await dbDeleteMfa(id);
+    // کاربر باید دوباره وارد شود و (در صورت الزام نقش) مجدداً ثبت‌نام کند
+    await dbRevokeUserSessions(id, "mfa_reset", req.user.id);
+    await audit(req, "user.mfa_reset", { targetType: "user", targetId: id, details: { username: prev.username } });
+    res.json({ success: true });
+  } catch (e) {
+    console.error("USERS_MFA_RESET_ERR:", e);
+    res.status(500).json({ message: "بازنشانی ورود دومرحله‌ای با خطا مواجه شد." });
+  }
+});
+
+/* ------------------------------ Session Routes ----------------------------- */
+// GET /api/users/:id/sessions  (فقط سیستم‌ادمین)
+router.get("/:id/sessions", authRequired, async (req, res) => {
+  try {
+    if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const rows = await dbListActiveSessions(id);
+    res.json(rows);
+  } catch (e) {
+    console.error("USERS_SESSIONS_ERR:", e);
+    res.status(500).json({ message: "خطا در دریافت نشست‌های کاربر." });
+  }
+});
+
+// DELETE /api/users/:id/sessions  (خاتمه‌ی همه‌ی نشست‌های کاربر؛ فقط سیستم‌ادمین)
+router.delete("/:id/sessions", authRequired, async (req, res) => {
+  try {
+    if (!isSystemAdmin(req)) return res.status(403).json({ message: "دسترسی غیرمجاز." });
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
+    const prev = await dbGetUserById(id); if (!prev) return res.status(404).json({ message: "کاربر یافت نشد." });
+    const revoked = await dbRevokeUserSessions(id, "admin_revoked", req.user.id);
+    await audit(req, "user.sessions_revoke", { targetType: "user", targetId: id, details: { username: prev.username, revoked } });
+    res.json({ success: true, revoked });
+  } catch (e) {
+    console.error("USERS_SESSIONS_REVOKE_ERR:", e);
+    res.status(500).json({ message: "خاتمه‌ی نشست‌های کاربر با خطا مواجه شد." });
+  }
+});
+
 // DELETE /api/users/:id
 router.delete("/:id", authRequired, async (req, res) => {
   try {
@@ -277,7 +414,13 @@ router.delete("/:id", authRequired, async (req, res) => {
     const id = Number(req.params.id);
     if (!id || Number.isNaN(id)) return res.status(400).json({ message: "شناسه نامعتبر است." });
     if (req.user?.id === id) return res.status(400).json({ message: "نمی‌توانید حساب کاربری خود را حذف کنید." });
+    const prev = await dbGetUserById(id);
+    await dbRevokeUserSessions(id, "user_deleted", req.user.id);
     await dbDeleteUser(id);
+    await audit(req, "user.delete", {
+      targetType: "user", targetId: id,
+      details: prev ? { username: prev.username, fullname: prev.fullname, role: prev.role } : null,
+    });
     res.json({ success: true });
   } catch (e) {
     console.error("USERS_DELETE_ERR:", e);
@@ -0,0 +1,91 @@
+// backend/src/utils/actions.js
+// مدل اقدامات حادثه (مشترک بین actions_module و موتور تشدید).
+// اقدام سیستمی (is_system) فقط در خط زمانی ثبت می‌شود: اولین اقدام/SLA را پر نمی‌کند و در سقف اقدامات شمرده نمی‌شود.
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const MAX_ACTIONS_PER_INCIDENT = 10;
+// ثابت‌های وضعیت مطابق دیتابیس
+export const CLOSED_STATUS_ID = 4; // 'حل شده'
+
+export const ACTION_SELECT = `
+  SELECT a.id, a.incident_id, a.description,
+         DATE_FORMAT(a.action_date, '%Y-%m-%d') AS action_date,
+         a.status_id, s.name AS status_name,
+         a.created_by, u.fullname AS admin_fullname, a.is_system,
+         DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at
+  FROM actions a
+  LEFT JOIN statuses s ON s.id = a.status_id
+  LEFT JOIN users u ON u.id = a.created_by
+`;
+
+/* ---------------------------------- MODEL --------------------------------- */
+// شمارش اقدامات (غیرسیستمی) یک حادثه
+async function dbCountActionsByIncident(incidentId) {
+  const [[row]] = await pool.query(
+    "SELECT COUNT(*) AS c FROM actions WHERE incident_id = ? AND is_system = 0",
+    [incidentId]
+  );
+  return Number(row?.c || 0);
+}
+
+// اولین اقدام: ست کردن first_action_at اگر هنوز NULL است (با ساعت واقعی)
+async function dbMarkFirstActionIfNeeded(incidentId) {
+  await pool.query(
+    `UPDATE incidents
+        SET first_action_at = COALESCE(first_action_at, NOW()),
+            updated_at = NOW()
+     WHERE id = ?`,
+    [incidentId]
+  );
+}
+
+// اگر وضعیت حل شد: ست کردن resolved_at (در صورت نداشتن مقدار)
+export async function dbMarkResolvedIfClosed(incidentId, statusId) {
+  if (Number(statusId) !== CLOSED_STATUS_ID) return;
+  await pool.query(
+    `UPDATE incidents
+        SET resolved_at = IFNULL(resolved_at, NOW()),
+            updated_at = NOW()
+      WHERE id = ?`,
+    [incidentId]
+  );
+}
+
+/**
+ * ثبت اقدام و همگام‌سازی وضعیت/زمان‌های حادثه.
+ * system: اقدام خودکار (بدون وضعیت و ثبت‌کننده)؛ first_action_at را تغییر نمی‌دهد.
+ */
+export async function dbCreateAction({ incident_id, description, action_date, status_id, created_by, system = false }) {
+  // سقف ۱۰ اقدام
+  const cnt = system ? 0 : await dbCountActionsByIncident(incident_id);
+  if (cnt >= MAX_ACTIONS_PER_INCIDENT) {
+    const err = new Error("برای این حادثه حداکثر ۱۰ اقدام قابل ثبت است.");
+    err.status = 409;
+    throw err;
+  }
+  if (system) { status_id = null; created_by = null; }
+
+  // درج اقدام (اگر تاریخ اقدام ندادی، فقط تاریخ روز ذخیره می‌شود؛ زمان دقیق در created_at است)
+  const [ins] = await pool.query(
+    `INSERT INTO actions (incident_id, description, action_date, status_id, created_by, is_system, added_at, created_at)
+     VALUES (?, ?, COALESCE(?, CURDATE()), ?, ?, ?, NOW(), NOW())`,
+    [incident_id, description, action_date || null, status_id || null, created_by || null, system ? 1 : 0]
+  );
+  const insertedId = ins.insertId;
+
+  // همگام‌سازی وضعیت Incident
+  if (status_id) {
+    await pool.query(
+      "UPDATE incidents SET status_id = ?, updated_at = NOW() WHERE id = ?",
+      [status_id, incident_id]
+    );
+  }
+
+  // KPI times
+  if (!system) await dbMarkFirstActionIfNeeded(incident_id); // ← با NOW() پر می‌شود اگر خالی بود
+  if (status_id) await dbMarkResolvedIfClosed(incident_id, status_id);
+
+  const [rows] = await pool.query(ACTION_SELECT + " WHERE a.id = ?", [insertedId]);
+  return rows[0];
+}
@@ -0,0 +1,136 @@
+// backend/src/utils/apiKeys.js
+// کلیدهای API برای سامانه‌های خودکار (SIEM، کنترل تردد) با دامنه‌های دسترسی محدود.
+// قالب کلید: sik_<prefix>_<secret> ؛ فقط hash آن ذخیره می‌شود و متن کامل یک بار نمایش داده می‌شود.
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+// دامنه‌های مجاز؛ دامنه‌ی کلی دامنه‌های جزئی‌تر را هم پوشش می‌دهد (incidents:read ⊇ incidents:read:physical)
+export const API_KEY_SCOPES = [
+  "incidents:create",
+  "incidents:read",
+  "incidents:read:physical",
+];
+const KEY_PREFIX = "sik";
+
+/* --------------------------------- HELPERS -------------------------------- */
+const sha256 = (s) => createHash("sha256").update(String(s)).digest("hex");
+
+/** آیا مجموعه‌ی دامنه‌های کلید، دامنه‌ی خواسته‌شده را پوشش می‌دهد؟ */
+export function scopeAllows(scopes = [], wanted) {
+  return scopes.some(s => s === wanted || String(wanted).startsWith(s + ":"));
+}
+
+export function normalizeScopes(input) {
+  const list = Array.isArray(input) ? input : String(input || "").split(",");
+  return [...new Set(list.map(s => String(s).trim()).filter(Boolean))];
+}
+
+/** خواندن کلید از X-API-Key یا «Authorization: ApiKey ...» */
+export function extractApiKey(req) {
+  const h = String(req.headers?.["x-api-key"] || "").trim();
+  if (h) return h;
+  const authH = String(req.headers?.authorization || "");
+  return authH.startsWith("ApiKey ") ? authH.slice(7).trim() : null;
+}
+
+function parseKey(raw) {
+  const m = String(raw || "").match(/^sik_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/);
+  return m ? { prefix: m[1], secret: m[2] } : null;
+}
+
+function mapKeyRow(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    name: r.name,
+    prefix: r.prefix,
+    scopes: normalizeScopes(r.scopes),
+    user_id: r.user_id,
+    username: r.username,
+    created_by: r.created_by,
+    created_at: r.created_at,
+    expires_at: r.expires_at,
+    last_used_at: r.last_used_at,
+    last_used_ip: r.last_used_ip,
+    revoked_at: r.revoked_at,
+  };
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT k.id, k.name, k.prefix, k.key_hash, k.scopes, k.user_id, u.username, u.status AS user_status, k.created_by,
+         DATE_FORMAT(k.created_at,   '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(k.expires_at,   '%Y-%m-%d %H:%i:%s') AS expires_at,
+         DATE_FORMAT(k.last_used_at, '%Y-%m-%d %H:%i:%s') AS last_used_at,
+         k.last_used_ip,
+         DATE_FORMAT(k.revoked_at,   '%Y-%m-%d %H:%i:%s') AS revoked_at,
+         (k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())) AS is_active
+  FROM api_keys k
+  LEFT JOIN users u ON u.id = k.user_id
+`;
+
+export async function dbListApiKeys() {
+  const [rows] = await pool.query(SELECT_BASE + " ORDER BY k.id DESC");
+  return rows.map(r => ({ ...mapKeyRow(r), active: !!Number(r.is_active) }));
+}
+
+/**
+ * ساخت کلید جدید. userId حسابی است که رکوردها (مثلاً گزارش‌دهنده‌ی حادثه) به نام آن ثبت می‌شوند.
+ * خروجی شامل key (متن کامل) است که دیگر قابل بازیابی نیست.
+ */
+export async function dbCreateApiKey({ name, scopes, userId, createdBy, expiresAt }) {
+  const prefix = randomBytes(6).toString("hex");
+  const secret = randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  const [res] = await pool.query(
+    `INSERT INTO api_keys (name, prefix, key_hash, scopes, user_id, created_by, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+    [name, prefix, sha256(secret), normalizeScopes(scopes).join(","), userId, createdBy, expiresAt || null]
+  );
+  const [rows] = await pool.query(SELECT_BASE + " WHERE k.id = ? LIMIT 1", [res.insertId]);
+  return { key, apiKey: mapKeyRow(rows[0]) };
+}
+
+export async function dbRevokeApiKey(id, revokedBy) {
+  const [res] = await pool.query(
+    "UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL",
+    [revokedBy, id]
+  );
+  return res.affectedRows > 0;
+}
+
+/** ثبت آخرین استفاده حداکثر هر یک دقیقه یک بار */
+async function dbTouchApiKey(id, ip) {
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ?
+     WHERE id = ? AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL 1 MINUTE)`,
+    [ip ? String(ip).slice(0, 64) : null, id]
+  );
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * اعتبارسنجی کلید خام.
+ * کلید حسابی که فعال نیست (غیرفعال/حذف‌شده) پذیرفته نمی‌شود.
+ * خروجی: { ok: true, apiKey } | { ok: false, code: "INVALID_API_KEY" | "API_KEY_EXPIRED" | "API_KEY_REVOKED" | "API_KEY_OWNER_INACTIVE" }
+ */
+export async function verifyApiKey(raw, req) {
+  const parsed = parseKey(raw);
+  if (!parsed) return { ok: false, code: "INVALID_API_KEY" };
+
+  const [rows] = await pool.query(SELECT_BASE + " WHERE k.prefix = ? LIMIT 1", [parsed.prefix]);
+  const row = rows?.[0];
+  if (!row) return { ok: false, code: "INVALID_API_KEY" };
+
+  const a = Buffer.from(sha256(parsed.secret), "hex");
+  const b = Buffer.from(String(row.key_hash), "hex");
+  if (a.length !== b.length || !timingSafeEqual(a, b)) return { ok: false, code: "INVALID_API_KEY" };
+
+  if (row.revoked_at) return { ok: false, code: "API_KEY_REVOKED" };
+  if (!Number(row.is_active)) return { ok: false, code: "API_KEY_EXPIRED" };
+  if (row.user_status && row.user_status !== "active") return { ok: false, code: "API_KEY_OWNER_INACTIVE" };
+
+  dbTouchApiKey(row.id, req?.ip).catch(e => console.error("API_KEY_TOUCH_ERR:", e));
+  return { ok: true, apiKey: mapKeyRow(row) };
+}
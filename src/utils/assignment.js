@@ -0,0 +1,279 @@
+// backend/src/utils/assignment.js
+// واگذاری حوادث: مسئول (ادمین) و تیم هر حادثه، تاریخچه‌ی واگذاری‌ها و واگذاری خودکار نوبتی (round-robin)
+// بر اساس قواعد دسته‌بندی/محل. تیم‌ها و قواعد از config.module.js مدیریت می‌شوند.
+import { pool } from "../config/db.js";
+import { isAdminInScope } from "./incidentAcl.js";
+import { withRevision } from "./revisions.js";
+import { notifyUsers } from "./notifications.js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+/** کاربری که می‌تواند مسئول حادثه باشد: ادمین فعال در محدوده‌ی حادثه */
+export function canBeAssignee(user, incident) {
+  return !!user && user.status === "active" && isAdminInScope(user, incident);
+}
+
+/** تیم برای حادثه مناسب است اگر دسته‌بندی نداشته باشد یا با دسته‌بندی حادثه یکی باشد */
+export function teamFitsIncident(team, incident) {
+  return !team.category_id || team.category_id === incident.category_id;
+}
+
+const numOrNull = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+const bool = (v) => v === true || ["1", "true"].includes(String(v));
+
+/* ---------------------------------- MODEL --------------------------------- */
+export async function dbGetUserBrief(id) {
+  const [[row]] = await pool.query("SELECT id, username, fullname, role, status FROM users WHERE id = ? LIMIT 1", [id]);
+  return row || null;
+}
+
+export async function dbGetTeam(id) {
+  const [[row]] = await pool.query("SELECT id, name, category_id FROM teams WHERE id = ? LIMIT 1", [id]);
+  return row || null;
+}
+
+/** اعضای تیم‌ها: Map(team_id → [{ id, username, fullname, role, status }]) */
+export async function dbTeamMembers(teamIds) {
+  const byTeam = new Map();
+  if (!teamIds.length) return byTeam;
+  const [rows] = await pool.query(
+    `SELECT tm.team_id, u.id, u.username, u.fullname, u.role, u.status
+     FROM team_members tm
+     JOIN users u ON u.id = tm.user_id
+     WHERE tm.team_id IN (?)
+     ORDER BY u.id ASC`,
+    [teamIds]
+  );
+  for (const { team_id, ...u } of rows) {
+    if (!byTeam.has(team_id)) byTeam.set(team_id, []);
+    byTeam.get(team_id).push(u);
+  }
+  return byTeam;
+}
+
+export async function dbListTeams() {
+  const [rows] = await pool.query("SELECT id, name, category_id FROM teams ORDER BY id ASC");
+  const members = await dbTeamMembers(rows.map(r => r.id));
+  return rows.map(t => ({
+    ...t,
+    members: (members.get(t.id) || []).map(({ id, username, fullname }) => ({ id, username, fullname })),
+  }));
+}
+
+export async function dbSetTeamMembers(teamId, userIds) {
+  await pool.query("DELETE FROM team_members WHERE team_id = ?", [teamId]);
+  if (userIds.length) {
+    await pool.query("INSERT INTO team_members (team_id, user_id) VALUES ?", [userIds.map(uid => [teamId, uid])]);
+  }
+}
+
+/** پاک‌سازی وابستگی‌های تیم حذف‌شده (حوادث تیم خود را از دست می‌دهند؛ قواعدش حذف می‌شوند) */
+export async function dbDetachTeam(teamId) {
+  await pool.query("DELETE FROM team_members WHERE team_id = ?", [teamId]);
+  await pool.query("DELETE FROM assignment_rules WHERE team_id = ?", [teamId]);
+  await pool.query("UPDATE incidents SET team_id = NULL WHERE team_id = ?", [teamId]);
+}
+
+/** تاریخچه‌ی واگذاری‌های یک حادثه از قدیم به جدید */
+export async function dbListAssignmentHistory(incidentId) {
+  const [rows] = await pool.query(
+    `SELECT h.id, h.source, h.rule_id, h.note,
+            h.assignee_id, ua.fullname AS assignee_fullname,
+            h.team_id, t.name AS team_name,
+            h.prev_assignee_id, pa.fullname AS prev_assignee_fullname,
+            h.prev_team_id, pt.name AS prev_team_name,
+            h.assigned_by, ub.fullname AS assigned_by_fullname,
+            DATE_FORMAT(h.created_at, '%Y-%m-%d %H:%i:%s') AS created_at
+     FROM incident_assignments h
+     LEFT JOIN users ua ON ua.id = h.assignee_id
+     LEFT JOIN users pa ON pa.id = h.prev_assignee_id
+     LEFT JOIN users ub ON ub.id = h.assigned_by
+     LEFT JOIN teams t  ON t.id  = h.team_id
+     LEFT JOIN teams pt ON pt.id = h.prev_team_id
+     WHERE h.incident_id = ?
+     ORDER BY h.id ASC`,
+    [incidentId]
+  );
+  return rows;
+}
+
+/* ---------------------------------- RULES --------------------------------- */
+export async function dbListRules() {
+  const [rows] = await pool.query(
+    `SELECT r.id, r.category_id, r.location_id, l.name AS location_name, r.team_id, t.name AS team_name,
+            r.enabled, r.last_user_id,
+            DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+            DATE_FORMAT(r.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at
+     FROM assignment_rules r
+     LEFT JOIN locations l ON l.id = r.location_id
+     LEFT JOIN teams t     ON t.id = r.team_id
+     ORDER BY r.id ASC`
+  );
+  return rows.map(r => ({ ...r, enabled: !!r.enabled }));
+}
+
+export async function dbGetRule(id) {
+  const [[row]] = await pool.query("SELECT id, category_id, location_id, team_id, enabled FROM assignment_rules WHERE id = ? LIMIT 1", [id]);
+  return row ? { ...row, enabled: !!row.enabled } : null;
+}
+
+/**
+ * اعتبارسنجی ورودی قاعده برای نقش ویرایش‌کننده.
+ * خروجی: { ok: true, rule } یا { ok: false, status?, message }
+ */
+export async function cleanRuleInput(input = {}, role, current = null) {
+  const rule = {
+    category_id: input.category_id !== undefined ? numOrNull(input.category_id) : current?.category_id ?? null,
+    location_id: input.location_id !== undefined ? numOrNull(input.location_id) : current?.location_id ?? null,
+    team_id: input.team_id !== undefined ? numOrNull(input.team_id) : current?.team_id ?? null,
+    enabled: input.enabled !== undefined ? bool(input.enabled) : current?.enabled ?? true,
+  };
+  if (rule.category_id !== null && ![1, 2].includes(rule.category_id)) return { ok: false, message: "دسته‌بندی نامعتبر است." };
+  // قاعده‌ی defense-admin فقط حوادث فیزیکی را پوشش می‌دهد
+  if (role === "defense-admin" && rule.category_id !== 2) {
+    return { ok: false, status: 403, message: "مدیر پدافند فقط برای حوادث فیزیکی قاعده تعریف می‌کند." };
+  }
+  if (!rule.team_id) return { ok: false, message: "تیم الزامی است." };
+  const team = await dbGetTeam(rule.team_id);
+  if (!team) return { ok: false, message: "تیم یافت نشد." };
+  if (team.category_id && rule.category_id !== team.category_id) {
+    return { ok: false, message: "دسته‌بندی قاعده با دسته‌بندی تیم سازگار نیست." };
+  }
+  if (rule.location_id) {
+    const [[loc]] = await pool.query("SELECT id FROM locations WHERE id = ? LIMIT 1", [rule.location_id]);
+    if (!loc) return { ok: false, message: "محل وقوع یافت نشد." };
+  }
+  return { ok: true, rule };
+}
+
+export async function dbCreateRule(rule) {
+  const [res] = await pool.query(
+    "INSERT INTO assignment_rules (category_id, location_id, team_id, enabled, created_at) VALUES (?, ?, ?, ?, NOW())",
+    [rule.category_id, rule.location_id, rule.team_id, rule.enabled ? 1 : 0]
+  );
+  return dbGetRule(res.insertId);
+}
+
+export async function dbUpdateRule(id, rule) {
+  await pool.query(
+    `UPDATE assignment_rules SET category_id = ?, location_id = ?, team_id = ?, enabled = ?, updated_at = NOW()
+     WHERE id = ?`,
+    [rule.category_id, rule.location_id, rule.team_id, rule.enabled ? 1 : 0, id]
+  );
+  return dbGetRule(id);
+}
+
+export async function dbDeleteRule(id) {
+  const [res] = await pool.query("DELETE FROM assignment_rules WHERE id = ?", [id]);
+  return res.affectedRows > 0;
+}
+
+/* ----------------------------------- API ---------------------------------- */
+async function notifyAssignment(incident, { assignee, team, actorId }) {
+  try {
+    const link = `/api/incidents/${incident.id}`;
+    if (assignee && assignee.id !== actorId) {
+      await notifyUsers([assignee.id], {
+        type: "incident_assigned",
+        title: `حادثه شماره ${incident.id} به شما واگذار شد`,
+        body: incident.title || null,
+        link,
+      });
+    } else if (!assignee && team) {
+      // واگذاری به تیم بدون مسئول: همه‌ی اعضای واجد شرایط تیم باخبر می‌شوند
+      const members = (await dbTeamMembers([team.id])).get(team.id) || [];
+      await notifyUsers(members.filter(u => u.id !== actorId && canBeAssignee(u, incident)).map(u => u.id), {
+        type: "incident_assigned",
+        title: `حادثه شماره ${incident.id} به تیم ${team.name} واگذار شد`,
+        body: incident.title || null,
+        link,
+      });
+    }
+  } catch (e) {
+    console.error("ASSIGNMENT_NOTIFY_ERR:", incident.id, e);
+  }
+}
+
+/**
+ * اعمال واگذاری روی حادثه (incident شامل id, title, category_id, assignee_id, team_id).
+ * تغییر در تاریخچه‌ی حادثه (op=assign)، تاریخچه‌ی واگذاری‌ها و اعلان مسئول جدید ثبت می‌شود.
+ * خروجی: false اگر چیزی تغییر نکرد
+ */
+export async function assignIncident(req, incident, { assignee = null, team = null, note = null, source = "manual", ruleId = null }) {
+  const assigneeId = assignee?.id || null;
+  const teamId = team?.id || null;
+  if (assigneeId === (incident.assignee_id || null) && teamId === (incident.team_id || null)) return false;
+
+  await withRevision(req, { entity: "incident", entityId: incident.id, op: "assign" }, async () => {
+    await pool.query(
+      "UPDATE incidents SET assignee_id = ?, team_id = ?, assigned_at = ?, updated_at = NOW() WHERE id = ?",
+      [assigneeId, teamId, assigneeId || teamId ? new Date() : null, incident.id]
+    );
+  });
+  await pool.query(
+    `INSERT INTO incident_assignments
+       (incident_id, assignee_id, team_id, prev_assignee_id, prev_team_id, source, rule_id, note, assigned_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      incident.id, assigneeId, teamId, incident.assignee_id || null, incident.team_id || null,
+      source, ruleId, note ? String(note).slice(0, 500) : null, source === "manual" ? req.user?.id || null : null,
+    ]
+  );
+  if (assigneeId !== (incident.assignee_id || null) || (!assigneeId && teamId !== (incident.team_id || null))) {
+    await notifyAssignment(incident, { assignee, team, actorId: source === "manual" ? req.user?.id : null });
+  }
+  return true;
+}
+
+/** قاعده‌ی منطبق: قاعده‌ی دقیق‌تر (دسته‌بندی و محل) مقدم است */
+async function dbMatchRule(conn, incident) {
+  const [[rule]] = await conn.query(
+    `SELECT id, team_id, last_user_id
+     FROM assignment_rules
+     WHERE enabled = 1
+       AND (category_id IS NULL OR category_id = ?)
+       AND (location_id IS NULL OR location_id = ?)
+     ORDER BY (category_id IS NOT NULL) + (location_id IS NOT NULL) DESC, id ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [incident.category_id, incident.location_id]
+  );
+  return rule || null;
+}
+
+/**
+ * واگذاری خودکار حادثه‌ی تازه طبق قواعد: تیم قاعده و نفر بعدیِ اعضای واجد شرایط (به ترتیب شناسه).
+ * نوبت هر قاعده در last_user_id نگه داشته و با قفل ردیف از دوبار دادن یک نوبت جلوگیری می‌شود.
+ * هرگز خطا پرتاب نمی‌کند؛ خروجی: true اگر واگذار شد.
+ */
+export async function autoAssignIncident(req, incident) {
+  let conn, picked = null;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const rule = await dbMatchRule(conn, incident);
+    if (!rule) { await conn.commit(); return false; }
+
+    const team = await dbGetTeam(rule.team_id);
+    if (!team || !teamFitsIncident(team, incident)) { await conn.commit(); return false; }
+    const members = ((await dbTeamMembers([team.id])).get(team.id) || []).filter(u => canBeAssignee(u, incident));
+    const assignee = members.find(u => u.id > (rule.last_user_id || 0)) || members[0] || null;
+    if (assignee) await conn.query("UPDATE assignment_rules SET last_user_id = ? WHERE id = ?", [assignee.id, rule.id]);
+    await conn.commit();
+    picked = { rule, team, assignee };
+  } catch (e) {
+    try { await conn?.rollback(); } catch {}
+    console.error("AUTO_ASSIGN_ERR:", incident.id, e);
+    return false;
+  } finally {
+    conn?.release();
+  }
+
+  try {
+    return await assignIncident(req, incident, {
+      assignee: picked.assignee, team: picked.team, source: "auto", ruleId: picked.rule.id,
+    });
+  } catch (e) {
+    console.error("AUTO_ASSIGN_ERR:", incident.id, e);
+    return false;
+  }
+}
@@ -0,0 +1,134 @@
+// backend/src/utils/attachments.js
+// پیوست‌های حوادث (تصویر، لاگ، فایل‌های شواهد): رکورد در incident_attachments و محتوا در ذخیره‌ساز شواهد.
+// hash هر فایل هنگام دریافت ذخیره و رویدادهای نگهداری آن در custody.js ثبت می‌شود.
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { pool } from "../config/db.js";
+import { getEvidenceStore } from "./storage.js";
+import { audit } from "./audit.js";
+import { hashStream, recordCustody } from "./custody.js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+/* Mojibake fix (multer نام فایل را latin1 می‌خواند) */
+function decodeUtf8FromLatin1(s = "") {
+  try { return Buffer.from(String(s), "latin1").toString("utf8"); } catch { return s; }
+}
+function sanitizeName(n = "") {
+  return String(n).replace(/[\/\\:?*"<>|]+/g, "_").replace(/\s+/g, " ").trim().slice(0, 255) || "file";
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT a.id, a.incident_id, a.original_name, a.mime, a.size, a.sha256, a.storage_key,
+         a.uploaded_by, u.fullname AS uploaded_by_fullname,
+         DATE_FORMAT(a.uploaded_at, '%Y-%m-%d %H:%i:%s') AS uploaded_at
+  FROM incident_attachments a
+  LEFT JOIN users u ON u.id = a.uploaded_by
+`;
+
+// storage_key داخلی است و به کلاینت برگردانده نمی‌شود
+const publicRow = ({ storage_key, ...rest }) => rest;
+
+/** رکوردهای کامل (با storage_key) پیوست‌های یک حادثه؛ برای بررسی hash و گزارش نگهداری */
+export async function dbListAttachmentRecords(incidentId) {
+  const [rows] = await pool.query(`${SELECT_BASE} WHERE a.incident_id = ? ORDER BY a.id ASC`, [incidentId]);
+  return rows;
+}
+
+export async function dbListAttachments(incidentId) {
+  return (await dbListAttachmentRecords(incidentId)).map(publicRow);
+}
+
+/** رکورد کامل (با storage_key) برای دانلود/حذف */
+export async function dbGetAttachment(incidentId, id) {
+  const [rows] = await pool.query(`${SELECT_BASE} WHERE a.incident_id = ? AND a.id = ? LIMIT 1`, [incidentId, id]);
+  return rows?.[0] || null;
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * ذخیره‌ی یک فایل multer (فایل موقت روی دیسک) برای یک حادثه. خروجی: رکورد ساخته‌شده
+ * hash SHA-256 از همان فایل دریافتی (پیش از ذخیره) به صورت جریانی محاسبه و رویداد "uploaded" ثبت می‌شود.
+ * اگر درج رکورد یا رویداد شکست بخورد، رکورد و شیء ذخیره‌شده پاک می‌شوند تا فایل یتیم/بی‌سابقه نماند.
+ */
+async function saveAttachment(req, incidentId, f) {
+  const store = getEvidenceStore();
+  const name = sanitizeName(decodeUtf8FromLatin1(f.originalname || "file"));
+  const ext = (path.extname(name) || "").toLowerCase();
+  const key = `${incidentId}/${randomUUID()}${ext}`;
+  const mime = f.mimetype || "application/octet-stream";
+  const size = Number(f.size || 0);
+  const sha256 = await hashStream(fs.createReadStream(f.path));
+
+  await store.putFile(key, f.path, mime);
+  let insertId;
+  try {
+    const [res] = await pool.query(
+      `INSERT INTO incident_attachments (incident_id, original_name, mime, size, sha256, storage_key, uploaded_by, uploaded_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [incidentId, name, mime, size, sha256, key, req.user?.id || null]
+    );
+    insertId = res.insertId;
+    await recordCustody(req, { id: insertId, incident_id: incidentId }, "uploaded", {
+      sha256, details: { name, mime, size },
+    });
+  } catch (e) {
+    if (insertId) try { await pool.query("DELETE FROM incident_attachments WHERE id = ?", [insertId]); } catch {}
+    try { await store.remove(key); } catch {}
+    throw e;
+  }
+
+  const row = await dbGetAttachment(incidentId, insertId);
+  await audit(req, "incident_attachment.create", {
+    targetType: "incident_attachment", targetId: insertId,
+    details: { incident_id: incidentId, name, mime, size, sha256 },
+  });
+  return publicRow(row);
+}
+
+/** ذخیره‌ی فایل‌ها به ترتیب؛ خطای هر فایل کل درخواست را شکست می‌دهد. خروجی: رکوردهای ساخته‌شده */
+export async function saveAttachments(req, incidentId, files = []) {
+  const created = [];
+  for (const f of files) created.push(await saveAttachment(req, incidentId, f));
+  return created;
+}
+
+/**
+ * مانند saveAttachments ولی خطای هر فایل جدا گزارش می‌شود (برای ثبت حادثه که پس از درج نباید 500 شود).
+ * خروجی: { created: [...], failed: [{ name, message }] }
+ */
+export async function saveAttachmentsSettled(req, incidentId, files = []) {
+  const created = [], failed = [];
+  for (const f of files) {
+    try {
+      created.push(await saveAttachment(req, incidentId, f));
+    } catch (e) {
+      console.error("ATTACHMENT_SAVE_ERR:", incidentId, e);
+      failed.push({ name: sanitizeName(decodeUtf8FromLatin1(f.originalname || "file")), message: "ذخیره‌ی فایل با خطا مواجه شد." });
+    }
+  }
+  return { created, failed };
+}
+
+/** حذف رکورد و محتوای پیوست (رویدادهای نگهداری آن باقی می‌مانند) */
+export async function deleteAttachment(req, att) {
+  await recordCustody(req, att, "deleted", {
+    sha256: att.sha256 || null, details: { name: att.original_name, mime: att.mime, size: att.size },
+  });
+  await pool.query("DELETE FROM incident_attachments WHERE id = ?", [att.id]);
+  try {
+    await getEvidenceStore().remove(att.storage_key);
+  } catch (e) {
+    console.error("ATTACHMENT_REMOVE_OBJECT_ERR:", att.storage_key, e);
+  }
+  await audit(req, "incident_attachment.delete", {
+    targetType: "incident_attachment", targetId: att.id,
+    details: { incident_id: att.incident_id, name: att.original_name, size: att.size },
+  });
+}
+
+/** باز کردن محتوای پیوست برای ارسال (Readable یا null) */
+export function openAttachment(att) {
+  return getEvidenceStore().open(att.storage_key);
+}
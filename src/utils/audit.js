@@ -0,0 +1,163 @@
+// backend/src/utils/audit.js
+// لاگ ممیزی مرکزی با زنجیره‌ی hash: هر رکورد hash رکورد قبلی را در بر دارد،
+// پس حذف یا دست‌کاری هر رکورد در بررسی زنجیره (GET /api/audit/verify) آشکار می‌شود.
+import { createHash } from "crypto";
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const GENESIS_HASH = "0".repeat(64);
+const VERIFY_BATCH = 1000;
+
+/* --------------------------------- HELPERS -------------------------------- */
+const pad = (n, w = 2) => String(n).padStart(w, "0");
+const clip = (v, n) => (v == null || v === "" ? null : String(v).slice(0, n));
+
+// زمان با دقت میلی‌ثانیه به همان شکلی که در DATETIME(3) ذخیره و در hash استفاده می‌شود
+function nowStamp(d = new Date()) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ` +
+    `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+function entryHash(e, prevHash) {
+  const canonical = JSON.stringify([
+    e.created_at, e.actor_id ?? null, e.actor_username ?? null, e.api_key_id ?? null, e.ip ?? null,
+    e.action, e.target_type ?? null, e.target_id ?? null, e.outcome, e.details ?? null, prevHash,
+  ]);
+  return createHash("sha256").update(canonical).digest("hex");
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * ثبت رویداد ممیزی. هرگز خطا پرتاب نمی‌کند (خطا فقط لاگ می‌شود).
+ *   action:  مثل "auth.login" ، "user.delete" ، "config.update" ، "resource.download"
+ *   actor:   پیش‌فرض req.user؛ برای ورود ناموفق { username } داده می‌شود
+ */
+export async function audit(req, action, { targetType, targetId, outcome = "success", details, actor } = {}) {
+  const who = actor || req?.user || {};
+  const entry = {
+    created_at: nowStamp(),
+    actor_id: who.id ? Number(who.id) : null,
+    actor_username: clip(who.username, 100),
+    api_key_id: req?.apiKey?.id || null,
+    ip: clip(req?.ip, 64),
+    action: String(action).slice(0, 64),
+    target_type: clip(targetType, 32),
+    target_id: clip(targetId, 64),
+    outcome,
+    details: details ? JSON.stringify(details) : null,
+  };
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    // قفل سر زنجیره: ثبت‌های هم‌زمان پشت سر هم قرار می‌گیرند و زنجیره دوشاخه نمی‌شود
+    const [[head]] = await conn.query("SELECT last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE");
+    const prevHash = head?.last_hash || GENESIS_HASH;
+    const hash = entryHash(entry, prevHash);
+    const [res] = await conn.query(
+      `INSERT INTO audit_log
+         (created_at, actor_id, actor_username, api_key_id, ip, user_agent, action,
+          target_type, target_id, outcome, details, prev_hash, hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.created_at, entry.actor_id, entry.actor_username, entry.api_key_id, entry.ip,
+        clip(req?.headers?.["user-agent"], 255), entry.action, entry.target_type, entry.target_id,
+        entry.outcome, entry.details, prevHash, hash,
+      ]
+    );
+    await conn.query(
+      `INSERT INTO audit_chain_head (id, last_id, last_hash) VALUES (1, ?, ?)
+       ON DUPLICATE KEY UPDATE last_id = VALUES(last_id), last_hash = VALUES(last_hash)`,
+      [res.insertId, hash]
+    );
+    await conn.commit();
+  } catch (e) {
+    try { await conn?.rollback(); } catch {}
+    console.error("AUDIT_ERR:", action, e);
+  } finally {
+    conn?.release();
+  }
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT a.id,
+         DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s.%f') AS created_at,
+         a.actor_id, a.actor_username, a.api_key_id, a.ip, a.user_agent, a.action,
+         a.target_type, a.target_id, a.outcome, a.details, a.prev_hash, a.hash
+  FROM audit_log a
+`;
+
+// %f شش رقم می‌دهد؛ hash با سه رقم (میلی‌ثانیه) ساخته شده است
+const normRow = (r) => ({ ...r, created_at: String(r.created_at).slice(0, 23) });
+
+/**
+ * جستجوی لاگ ممیزی با صفحه‌بندی.
+ * فیلترها: actor_id, actor (نام کاربری)، action (دقیق یا پیشوند با «.» پایانی مثل "user.")،
+ * target_type, target_id, outcome, from, to (YYYY-MM-DD میلادی)
+ */
+export async function dbListAudit(filters = {}, { page = 1, pageSize = 50 } = {}) {
+  const where = [], params = [];
+  if (filters.actor_id)    { where.push("a.actor_id = ?");       params.push(Number(filters.actor_id)); }
+  if (filters.actor)       { where.push("a.actor_username = ?"); params.push(String(filters.actor)); }
+  if (filters.action) {
+    const a = String(filters.action);
+    if (a.endsWith(".")) { where.push("a.action LIKE ?"); params.push(a.replace(/[%_\\]/g, "\\$&") + "%"); }
+    else                 { where.push("a.action = ?");    params.push(a); }
+  }
+  if (filters.target_type) { where.push("a.target_type = ?"); params.push(String(filters.target_type)); }
+  if (filters.target_id)   { where.push("a.target_id = ?");   params.push(String(filters.target_id)); }
+  if (filters.outcome)     { where.push("a.outcome = ?");     params.push(String(filters.outcome)); }
+  if (filters.from)        { where.push("a.created_at >= ?"); params.push(`${filters.from} 00:00:00`); }
+  if (filters.to)          { where.push("a.created_at < ? + INTERVAL 1 DAY"); params.push(`${filters.to} 00:00:00`); }
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log a ${whereSql}`, params);
+  const [rows] = await pool.query(
+    `${SELECT_BASE} ${whereSql} ORDER BY a.id DESC LIMIT ? OFFSET ?`,
+    [...params, pageSize, (page - 1) * pageSize]
+  );
+  return {
+    items: rows.map(r => {
+      const row = normRow(r);
+      return { ...row, details: row.details ? JSON.parse(row.details) : null };
+    }),
+    total: Number(total),
+    page,
+    page_size: pageSize,
+  };
+}
+
+/**
+ * بررسی کل زنجیره از ابتدا. خروجی:
+ *   { ok: true, checked } یا { ok: false, checked, broken_at, reason }
+ */
+export async function verifyAuditChain() {
+  let prevHash = GENESIS_HASH;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const [rows] = await pool.query(
+      `${SELECT_BASE} WHERE a.id > ? ORDER BY a.id ASC LIMIT ?`,
+      [lastId, VERIFY_BATCH]
+    );
+    if (!rows.length) break;
+    for (const raw of rows) {
+      const r = normRow(raw);
+      if (r.prev_hash !== prevHash) return { ok: false, checked, broken_at: r.id, reason: "prev_hash_mismatch" };
+      if (entryHash(r, prevHash) !== r.hash) return { ok: false, checked, broken_at: r.id, reason: "hash_mismatch" };
+      prevHash = r.hash;
+      lastId = r.id;
+      checked++;
+    }
+  }
+
+  // حذف رکوردهای انتهایی زنجیره فقط با مقایسه با سر زنجیره دیده می‌شود
+  const [[head]] = await pool.query("SELECT last_id, last_hash FROM audit_chain_head WHERE id = 1");
+  if (head && (Number(head.last_id) !== lastId || head.last_hash !== prevHash)) {
+    return { ok: false, checked, broken_at: lastId, reason: "head_mismatch" };
+  }
+  return { ok: true, checked };
+}
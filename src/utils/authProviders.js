@@ -0,0 +1,257 @@
+// backend/src/utils/authProviders.js
+// لایه‌ی قابل‌افزونه‌ی احراز هویت: ارائه‌دهنده‌ها به ترتیب AUTH_PROVIDERS امتحان می‌شوند.
+//
+// نمونه‌ی تنظیمات برای یک OpenLDAP محلی (docker run -p 389:389 osixia/openldap):
+//   AUTH_PROVIDERS=ldap,local
+//   LDAP_URL=ldap://localhost:389
+//   LDAP_BIND_DN=cn=admin,dc=example,dc=org
+//   LDAP_BIND_PASSWORD=admin
+//   LDAP_BASE_DN=ou=people,dc=example,dc=org
+//   LDAP_USER_FILTER=(uid={{username}})            # برای AD: (sAMAccountName={{username}})
+//   LDAP_GROUP_BASE_DN=ou=groups,dc=example,dc=org  # اگر memberOf در دسترس نیست
+//   LDAP_GROUP_FILTER=(member={{dn}})
+//   LDAP_ROLE_MAP=cn=soc,ou=groups,dc=example,dc=org:system-admin;cn=defense,ou=groups,dc=example,dc=org:defense-admin
+//   LDAP_STARTTLS=false  LDAP_TLS_CA_FILE=  LDAP_TLS_REJECT_UNAUTHORIZED=true
+// بررسی اتصال بدون ورود به برنامه: npm run ldap:test -- <username>
+import fs from "fs";
+import { randomBytes } from "crypto";
+import { Client, InvalidCredentialsError } from "ldapts";
+import { pool } from "../config/db.js";
+import { comparePassword, hashPassword } from "./hash.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const PROVIDER_ORDER = (process.env.AUTH_PROVIDERS || "local")
+  .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const LDAP_ENABLED = PROVIDER_ORDER.includes("ldap");
+
+// وقتی LDAP فعال است، فقط حساب‌های محلی با این نقش‌ها (حساب‌های اضطراری) به‌صورت محلی وارد می‌شوند
+const LOCAL_FALLBACK_ROLES = (process.env.LOCAL_FALLBACK_ROLES || "system-admin")
+  .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+const LDAP = {
+  url:               process.env.LDAP_URL || "",
+  bindDN:            process.env.LDAP_BIND_DN || "",
+  bindPassword:      process.env.LDAP_BIND_PASSWORD || "",
+  baseDN:            process.env.LDAP_BASE_DN || "",
+  userFilter:        process.env.LDAP_USER_FILTER || "(uid={{username}})",
+  groupBaseDN:       process.env.LDAP_GROUP_BASE_DN || "",
+  groupFilter:       process.env.LDAP_GROUP_FILTER || "(member={{dn}})",
+  attrFullname:      process.env.LDAP_ATTR_FULLNAME || "displayName",
+  attrPosition:      process.env.LDAP_ATTR_POSITION || "title",
+  startTLS:          process.env.LDAP_STARTTLS === "true",
+  caFile:            process.env.LDAP_TLS_CA_FILE || "",
+  rejectUnauthorized: process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== "false",
+  timeoutMs:         Number(process.env.LDAP_TIMEOUT_MS || 5000),
+  defaultRole:       process.env.LDAP_DEFAULT_ROLE || "user",
+  requireGroup:      process.env.LDAP_REQUIRE_GROUP === "true",
+};
+
+const ROLE_RANK = { "user": 1, "defense-admin": 2, "system-admin": 3 };
+
+/** LDAP_ROLE_MAP=groupDN:role;groupDN:role  → Map(lowercase DN → role) */
+const ROLE_MAP = new Map(
+  (process.env.LDAP_ROLE_MAP || "")
+    .split(";").map(s => s.trim()).filter(Boolean)
+    .map(pair => {
+      const i = pair.lastIndexOf(":");
+      return [pair.slice(0, i).trim().toLowerCase(), pair.slice(i + 1).trim()];
+    })
+    .filter(([dn, role]) => dn && ROLE_RANK[role])
+);
+
+/* --------------------------------- HELPERS -------------------------------- */
+// RFC 4515: escape مقادیر داخل فیلتر LDAP
+function escapeFilterValue(v = "") {
+  return String(v).replace(/[\\*()\0]/g, ch => "\\" + ch.charCodeAt(0).toString(16).padStart(2, "0"));
+}
+const firstValue = (v) => (Array.isArray(v) ? v[0] : v) ?? "";
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]).map(x => String(x));
+
+function tlsOptions() {
+  const opts = { rejectUnauthorized: LDAP.rejectUnauthorized };
+  if (LDAP.caFile) opts.ca = [fs.readFileSync(LDAP.caFile)];
+  return opts;
+}
+
+async function ldapClient() {
+  const client = new Client({
+    url: LDAP.url,
+    timeout: LDAP.timeoutMs,
+    connectTimeout: LDAP.timeoutMs,
+    tlsOptions: LDAP.url.startsWith("ldaps:") ? tlsOptions() : undefined,
+  });
+  if (LDAP.startTLS) {
+    try {
+      await client.startTLS(tlsOptions());
+    } catch (e) {
+      // اتصال باز شده است؛ بدون unbind سوکت تا پایان timeout باقی می‌ماند
+      try { await client.unbind(); } catch {}
+      throw e;
+    }
+  }
+  return client;
+}
+
+/** نگاشت گروه‌های کاربر به بالاترین نقش؛ null یعنی هیچ گروه نگاشت‌شده‌ای ندارد */
+export function mapGroupsToRole(groupDNs = []) {
+  let best = null;
+  for (const dn of groupDNs) {
+    const role = ROLE_MAP.get(String(dn).toLowerCase());
+    if (role && (!best || ROLE_RANK[role] > ROLE_RANK[best])) best = role;
+  }
+  return best;
+}
+
+/* ------------------------------- LDAP PROVIDER ------------------------------ */
+/**
+ * جستجوی کاربر با حساب سرویس، سپس bind با DN کاربر.
+ * خروجی: { status: "success", profile } | "not_found" | "invalid" | "unavailable"
+ */
+export async function ldapAuthenticate(username, password) {
+  if (!LDAP.url || !LDAP.baseDN) return { status: "unavailable" };
+  // bind بدون رمز در LDAP «ناشناس» موفق می‌شود؛ هرگز نپذیر
+  if (!password) return { status: "invalid" };
+
+  let client;
+  try {
+    client = await ldapClient();
+    if (LDAP.bindDN) await client.bind(LDAP.bindDN, LDAP.bindPassword);
+
+    const filter = LDAP.userFilter.replace(/\{\{username\}\}/g, escapeFilterValue(username));
+    const { searchEntries } = await client.search(LDAP.baseDN, {
+      scope: "sub",
+      filter,
+      attributes: ["dn", "cn", "memberOf", LDAP.attrFullname, LDAP.attrPosition],
+      sizeLimit: 2,
+    });
+    if (!searchEntries.length) return { status: "not_found" };
+    if (searchEntries.length > 1) {
+      console.warn("LDAP_AMBIGUOUS_USER:", username);
+      return { status: "invalid" };
+    }
+    const entry = searchEntries[0];
+
+    try {
+      await client.bind(entry.dn, password);
+    } catch (e) {
+      if (e instanceof InvalidCredentialsError) return { status: "invalid" };
+      throw e;
+    }
+
+    let groups = asArray(entry.memberOf);
+    if (LDAP.groupBaseDN) {
+      if (LDAP.bindDN) await client.bind(LDAP.bindDN, LDAP.bindPassword);
+      const { searchEntries: groupEntries } = await client.search(LDAP.groupBaseDN, {
+        scope: "sub",
+        filter: LDAP.groupFilter
+          .replace(/\{\{dn\}\}/g, escapeFilterValue(entry.dn))
+          .replace(/\{\{username\}\}/g, escapeFilterValue(username)),
+        attributes: ["dn"],
+      });
+      groups = groups.concat(groupEntries.map(g => g.dn));
+    }
+
+    return {
+      status: "success",
+      profile: {
+        dn: entry.dn,
+        fullname: String(firstValue(entry[LDAP.attrFullname]) || firstValue(entry.cn) || username),
+        position: String(firstValue(entry[LDAP.attrPosition]) || "") || null,
+        groups,
+      },
+    };
+  } catch (e) {
+    console.error("LDAP_AUTH_ERR:", e?.message || e);
+    return { status: "unavailable" };
+  } finally {
+    try { await client?.unbind(); } catch {}
+  }
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+async function dbFindUser(username) {
+  const [rows] = await pool.query(
+    "SELECT id, username, role, status, auth_source, password FROM users WHERE username = ? LIMIT 1",
+    [username]
+  );
+  return rows?.[0] || null;
+}
+
+/** ایجاد یا به‌روزرسانی کاربر LDAP در جدول users (Just-In-Time) */
+async function dbProvisionLdapUser(username, profile, role) {
+  const existing = await dbFindUser(username);
+  if (!existing) {
+    // رمز محلی قابل استفاده نیست؛ ورود فقط از طریق دایرکتوری
+    const unusable = await hashPassword(randomBytes(32).toString("hex"));
+    const [res] = await pool.query(
+      `INSERT INTO users (username, password, fullname, position, role, status, auth_source, created_at, password_changed_at)
+       VALUES (?, ?, ?, ?, ?, 'active', 'ldap', NOW(), NOW())`,
+      [username, unusable, profile.fullname, profile.position, role]
+    );
+    return res.insertId;
+  }
+  await pool.query(
+    "UPDATE users SET fullname = ?, position = COALESCE(?, position), role = ?, auth_source = 'ldap' WHERE id = ?",
+    [profile.fullname, profile.position, role, existing.id]
+  );
+  return existing.id;
+}
+
+/* ------------------------------- LOCAL PROVIDER ------------------------------ */
+async function localAuthenticate(username, password) {
+  const user = await dbFindUser(username);
+  if (!user || !user.password) return { status: "not_found" };
+  if (user.auth_source === "ldap") return { status: "not_found" };
+  if (LDAP_ENABLED && !LOCAL_FALLBACK_ROLES.includes(String(user.role).toLowerCase())) {
+    return { status: "not_found" };
+  }
+  const ok = await comparePassword(String(password), user.password);
+  return ok ? { status: "success", userId: user.id } : { status: "invalid" };
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * احراز هویت نام کاربری/رمز با ارائه‌دهنده‌های فعال.
+ * خروجی: { ok: true, userId, provider } یا { ok: false }
+ * «not_found» و «unavailable» سراغ ارائه‌دهنده‌ی بعدی می‌روند؛ «invalid» متوقف می‌کند.
+ */
+export async function authenticate(username, password) {
+  for (const provider of PROVIDER_ORDER) {
+    if (provider === "local") {
+      const r = await localAuthenticate(username, password);
+      if (r.status === "success") return { ok: true, userId: r.userId, provider };
+      if (r.status === "invalid") return { ok: false };
+      continue;
+    }
+
+    if (provider === "ldap") {
+      const r = await ldapAuthenticate(username, password);
+      if (r.status === "invalid") return { ok: false };
+      if (r.status !== "success") continue;
+
+      const existing = await dbFindUser(username);
+      // حساب اضطراری محلی نباید با یک حساب هم‌نام در دایرکتوری تصاحب شود
+      if (existing && existing.auth_source !== "ldap" && LOCAL_FALLBACK_ROLES.includes(String(existing.role).toLowerCase())) {
+        console.warn("LDAP_LINK_REFUSED (break-glass account):", username);
+        return { ok: false };
+      }
+      const role = mapGroupsToRole(r.profile.groups) || (LDAP.requireGroup ? null : LDAP.defaultRole);
+      if (!role) return { ok: false };
+      const userId = await dbProvisionLdapUser(username, r.profile, role);
+      return { ok: true, userId, provider };
+    }
+  }
+  return { ok: false };
+}
+
+/** تأیید مجدد رمز برای کاربر واردشده (مثلاً هنگام غیرفعال‌سازی MFA) */
+export async function verifyUserPassword(user, password) {
+  if (!user) return false;
+  if (user.auth_source === "ldap") {
+    const r = await ldapAuthenticate(user.username, password);
+    return r.status === "success";
+  }
+  return !!user.password && comparePassword(String(password || ""), user.password);
+}
+
+export const isDirectoryUser = (user) => user?.auth_source === "ldap";
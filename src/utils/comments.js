@@ -0,0 +1,217 @@
+// backend/src/utils/comments.js
+// گفتگوی حادثه: دیدگاه‌ها (قابل‌مشاهده برای گزارش‌دهنده و ادمین‌ها) و یادداشت‌های داخلی (فقط ادمین در محدوده).
+// @username در متن، کاربر را نام می‌برد و برایش اعلان ثبت می‌شود (فقط اگر خودش به دیدگاه دسترسی داشته باشد).
+import { pool } from "../config/db.js";
+import { canReadIncident, isAdminInScope } from "./incidentAcl.js";
+import { notifyUsers } from "./notifications.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const COMMENT_MAX_LENGTH = 5000;
+const MAX_MENTIONS = 20;
+// env با تأخیر خوانده می‌شود (dotenv پس از importها اجرا می‌شود)
+const editWindowMinutes = () => Number(process.env.COMMENT_EDIT_WINDOW_MINUTES || 15);
+const deleteWindowMinutes = () => Number(process.env.COMMENT_DELETE_WINDOW_MINUTES || 15);
+
+/* --------------------------------- HELPERS -------------------------------- */
+// @ در ابتدای متن یا پس از نویسه‌ای غیر از حرف/رقم (تا نشانی ایمیل mention حساب نشود)
+const MENTION_RE = /(^|[^A-Za-z0-9_.@])@([A-Za-z0-9_.\-]{2,64})/g;
+
+/** نام‌های کاربری mention‌شده در متن (بدون تکرار) */
+export function extractMentions(body = "") {
+  const names = new Set();
+  for (const m of String(body).matchAll(MENTION_RE)) {
+    const name = m[2].replace(/[.\-]+$/, "");
+    if (name.length >= 2) names.add(name.toLowerCase());
+  }
+  return [...names].slice(0, MAX_MENTIONS);
+}
+
+/** آیا کاربر این دیدگاه را می‌بیند؟ (یادداشت داخلی فقط برای ادمین در محدوده؛ req برای دامنه‌ی کلید API) */
+export function canSeeComment(user, incident, comment, req) {
+  if (!canReadIncident(user, incident, req)) return false;
+  return !comment.internal || isAdminInScope(user, incident);
+}
+
+/**
+ * مجوز ویرایش/حذف: نویسنده در بازه‌ی زمانی مجاز؛ ادمین در محدوده همیشه می‌تواند حذف (نه ویرایش) کند.
+ */
+export function commentPermissions(user, incident, c) {
+  if (c.deleted_at) return { can_edit: false, can_delete: false };
+  const mine = c.author_id === user?.id;
+  const ageMin = Number(c.age_seconds || 0) / 60;
+  return {
+    can_edit: mine && ageMin <= editWindowMinutes(),
+    can_delete: (mine && ageMin <= deleteWindowMinutes()) || isAdminInScope(user, incident),
+  };
+}
+
+function mapComment(r, mentions, user, incident) {
+  const deleted = !!r.deleted_at;
+  return {
+    id: r.id,
+    incident_id: r.incident_id,
+    author_id: r.author_id,
+    author_fullname: r.author_fullname || null,
+    author_role: r.author_role || null,
+    internal: !!r.internal,
+    // متن دیدگاه حذف‌شده برگردانده نمی‌شود؛ جای آن در رشته باقی می‌ماند
+    body: deleted ? null : r.body,
+    mentions: deleted ? [] : (mentions.get(r.id) || []),
+    created_at: r.created_at,
+    edited_at: r.edited_at,
+    deleted_at: r.deleted_at,
+    ...commentPermissions(user, incident, r),
+  };
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT c.id, c.incident_id, c.author_id, c.body, c.internal,
+         u.fullname AS author_fullname, u.role AS author_role,
+         DATE_FORMAT(c.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(c.edited_at,  '%Y-%m-%d %H:%i:%s') AS edited_at,
+         DATE_FORMAT(c.deleted_at, '%Y-%m-%d %H:%i:%s') AS deleted_at,
+         TIMESTAMPDIFF(SECOND, c.created_at, NOW()) AS age_seconds
+  FROM incident_comments c
+  LEFT JOIN users u ON u.id = c.author_id
+`;
+
+async function dbMentionsFor(commentIds) {
+  const byComment = new Map();
+  if (!commentIds.length) return byComment;
+  const [rows] = await pool.query(
+    `SELECT m.comment_id, u.id, u.username, u.fullname
+     FROM incident_comment_mentions m
+     JOIN users u ON u.id = m.user_id
+     WHERE m.comment_id IN (?)
+     ORDER BY u.username ASC`,
+    [commentIds]
+  );
+  for (const { comment_id, ...u } of rows) {
+    if (!byComment.has(comment_id)) byComment.set(comment_id, []);
+    byComment.get(comment_id).push(u);
+  }
+  return byComment;
+}
+
+/** رشته‌ی دیدگاه‌های حادثه از قدیم به جدید؛ یادداشت‌های داخلی فقط برای ادمین در محدوده */
+export async function dbListComments(user, incident) {
+  const withInternal = isAdminInScope(user, incident);
+  const [rows] = await pool.query(
+    `${SELECT_BASE} WHERE c.incident_id = ? ${withInternal ? "" : "AND c.internal = 0"} ORDER BY c.id ASC`,
+    [incident.id]
+  );
+  const mentions = await dbMentionsFor(rows.filter(r => !r.deleted_at).map(r => r.id));
+  return rows.map(r => mapComment(r, mentions, user, incident));
+}
+
+/** رکورد خام دیدگاه (برای بررسی مجوز) */
+export async function dbGetCommentRow(incidentId, id) {
+  const [[row]] = await pool.query(`${SELECT_BASE} WHERE c.incident_id = ? AND c.id = ? LIMIT 1`, [incidentId, id]);
+  return row || null;
+}
+
+export async function dbGetComment(user, incident, id) {
+  const row = await dbGetCommentRow(incident.id, id);
+  if (!row) return null;
+  return mapComment(row, await dbMentionsFor([row.id]), user, incident);
+}
+
+/**
+ * کاربران فعالِ mention‌شده که خودشان دیدگاه را می‌بینند (نویسنده حذف می‌شود)
+ */
+async function dbResolveMentions(body, incident, { internal, authorId }) {
+  const names = extractMentions(body);
+  if (!names.length) return [];
+  const [rows] = await pool.query(
+    "SELECT id, username, fullname, role FROM users WHERE LOWER(username) IN (?) AND status = 'active'",
+    [names]
+  );
+  return rows.filter(u => u.id !== authorId && canSeeComment(u, incident, { internal }));
+}
+
+async function dbSetMentions(commentId, userIds) {
+  await pool.query("DELETE FROM incident_comment_mentions WHERE comment_id = ?", [commentId]);
+  if (userIds.length) {
+    await pool.query(
+      "INSERT INTO incident_comment_mentions (comment_id, user_id) VALUES ?",
+      [userIds.map(uid => [commentId, uid])]
+    );
+  }
+}
+
+async function dbMentionIds(commentId) {
+  const [rows] = await pool.query("SELECT user_id FROM incident_comment_mentions WHERE comment_id = ?", [commentId]);
+  return rows.map(r => r.user_id);
+}
+
+/* ------------------------------ NOTIFICATIONS ----------------------------- */
+/**
+ * اعلان‌ها: mention‌شده‌ها همیشه؛ برای دیدگاه عمومی، گزارش‌دهنده و کسانی که پیش‌تر در رشته نوشته‌اند.
+ * یادداشت داخلی فقط به mention‌شده‌ها اعلان می‌دهد. خطای اعلان دیدگاه را خراب نمی‌کند.
+ */
+async function notifyComment(author, incident, comment, mentioned, { isNew }) {
+  try {
+    const link = `/api/incidents/${incident.id}/comments`;
+    const who = author.fullname || author.username;
+    const snippet = String(comment.body).slice(0, 300);
+    await notifyUsers(mentioned.map(u => u.id), {
+      type: "incident_mention",
+      title: `${who} شما را در حادثه شماره ${incident.id} نام برد`,
+      body: snippet,
+      link,
+    });
+    if (!isNew || comment.internal) return;
+
+    const [rows] = await pool.query(
+      `SELECT DISTINCT c.author_id AS id, u.role
+       FROM incident_comments c
+       JOIN users u ON u.id = c.author_id AND u.status = 'active'
+       WHERE c.incident_id = ? AND c.internal = 0 AND c.deleted_at IS NULL`,
+      [incident.id]
+    );
+    const skip = new Set([author.id, ...mentioned.map(u => u.id)]);
+    const participants = rows.filter(u => canReadIncident(u, incident)).map(u => u.id);
+    const recipients = [incident.reporter_id, ...participants].filter(id => id && !skip.has(id));
+    await notifyUsers(recipients, {
+      type: "incident_comment",
+      title: `دیدگاه جدید در حادثه شماره ${incident.id} از ${who}`,
+      body: snippet,
+      link,
+    });
+  } catch (e) {
+    console.error("COMMENT_NOTIFY_ERR:", comment.id, e);
+  }
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/** ثبت دیدگاه یا یادداشت داخلی؛ خروجی: دیدگاه نهایی */
+export async function createComment(user, incident, { body, internal }) {
+  const mentioned = await dbResolveMentions(body, incident, { internal, authorId: user.id });
+  const [res] = await pool.query(
+    "INSERT INTO incident_comments (incident_id, author_id, body, internal, created_at) VALUES (?, ?, ?, ?, NOW())",
+    [incident.id, user.id, body, internal ? 1 : 0]
+  );
+  await dbSetMentions(res.insertId, mentioned.map(u => u.id));
+  await notifyComment(user, incident, { id: res.insertId, body, internal }, mentioned, { isNew: true });
+  return dbGetComment(user, incident, res.insertId);
+}
+
+/** ویرایش متن؛ فقط کاربرانی که تازه mention شده‌اند اعلان می‌گیرند */
+export async function updateComment(user, incident, row, { body }) {
+  const mentioned = await dbResolveMentions(body, incident, { internal: !!row.internal, authorId: row.author_id });
+  const before = new Set(await dbMentionIds(row.id));
+  await pool.query("UPDATE incident_comments SET body = ?, edited_at = NOW() WHERE id = ?", [body, row.id]);
+  await dbSetMentions(row.id, mentioned.map(u => u.id));
+  await notifyComment(user, incident, { id: row.id, body, internal: !!row.internal },
+    mentioned.filter(u => !before.has(u.id)), { isNew: false });
+  return dbGetComment(user, incident, row.id);
+}
+
+/** حذف نرم: جای دیدگاه در رشته می‌ماند ولی متنش دیگر نمایش داده نمی‌شود */
+export async function deleteComment(user, row) {
+  await pool.query(
+    "UPDATE incident_comments SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL",
+    [user.id, row.id]
+  );
+}
@@ -0,0 +1,207 @@
+// backend/src/utils/custody.js
+// زنجیره‌ی نگهداری (chain of custody) پیوست‌های شواهد: hash SHA-256 هنگام دریافت،
+// ثبت هر دسترسی به فایل در attachment_custody_events، بررسی مجدد hash و گزارش نگهداری هر حادثه.
+import { createHash } from "crypto";
+import { pool } from "../config/db.js";
+import { toJalali } from "./dates.js";
+import { rtl, createPdf, stamp, csvEscape } from "./report.js";
+import { audit } from "./audit.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const CUSTODY_EVENTS = ["uploaded", "viewed", "downloaded", "exported", "verified", "deleted"];
+export const CUSTODY_REPORT_FORMATS = ["json", "csv", "pdf"];
+
+const EVENT_LABELS = {
+  uploaded: "بارگذاری", viewed: "مشاهده", downloaded: "دانلود",
+  exported: "خروجی گزارش", verified: "بررسی hash", deleted: "حذف",
+};
+const VERIFY_LABELS = { ok: "سالم", mismatch: "مغایرت", missing: "فایل موجود نیست", unhashed: "بدون hash" };
+
+/* --------------------------------- HELPERS -------------------------------- */
+const clip = (v, n) => (v == null || v === "" ? null : String(v).slice(0, n));
+
+/** hash محتوای یک Readable (بدون بارگذاری کامل فایل در حافظه) */
+export function hashStream(stream) {
+  return new Promise((resolve, reject) => {
+    const h = createHash("sha256");
+    stream.on("data", (chunk) => h.update(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(h.digest("hex")));
+  });
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+/**
+ * ثبت رویداد نگهداری برای یک پیوست. برخلاف audit خطا را پرتاب می‌کند:
+ * دسترسی‌ای که ثبت نشود نباید انجام شود.
+ */
+export async function recordCustody(req, att, event, { sha256 = null, details } = {}) {
+  if (!CUSTODY_EVENTS.includes(event)) throw new Error(`UNKNOWN_CUSTODY_EVENT:${event}`);
+  const who = req?.user || {};
+  await pool.query(
+    `INSERT INTO attachment_custody_events
+       (attachment_id, incident_id, event, actor_id, actor_username, api_key_id, ip, sha256, details, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(3))`,
+    [
+      att.id, att.incident_id, event,
+      who.id ? Number(who.id) : null, clip(who.username, 100), req?.apiKey?.id || null, clip(req?.ip, 64),
+      sha256, details ? JSON.stringify(details) : null,
+    ]
+  );
+}
+
+/** رویدادهای نگهداری یک حادثه (یا یک پیوست)، به ترتیب زمانی */
+export async function dbListCustodyEvents({ incidentId, attachmentId } = {}) {
+  const where = [], vals = [];
+  if (incidentId)   { where.push("e.incident_id = ?");   vals.push(incidentId); }
+  if (attachmentId) { where.push("e.attachment_id = ?"); vals.push(attachmentId); }
+  const [rows] = await pool.query(
+    `SELECT e.id, e.attachment_id, e.incident_id, e.event,
+            e.actor_id, COALESCE(u.fullname, e.actor_username) AS actor_fullname, e.actor_username,
+            e.api_key_id, e.ip, e.sha256, e.details,
+            DATE_FORMAT(e.created_at, '%Y-%m-%d %H:%i:%s') AS created_at
+     FROM attachment_custody_events e
+     LEFT JOIN users u ON u.id = e.actor_id
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY e.id ASC`,
+    vals
+  );
+  return rows.map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+}
+
+/* ---------------------------------- VERIFY -------------------------------- */
+/**
+ * hash مجدد فایل‌های ذخیره‌شده و مقایسه با hash زمان دریافت.
+ * attachments رکوردهای کامل (با storage_key) است؛ open(att) → Readable | null
+ * وضعیت هر فایل: ok | mismatch | missing | unhashed (پیوست‌های پیش از فعال‌شدن hash)
+ */
+export async function verifyAttachments(req, attachments, open) {
+  const files = [];
+  for (const att of attachments) {
+    let actual = null, status;
+    const stream = await open(att);
+    if (!stream) status = "missing";
+    else {
+      actual = await hashStream(stream);
+      status = !att.sha256 ? "unhashed" : actual === att.sha256 ? "ok" : "mismatch";
+    }
+    await recordCustody(req, att, "verified", { sha256: actual, details: { status, expected: att.sha256 || null } });
+    files.push({ id: att.id, original_name: att.original_name, size: att.size, expected: att.sha256 || null, actual, status });
+  }
+
+  const count = (s) => files.filter(f => f.status === s).length;
+  const summary = { checked: files.length, ok: count("ok"), mismatch: count("mismatch"), missing: count("missing"), unhashed: count("unhashed") };
+  const failed = summary.mismatch + summary.missing;
+  await audit(req, "incident_attachment.verify", {
+    targetType: "incident", targetId: attachments[0]?.incident_id,
+    outcome: failed ? "failure" : "success",
+    details: { ...summary, failed_ids: files.filter(f => ["mismatch", "missing"].includes(f.status)).map(f => f.id) },
+  });
+  return { ...summary, valid: failed === 0, files };
+}
+
+/* ---------------------------------- REPORT -------------------------------- */
+/**
+ * پرونده‌ی نگهداری هر فایل: پیوست‌های فعلی و پیوست‌های حذف‌شده (از روی رویدادهایشان)
+ */
+function custodyFiles(attachments, events) {
+  const byId = new Map();
+  for (const a of attachments) {
+    byId.set(a.id, {
+      id: a.id, original_name: a.original_name, mime: a.mime, size: a.size, sha256: a.sha256 || null,
+      uploaded_by: a.uploaded_by_fullname || null, uploaded_at: a.uploaded_at, deleted: false, events: [],
+    });
+  }
+  for (const e of events) {
+    if (!byId.has(e.attachment_id)) {
+      byId.set(e.attachment_id, {
+        id: e.attachment_id, original_name: null, mime: null, size: null, sha256: null,
+        uploaded_by: null, uploaded_at: null, deleted: true, events: [],
+      });
+    }
+    const f = byId.get(e.attachment_id);
+    // مشخصات پیوست حذف‌شده از رویدادهای بارگذاری/حذف بازسازی می‌شود
+    if (f.deleted && ["uploaded", "deleted"].includes(e.event)) {
+      f.original_name = f.original_name || e.details?.name || null;
+      f.mime = f.mime || e.details?.mime || null;
+      f.size = f.size ?? e.details?.size ?? null;
+      f.sha256 = f.sha256 || e.sha256 || null;
+      if (e.event === "uploaded") { f.uploaded_by = e.actor_fullname; f.uploaded_at = e.created_at; }
+    }
+    f.events.push(e);
+  }
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+}
+
+const actorOf = (e) => e.actor_fullname || e.actor_username || (e.api_key_id ? `API key ${e.api_key_id}` : "");
+
+// یک سطر برای هر رویداد (مشخصات فایل در همه‌ی سطرها تکرار می‌شود)
+function buildCsv(files) {
+  const header = ["شناسه پیوست", "نام فایل", "حجم (بایت)", "SHA-256 زمان دریافت", "حذف‌شده",
+    "رویداد", "زمان", "انجام‌دهنده", "IP", "SHA-256 رویداد", "جزئیات"];
+  const lines = [header.map(csvEscape).join(",")];
+  for (const f of files) {
+    for (const e of f.events) {
+      lines.push([
+        f.id, f.original_name, f.size, f.sha256, f.deleted ? "بله" : "خیر",
+        EVENT_LABELS[e.event] || e.event, toJalali(e.created_at), actorOf(e), e.ip, e.sha256,
+        e.details ? JSON.stringify(e.details) : "",
+      ].map(csvEscape).join(","));
+    }
+  }
+  return Buffer.from("\uFEFF" + lines.join("\r\n"), "utf8");
+}
+
+function writePdf(stream, incident, files) {
+  const { doc, width } = createPdf(stream, { title: "Chain of custody report" });
+  const opts = { width, align: "right" };
+
+  doc.font("regular").fontSize(8).fillColor("#666")
+    .text(rtl(`تاریخ تهیه: ${toJalali(stamp())}`), { width, align: "left" }).fillColor("black").moveDown(0.5);
+  doc.font("bold").fontSize(15).text(rtl(`گزارش زنجیره‌ی نگهداری شواهد - حادثه شماره ${incident.id}`), opts);
+  if (incident.title) doc.font("regular").fontSize(11).text(rtl(incident.title), opts);
+  doc.moveDown(0.6);
+
+  if (!files.length) {
+    doc.font("regular").fontSize(11).text(rtl("برای این حادثه پیوستی ثبت نشده است."), opts);
+  }
+  files.forEach((f) => {
+    doc.moveDown(0.6).font("bold").fontSize(12)
+      .text(rtl(`پیوست ${f.id}: ${f.original_name || "-"}${f.deleted ? " (حذف‌شده)" : ""}`), opts);
+    doc.font("regular").fontSize(9);
+    if (f.size !== null) doc.text(rtl(`حجم: ${f.size} بایت`), opts);
+    doc.text(rtl(`بارگذاری: ${[toJalali(f.uploaded_at), f.uploaded_by].filter(Boolean).join(" - ") || "-"}`), opts);
+    // hash به صورت لاتین و چپ‌چین تا قابل مقایسه باشد
+    doc.text(`SHA-256: ${f.sha256 || "-"}`, { width, align: "left" });
+
+    f.events.forEach((e) => {
+      const status = e.event === "verified" && e.details?.status ? ` (${VERIFY_LABELS[e.details.status] || e.details.status})` : "";
+      const line = [toJalali(e.created_at), `${EVENT_LABELS[e.event] || e.event}${status}`, actorOf(e), e.ip]
+        .filter(Boolean).join("  |  ");
+      doc.moveDown(0.2).font("regular").fontSize(9).text(rtl(line), opts);
+    });
+  });
+  doc.end();
+}
+
+/**
+ * ارسال گزارش نگهداری یک حادثه (json | csv | pdf). پیش از ارسال برای هر پیوست موجود
+ * رویداد "exported" ثبت می‌شود تا خود گزارش هم در زنجیره دیده شود.
+ */
+export async function sendCustodyReport(req, res, format, { incident, attachments }) {
+  for (const a of attachments) await recordCustody(req, a, "exported", { sha256: a.sha256 || null, details: { format } });
+  const files = custodyFiles(attachments, await dbListCustodyEvents({ incidentId: incident.id }));
+
+  if (format === "json") return res.json({ incident_id: incident.id, title: incident.title || null, files });
+
+  const name = `custody-${incident.id}-${toJalali(stamp()).slice(0, 10).replace(/\//g, "-")}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+  if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    return writePdf(res, incident, files);
+  }
+  const buf = buildCsv(files);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Length", buf.length);
+  return res.end(buf);
+}
@@ -0,0 +1,120 @@
+// backend/src/utils/dates.js
+// ابزار مشترک تاریخ: تبدیل شمسی ↔ میلادی، خواندن بازه‌های تاریخ از query و افزودن معادل شمسی به پاسخ‌ها
+import jalaali from "jalaali-js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+export const pad2 = (n) => (n < 10 ? `0${n}` : String(n));
+
+const isGregorianDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ""));
+
+// نرمال‌سازی ورودی شمسی (ارقام فارسی/عربی، جداکننده‌ها و فاصله‌ها)
+export function normalizeJalaliInput(input = "") {
+  const fa = "۰۱۲۳۴۵۶۷۸۹";
+  const ar = "٠١٢٣٤٥٦٧٨٩";
+  let s = String(input).trim();
+  s = s.replace(/[۰-۹]/g, d => String(fa.indexOf(d)))
+       .replace(/[٠-٩]/g, d => String(ar.indexOf(d)))
+       .replace(/[\.\/]/g, "-")
+       .replace(/\s+/g, " ");
+  return s;
+}
+
+/** "YYYY-MM-DD HH:mm:ss" (زمان محلی سرور، همانند خروجی DATE_FORMAT) → Date؛ null اگر نامعتبر */
+export function parseLocal(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!m) return null;
+  return new Date(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+}
+
+/* ------------------------------- CONVERSIONS ------------------------------ */
+/** تاریخ شمسی (YYYY-MM-DD یا YYYY/MM/DD، با ارقام فارسی هم) → "YYYY-MM-DD" میلادی؛ null اگر نامعتبر */
+export function jalaliToGregorian(jalaliDate) {
+  if (!jalaliDate) return null;
+  const m = normalizeJalaliInput(jalaliDate).match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (!m) return null;
+  const [jy, jm, jd] = [Number(m[1]), Number(m[2]), Number(m[3])];
+  if (!jalaali.isValidJalaaliDate(jy, jm, jd)) return null;
+
+  // ✅ تبدیل دقیق با jalaali-js (جلوگیری از جابه‌جایی ~۲۰ روزه)
+  const { gy, gm, gd } = jalaali.toGregorian(jy, jm, jd);
+  return `${gy}-${pad2(gm)}-${pad2(gd)}`;
+}
+
+/**
+ * تبدیل تاریخ شمسی (YYYY-MM-DD) + زمان (HH:mm اختیاری) به رشته‌ی میلادی ISO برای MySQL
+ * مثال خروجی: "2025-09-12 07:41:00"
+ */
+export function toGregorianISO(jalaliDate, timeHHmm) {
+  const date = jalaliToGregorian(jalaliDate);
+  if (!date) return null;
+  const time =
+    timeHHmm && /^\d{1,2}:\d{2}$/.test(String(timeHHmm).trim())
+      ? String(timeHHmm).trim()
+      : "00:00";
+  return `${date} ${time}:00`;
+}
+
+/**
+ * رشته‌ی میلادی MySQL ("YYYY-MM-DD" یا "YYYY-MM-DD HH:mm:ss") → شمسی ("YYYY/MM/DD" و همان بخش زمان)
+ * ورودی نامعتبر → null
+ */
+export function toJalali(value) {
+  if (!value) return null;
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?/);
+  if (!m) return null;
+  const { jy, jm, jd } = jalaali.toJalaali(Number(m[1]), Number(m[2]), Number(m[3]));
+  const date = `${jy}/${pad2(jm)}/${pad2(jd)}`;
+  return m[4] ? `${date} ${m[4]}` : date;
+}
+
+/* ------------------------------- QUERY INPUT ------------------------------ */
+/**
+ * خواندن یک پارامتر تاریخ از query به دو شکل: key (میلادی YYYY-MM-DD) یا key_jalali (شمسی).
+ * خروجی: { ok: true, value } (value میلادی یا undefined) یا { ok: false, message }
+ */
+export function readDateParam(q = {}, key) {
+  const greg = q[key], jal = q[`${key}_jalali`];
+  if (jal !== undefined && jal !== "") {
+    const value = jalaliToGregorian(jal);
+    if (!value) return { ok: false, message: `تاریخ شمسی ${key}_jalali نامعتبر است.` };
+    return { ok: true, value };
+  }
+  if (greg !== undefined && greg !== "") {
+    if (!isGregorianDate(greg)) return { ok: false, message: `قالب ${key} باید YYYY-MM-DD باشد.` };
+    return { ok: true, value: String(greg) };
+  }
+  return { ok: true, value: undefined };
+}
+
+/* ------------------------------- JSON OUTPUT ------------------------------ */
+/** آیا درخواست خروجی شمسی خواسته است؟ (?jalali=1) */
+export function wantsJalali(q = {}) {
+  return ["1", "true"].includes(String(q.jalali || ""));
+}
+
+// فیلدهای تاریخ با پسوند _date یا _at شناخته می‌شوند (submission_date, resolved_at, ...)
+const isDateKey = (k) => /(_date|_at|^at)$/.test(k) && !k.endsWith("_jalali");
+
+const isPlainObject = (v) => !!v && typeof v === "object" && Object.getPrototypeOf(v) === Object.prototype;
+
+/**
+ * افزودن معادل شمسی هر فیلد تاریخ: resolved_at → resolved_at_jalali (بدون تغییر فیلد اصلی).
+ * اشیای تودرتو (مثل sla.first_response.due_at) هم پیمایش می‌شوند؛ آرایه‌های تودرتو نه.
+ */
+export function withJalali(row) {
+  if (!row || typeof row !== "object") return row;
+  const out = { ...row };
+  for (const [k, v] of Object.entries(row)) {
+    if (isDateKey(k) && (typeof v === "string" || v === null)) out[`${k}_jalali`] = toJalali(v);
+    else if (isPlainObject(v)) out[k] = withJalali(v);
+  }
+  return out;
+}
+
+/** اعمال withJalali روی یک رکورد یا آرایه‌ای از رکوردها، فقط اگر ?jalali=1 آمده باشد */
+export function jalaliOutput(req, data) {
+  if (!wantsJalali(req?.query)) return data;
+  return Array.isArray(data) ? data.map(withJalali) : withJalali(data);
+}
@@ -0,0 +1,455 @@
+// backend/src/utils/escalation.js
+// موتور تشدید خودکار: قواعدی با شرط (درجه ریسک، دسته‌بندی، محل، وضعیت، سن، بی‌اقدامی، SLA) و اثر
+// (افزایش درجه ریسک، واگذاری، اعلان به نقش/مسئول، اقدام سیستمی در خط زمانی).
+// قواعد به صورت دوره‌ای روی حوادث باز و پس از هر نوشتن روی حادثه/اقدام (incidentEvents) ارزیابی می‌شوند.
+// همه‌ی ارزیابی‌ها در یک صف درون‌فرایندی پشت سر هم اجرا می‌شوند تا یک قاعده دو بار هم‌زمان اجرا نشود.
+import { pool } from "../config/db.js";
+import { audit } from "./audit.js";
+import { withRevision } from "./revisions.js";
+import { dbCreateAction } from "./actions.js";
+import { notifyUsers, notifyRole } from "./notifications.js";
+import { SLA_STATUSES, loadSlaConfig, computeSla } from "./sla.js";
+import {
+  assignIncident, dbGetUserBrief, dbGetTeam, dbTeamMembers, canBeAssignee, teamFitsIncident,
+} from "./assignment.js";
+import { incidentEvents } from "./incidentEvents.js";
+import { parseLocal } from "./dates.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const ID_LIST_CONDITIONS = ["priority_ids", "category_ids", "location_ids", "status_ids"];
+const MINUTE_CONDITIONS = ["min_age_minutes", "idle_minutes"];
+const FLAG_CONDITIONS = ["no_action", "unassigned"];
+export const CONDITION_KEYS = [...ID_LIST_CONDITIONS, ...MINUTE_CONDITIONS, ...FLAG_CONDITIONS, "sla_status"];
+export const EFFECT_TYPES = ["raise_priority", "reassign", "notify_role", "notify_assignee", "add_action"];
+const NOTIFY_ROLES = ["system-admin", "defense-admin"];
+const MAX_EFFECTS = 10;
+const SCAN_BATCH = 500;
+const PREVIEW_LIMIT = 200;
+
+// انجام‌دهنده‌ی تغییرات خودکار در تاریخچه و ممیزی (بدون کاربر)
+const SYSTEM_REQ = { user: null, apiKey: null, ip: null, headers: {} };
+
+/* --------------------------------- HELPERS -------------------------------- */
+const isPosInt = (v) => Number.isInteger(v) && v > 0;
+const bool = (v) => v === true || ["1", "true"].includes(String(v));
+
+/** قاعده‌ای که فقط حوادث فیزیکی را هدف می‌گیرد (قابل مدیریت توسط defense-admin) */
+export function isPhysicalRule(rule) {
+  const c = rule?.conditions?.category_ids;
+  return Array.isArray(c) && c.length === 1 && c[0] === 2;
+}
+
+function render(tpl, inc, rule) {
+  return String(tpl)
+    .replace(/\{id\}/g, String(inc.id))
+    .replace(/\{title\}/g, inc.title || "")
+    .replace(/\{rule\}/g, rule.name);
+}
+
+const minutesSince = (value, now) => {
+  const d = parseLocal(value);
+  return d ? (now - d) / 60000 : 0;
+};
+
+function mapRule(r) {
+  const json = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+  return { ...r, enabled: !!r.enabled, conditions: json(r.conditions) || {}, effects: json(r.effects) || [] };
+}
+
+/* ------------------------------- VALIDATION ------------------------------- */
+function cleanConditions(input, role) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return { ok: false, message: "conditions باید شیء باشد." };
+  const unknown = Object.keys(input).filter(k => !CONDITION_KEYS.includes(k));
+  if (unknown.length) return { ok: false, message: `شرط نامعتبر: ${unknown.join(", ")}` };
+
+  const out = {};
+  for (const k of ID_LIST_CONDITIONS) {
+    if (input[k] === undefined || input[k] === null) continue;
+    const ids = (Array.isArray(input[k]) ? input[k] : [input[k]]).map(Number);
+    if (!ids.length || !ids.every(isPosInt)) return { ok: false, message: `${k} باید آرایه‌ای از شناسه‌ها باشد.` };
+    out[k] = [...new Set(ids)];
+  }
+  for (const k of MINUTE_CONDITIONS) {
+    if (input[k] === undefined || input[k] === null || input[k] === "") continue;
+    const v = Number(input[k]);
+    if (!isPosInt(v)) return { ok: false, message: `${k} باید عدد صحیح مثبت (دقیقه) باشد.` };
+    out[k] = v;
+  }
+  for (const k of FLAG_CONDITIONS) if (input[k] !== undefined && bool(input[k])) out[k] = true;
+  if (input.sla_status !== undefined && input.sla_status !== null) {
+    const list = Array.isArray(input.sla_status) ? input.sla_status : [input.sla_status];
+    if (!list.length || !list.every(s => SLA_STATUSES.includes(s))) {
+      return { ok: false, message: `sla_status باید از ${SLA_STATUSES.join(", ")} باشد.` };
+    }
+    out.sla_status = [...new Set(list)];
+  }
+
+  if (!Object.keys(out).length) return { ok: false, message: "حداقل یک شرط الزامی است." };
+  if (out.category_ids && !out.category_ids.every(c => [1, 2].includes(c))) return { ok: false, message: "دسته‌بندی نامعتبر است." };
+  if (role === "defense-admin" && !isPhysicalRule({ conditions: out })) {
+    return { ok: false, status: 403, message: "قاعده‌ی مدیر پدافند باید فقط حوادث فیزیکی (category_ids: [2]) را هدف بگیرد." };
+  }
+  return { ok: true, conditions: out };
+}
+
+async function cleanEffect(e, conditions) {
+  const type = e?.type;
+  if (!EFFECT_TYPES.includes(type)) return { ok: false, message: `نوع اثر نامعتبر است. مجاز: ${EFFECT_TYPES.join(", ")}` };
+  const physical = isPhysicalRule({ conditions });
+
+  if (type === "raise_priority") {
+    const priority_id = Number(e.priority_id);
+    const [[p]] = isPosInt(priority_id) ? await pool.query("SELECT id, severity FROM priorities WHERE id = ? LIMIT 1", [priority_id]) : [[]];
+    if (!p) return { ok: false, message: "درجه ریسک اثر raise_priority یافت نشد." };
+    if (p.severity === null) return { ok: false, message: "ترتیب شدت این درجه ریسک تعیین نشده است (PUT /api/config/priority-order)." };
+    return { ok: true, effect: { type, priority_id } };
+  }
+  if (type === "reassign") {
+    const effect = { type };
+    if (e.assignee_id !== undefined && e.assignee_id !== null) {
+      const u = await dbGetUserBrief(Number(e.assignee_id) || 0);
+      if (!u || !["system-admin", "defense-admin"].includes(u.role)) return { ok: false, message: "مسئول اثر reassign باید ادمین باشد." };
+      if (u.role === "defense-admin" && !physical) return { ok: false, message: "مدیر پدافند فقط مسئول حوادث فیزیکی می‌شود." };
+      effect.assignee_id = u.id;
+    }
+    if (e.team_id !== undefined && e.team_id !== null) {
+      const t = await dbGetTeam(Number(e.team_id) || 0);
+      if (!t) return { ok: false, message: "تیم اثر reassign یافت نشد." };
+      effect.team_id = t.id;
+    }
+    if (!effect.assignee_id && !effect.team_id) return { ok: false, message: "اثر reassign به assignee_id یا team_id نیاز دارد." };
+    return { ok: true, effect };
+  }
+  const message = e.message === undefined || e.message === null ? null : String(e.message).trim().slice(0, 500) || null;
+  if (type === "notify_role") {
+    if (!NOTIFY_ROLES.includes(e.role)) return { ok: false, message: `نقش اعلان باید از ${NOTIFY_ROLES.join(", ")} باشد.` };
+    // defense-admin از حوادث سایبری باخبر نمی‌شود
+    if (e.role === "defense-admin" && !physical) return { ok: false, message: "اعلان به مدیر پدافند فقط برای قواعد فیزیکی مجاز است." };
+    return { ok: true, effect: { type, role: e.role, message } };
+  }
+  if (type === "notify_assignee") return { ok: true, effect: { type, message } };
+
+  // add_action
+  const description = String(e.description || "").trim().slice(0, 1000);
+  if (!description) return { ok: false, message: "شرح اقدام سیستمی الزامی است." };
+  return { ok: true, effect: { type, description } };
+}
+
+/**
+ * اعتبارسنجی ورودی قاعده (current برای ویرایش جزئی).
+ * خروجی: { ok: true, rule } یا { ok: false, status?, message }
+ * در قالب پیام‌ها {id}، {title} و {rule} با شناسه/عنوان حادثه و نام قاعده جایگزین می‌شوند.
+ */
+export async function cleanRuleInput(input = {}, role, current = null) {
+  const name = input.name !== undefined ? String(input.name || "").trim().slice(0, 255) : current?.name;
+  if (!name) return { ok: false, message: "نام قاعده الزامی است." };
+
+  const cond = cleanConditions(input.conditions !== undefined ? input.conditions : current?.conditions, role);
+  if (!cond.ok) return cond;
+
+  const rawEffects = input.effects !== undefined ? input.effects : current?.effects;
+  if (!Array.isArray(rawEffects) || !rawEffects.length) return { ok: false, message: "حداقل یک اثر الزامی است." };
+  if (rawEffects.length > MAX_EFFECTS) return { ok: false, message: `حداکثر ${MAX_EFFECTS} اثر مجاز است.` };
+  const effects = [];
+  for (const e of rawEffects) {
+    const r = await cleanEffect(e, cond.conditions);
+    if (!r.ok) return r;
+    effects.push(r.effect);
+  }
+
+  let cooldown = input.cooldown_minutes !== undefined ? input.cooldown_minutes : current?.cooldown_minutes ?? null;
+  if (cooldown === "" || cooldown === null) cooldown = null;
+  else if (!isPosInt(Number(cooldown))) return { ok: false, message: "cooldown_minutes باید عدد صحیح مثبت باشد." };
+  else cooldown = Number(cooldown);
+
+  const enabled = input.enabled !== undefined ? bool(input.enabled) : current?.enabled ?? true;
+  return { ok: true, rule: { name, enabled, conditions: cond.conditions, effects, cooldown_minutes: cooldown } };
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const RULE_SELECT = `
+  SELECT r.id, r.name, r.enabled, r.conditions, r.effects, r.cooldown_minutes,
+         r.created_by, u.fullname AS created_by_fullname,
+         DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(r.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at
+  FROM escalation_rules r
+  LEFT JOIN users u ON u.id = r.created_by
+`;
+
+export async function dbListRules({ enabledOnly = false } = {}) {
+  const [rows] = await pool.query(`${RULE_SELECT} ${enabledOnly ? "WHERE r.enabled = 1" : ""} ORDER BY r.id ASC`);
+  return rows.map(mapRule);
+}
+
+export async function dbGetRule(id) {
+  const [[row]] = await pool.query(`${RULE_SELECT} WHERE r.id = ? LIMIT 1`, [id]);
+  return row ? mapRule(row) : null;
+}
+
+export async function dbCreateRule(rule, userId) {
+  const [res] = await pool.query(
+    `INSERT INTO escalation_rules (name, enabled, conditions, effects, cooldown_minutes, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [rule.name, rule.enabled ? 1 : 0, JSON.stringify(rule.conditions), JSON.stringify(rule.effects), rule.cooldown_minutes, userId || null]
+  );
+  return dbGetRule(res.insertId);
+}
+
+export async function dbUpdateRule(id, rule) {
+  await pool.query(
+    `UPDATE escalation_rules
+        SET name = ?, enabled = ?, conditions = ?, effects = ?, cooldown_minutes = ?, updated_at = NOW()
+      WHERE id = ?`,
+    [rule.name, rule.enabled ? 1 : 0, JSON.stringify(rule.conditions), JSON.stringify(rule.effects), rule.cooldown_minutes, id]
+  );
+  return dbGetRule(id);
+}
+
+export async function dbDeleteRule(id) {
+  await pool.query("DELETE FROM escalation_firings WHERE rule_id = ?", [id]);
+  const [res] = await pool.query("DELETE FROM escalation_rules WHERE id = ?", [id]);
+  return res.affectedRows > 0;
+}
+
+/** سابقه‌ی اجرای یک قاعده (جدیدترین اول) */
+export async function dbListFirings(ruleId, { limit = 100 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT f.id, f.rule_id, f.incident_id, i.title AS incident_title, f.source, f.results,
+            DATE_FORMAT(f.fired_at, '%Y-%m-%d %H:%i:%s') AS fired_at
+     FROM escalation_firings f
+     LEFT JOIN incidents i ON i.id = f.incident_id
+     WHERE f.rule_id = ?
+     ORDER BY f.id DESC
+     LIMIT ?`,
+    [ruleId, limit]
+  );
+  return rows.map(r => ({ ...r, results: typeof r.results === "string" ? JSON.parse(r.results) : r.results }));
+}
+
+// حوادث باز با زمان آخرین اقدام غیرسیستمی (اقدام سیستمی ساعت «بی‌اقدامی» را صفر نمی‌کند)
+const OPEN_INCIDENTS_SELECT = `
+  SELECT i.id, i.title, i.priority_id, i.category_id, i.location_id, i.status_id,
+         i.reporter_id, i.assignee_id, i.team_id,
+         DATE_FORMAT(i.created_at,      '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(i.first_action_at, '%Y-%m-%d %H:%i:%s') AS first_action_at,
+         DATE_FORMAT(i.resolved_at,     '%Y-%m-%d %H:%i:%s') AS resolved_at,
+         DATE_FORMAT((SELECT MAX(COALESCE(a.added_at, a.created_at)) FROM actions a
+                      WHERE a.incident_id = i.id AND a.is_system = 0), '%Y-%m-%d %H:%i:%s') AS last_action_at
+  FROM incidents i
+  WHERE i.deleted_at IS NULL AND i.withdrawn_at IS NULL AND i.resolved_at IS NULL
+`;
+
+async function dbGetOpenIncident(id) {
+  const [[row]] = await pool.query(`${OPEN_INCIDENTS_SELECT} AND i.id = ? LIMIT 1`, [id]);
+  return row || null;
+}
+
+// شدت درجه‌های ریسک (id → severity)؛ درجه‌ی بدون ترتیب در نقشه نیست
+async function dbPrioritySeverities(ids) {
+  const list = ids.map(Number).filter(isPosInt);
+  if (!list.length) return new Map();
+  const [rows] = await pool.query("SELECT id, severity FROM priorities WHERE id IN (?) AND severity IS NOT NULL", [list]);
+  return new Map(rows.map(r => [r.id, Number(r.severity)]));
+}
+
+async function dbLastFiring(ruleId, incidentId) {
+  const [[row]] = await pool.query(
+    `SELECT TIMESTAMPDIFF(MINUTE, fired_at, NOW()) AS minutes_ago
+     FROM escalation_firings WHERE rule_id = ? AND incident_id = ? ORDER BY id DESC LIMIT 1`,
+    [ruleId, incidentId]
+  );
+  return row || null;
+}
+
+/* ------------------------------- EVALUATION ------------------------------- */
+/** آیا حادثه‌ی باز همه‌ی شرط‌های قاعده را دارد؟ */
+export function ruleMatches(rule, inc, slaConfig, now = new Date()) {
+  const c = rule.conditions || {};
+  const fieldOf = { priority_ids: "priority_id", category_ids: "category_id", location_ids: "location_id", status_ids: "status_id" };
+  for (const k of ID_LIST_CONDITIONS) {
+    if (c[k] && !c[k].includes(Number(inc[fieldOf[k]]))) return false;
+  }
+  if (c.min_age_minutes && minutesSince(inc.created_at, now) < c.min_age_minutes) return false;
+  if (c.idle_minutes && minutesSince(inc.last_action_at || inc.created_at, now) < c.idle_minutes) return false;
+  if (c.no_action && inc.first_action_at) return false;
+  if (c.unassigned && inc.assignee_id) return false;
+  if (c.sla_status) {
+    const sla = computeSla(inc, slaConfig, now);
+    if (!sla?.status || !c.sla_status.includes(sla.status)) return false;
+  }
+  return true;
+}
+
+/** قاعده دوباره اجرا شود؟ بدون cooldown فقط یک بار برای هر حادثه */
+async function canFire(rule, incidentId) {
+  const last = await dbLastFiring(rule.id, incidentId);
+  if (!last) return true;
+  return !!rule.cooldown_minutes && Number(last.minutes_ago) >= rule.cooldown_minutes;
+}
+
+async function applyEffect(effect, inc, rule) {
+  const payload = (fallback) => ({
+    type: "incident_escalation",
+    title: render(effect.message || fallback, inc, rule).slice(0, 255),
+    body: inc.title || null,
+    link: `/api/incidents/${inc.id}`,
+  });
+
+  switch (effect.type) {
+    case "raise_priority": {
+      // فقط افزایش: درجه‌ی فعلیِ هم‌تراز یا شدیدتر (یا بدون ترتیب) دست نمی‌خورد
+      if (Number(inc.priority_id) === effect.priority_id) return { skipped: "already" };
+      const severity = await dbPrioritySeverities([effect.priority_id, inc.priority_id]);
+      const target = severity.get(effect.priority_id);
+      if (target === undefined) return { skipped: "unranked" };
+      if (inc.priority_id) {
+        const current = severity.get(Number(inc.priority_id));
+        if (current === undefined) return { skipped: "unranked" };
+        if (current >= target) return { skipped: "not_higher" };
+      }
+      await withRevision(SYSTEM_REQ, { entity: "incident", entityId: inc.id, op: "escalate" }, () =>
+        pool.query("UPDATE incidents SET priority_id = ?, updated_at = NOW() WHERE id = ?", [effect.priority_id, inc.id]));
+      const from = inc.priority_id;
+      inc.priority_id = effect.priority_id;
+      return { from, to: effect.priority_id };
+    }
+    case "reassign": {
+      const assignee = effect.assignee_id ? await dbGetUserBrief(effect.assignee_id)
+        : inc.assignee_id ? await dbGetUserBrief(inc.assignee_id) : null;
+      const team = effect.team_id ? await dbGetTeam(effect.team_id)
+        : inc.team_id ? await dbGetTeam(inc.team_id) : null;
+      if (effect.assignee_id && !canBeAssignee(assignee, inc)) return { skipped: "assignee_not_eligible" };
+      if (effect.team_id && (!team || !teamFitsIncident(team, inc))) return { skipped: "team_not_eligible" };
+      let finalAssignee = assignee;
+      if (assignee && team) {
+        const members = (await dbTeamMembers([team.id])).get(team.id) || [];
+        if (!members.some(u => u.id === assignee.id)) {
+          if (effect.assignee_id) return { skipped: "assignee_not_in_team" };
+          finalAssignee = null; // تیم تازه: مسئول قبلی که عضو نیست کنار می‌رود
+        }
+      }
+      const changed = await assignIncident(SYSTEM_REQ, inc, {
+        assignee: finalAssignee, team, source: "escalation", note: rule.name,
+      });
+      if (!changed) return { skipped: "already" };
+      inc.assignee_id = finalAssignee?.id || null;
+      inc.team_id = team?.id || null;
+      return { assignee_id: inc.assignee_id, team_id: inc.team_id };
+    }
+    case "notify_role": {
+      if (effect.role === "defense-admin" && Number(inc.category_id) !== 2) return { skipped: "out_of_scope" };
+      const count = await notifyRole(effect.role, payload("تشدید حادثه شماره {id}: {rule}"));
+      return { notified: count };
+    }
+    case "notify_assignee": {
+      if (!inc.assignee_id) return { skipped: "unassigned" };
+      const count = await notifyUsers([inc.assignee_id], payload("تشدید حادثه شماره {id}: {rule}"));
+      return { notified: count };
+    }
+    case "add_action": {
+      const action = await withRevision(SYSTEM_REQ, { incidentId: inc.id, entity: "action", op: "create" }, () =>
+        dbCreateAction({ incident_id: inc.id, description: render(effect.description, inc, rule), system: true }));
+      return { action_id: action?.id };
+    }
+    default:
+      return { skipped: "unknown" };
+  }
+}
+
+/** اجرای اثرهای قاعده (هر اثر مستقل؛ خطای یکی مانع بقیه نمی‌شود) و ثبت سابقه و ممیزی */
+async function fireRule(rule, inc, source) {
+  const results = [];
+  for (const effect of rule.effects) {
+    try {
+      results.push({ type: effect.type, ok: true, ...(await applyEffect(effect, inc, rule)) });
+    } catch (e) {
+      console.error("ESCALATION_EFFECT_ERR:", rule.id, inc.id, effect.type, e);
+      results.push({ type: effect.type, ok: false, error: String(e?.message || e).slice(0, 200) });
+    }
+  }
+  await pool.query(
+    "INSERT INTO escalation_firings (rule_id, incident_id, source, results, fired_at) VALUES (?, ?, ?, ?, NOW())",
+    [rule.id, inc.id, source, JSON.stringify(results)]
+  );
+  await audit(SYSTEM_REQ, "escalation_rule.fire", {
+    targetType: "incident", targetId: inc.id, actor: { username: "system" },
+    outcome: results.every(r => r.ok) ? "success" : "failure",
+    details: { rule_id: rule.id, rule: rule.name, source, results },
+  });
+}
+
+async function evaluate(inc, rules, slaConfig, source) {
+  let fired = 0;
+  for (const rule of rules) {
+    if (!ruleMatches(rule, inc, slaConfig)) continue;
+    if (!(await canFire(rule, inc.id))) continue;
+    await fireRule(rule, inc, source);
+    fired++;
+  }
+  return fired;
+}
+
+/* ---------------------------------- QUEUE --------------------------------- */
+let queue = Promise.resolve();
+function enqueue(fn) {
+  const run = queue.then(fn);
+  queue = run.catch((e) => console.error("ESCALATION_ERR:", e));
+  return run;
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/** ارزیابی قواعد برای یک حادثه (پس از نوشتن). خروجی: تعداد قواعد اجراشده */
+export function evaluateIncident(incidentId, source = "write") {
+  return enqueue(async () => {
+    const rules = await dbListRules({ enabledOnly: true });
+    if (!rules.length) return 0;
+    const inc = await dbGetOpenIncident(incidentId);
+    if (!inc) return 0;
+    return evaluate(inc, rules, await loadSlaConfig(), source);
+  });
+}
+
+/** پیمایش دوره‌ای همه‌ی حوادث باز. خروجی: تعداد اجرای قواعد */
+export function runEscalationScan() {
+  return enqueue(async () => {
+    const rules = await dbListRules({ enabledOnly: true });
+    if (!rules.length) return 0;
+    const slaConfig = await loadSlaConfig();
+    let fired = 0, lastId = 0;
+    for (;;) {
+      const [rows] = await pool.query(`${OPEN_INCIDENTS_SELECT} AND i.id > ? ORDER BY i.id ASC LIMIT ?`, [lastId, SCAN_BATCH]);
+      for (const inc of rows) fired += await evaluate(inc, rules, slaConfig, "schedule");
+      if (rows.length < SCAN_BATCH) break;
+      lastId = rows[rows.length - 1].id;
+    }
+    return fired;
+  });
+}
+
+/** حوادث باز منطبق با شرط‌های قاعده (بدون اعمال اثر و بدون در نظر گرفتن cooldown) */
+export async function previewRule(rule) {
+  const slaConfig = await loadSlaConfig();
+  const now = new Date();
+  const matches = [];
+  let lastId = 0;
+  for (;;) {
+    const [rows] = await pool.query(`${OPEN_INCIDENTS_SELECT} AND i.id > ? ORDER BY i.id ASC LIMIT ?`, [lastId, SCAN_BATCH]);
+    for (const inc of rows) {
+      if (ruleMatches(rule, inc, slaConfig, now)) matches.push({ id: inc.id, title: inc.title, created_at: inc.created_at });
+      if (matches.length >= PREVIEW_LIMIT) return { matches, truncated: true };
+    }
+    if (rows.length < SCAN_BATCH) break;
+    lastId = rows[rows.length - 1].id;
+  }
+  return { matches, truncated: false };
+}
+
+let listening = false;
+/** اتصال موتور به رویدادهای نوشتن (یک بار، از startJobs) */
+export function registerEscalationListener() {
+  if (listening) return;
+  listening = true;
+  incidentEvents.on("incident.changed", ({ incidentId }) => {
+    evaluateIncident(incidentId, "write").catch(() => {}); // خطا در صف لاگ می‌شود
+  });
+}
@@ -0,0 +1,25 @@
+// backend/src/utils/incidentAcl.js
+// قواعد دسترسی مشترک حوادث (حوادث، پیوست‌ها و ...)
+import { scopeAllows } from "./apiKeys.js";
+
+// کلید API با incidents:read همه را می‌بیند و با incidents:read:physical فقط فیزیکی‌ها را
+export const apiKeyPhysicalOnly = (req) => !!req.apiKey && !scopeAllows(req.apiKey.scopes, "incidents:read");
+
+export function canReadIncident(user, incident, req) {
+  if (!user || !incident) return false;
+  const { role, id } = user;
+  if (role === "system-admin") return true;
+  if (role === "api-key") return !apiKeyPhysicalOnly(req) || incident.category_id === 2;
+  if (role === "defense-admin") return incident.category_id === 2;
+  return incident.reporter_id === id;
+}
+
+export function isAdmin(user) {
+  return user?.role === "system-admin" || user?.role === "defense-admin";
+}
+
+// ادمین در محدوده‌ی خودش (defense-admin فقط حوادث فیزیکی)
+export function isAdminInScope(user, incident) {
+  if (user?.role === "system-admin") return true;
+  return user?.role === "defense-admin" && incident?.category_id === 2;
+}
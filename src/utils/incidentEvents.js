@@ -0,0 +1,16 @@
+// backend/src/utils/incidentEvents.js
+// رویدادهای درون‌فرایندی نوشتن روی حوادث و اقدامات؛ شنونده‌ها (مثل موتور تشدید) مستقل از مسیرها واکنش نشان می‌دهند.
+// emit همگام است ولی شنونده‌ها کار خود را در صف انجام می‌دهند و پاسخ درخواست را معطل نمی‌کنند.
+import { EventEmitter } from "events";
+
+export const incidentEvents = new EventEmitter();
+
+/** اعلام تغییر حادثه. reason: "incident.create" | "incident.update" | "incident.assign" | "action.create" | ... */
+export function emitIncidentChanged(incidentId, reason) {
+  if (!incidentId) return;
+  try {
+    incidentEvents.emit("incident.changed", { incidentId: Number(incidentId), reason });
+  } catch (e) {
+    console.error("INCIDENT_EVENT_ERR:", reason, e);
+  }
+}
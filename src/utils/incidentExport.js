@@ -0,0 +1,169 @@
+// backend/src/utils/incidentExport.js
+// خروجی گرفتن از حوادث (XLSX / CSV / PDF) با سرستون‌های فارسی، تاریخ شمسی و اقدامات هر حادثه.
+import XLSX from "xlsx";
+import { pool } from "../config/db.js";
+import { toJalali } from "./dates.js";
+import { ACTION_SELECT } from "./actions.js";
+import { rtl, createPdf, stamp, csvEscape, safeCell } from "./report.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const EXPORT_FORMATS = ["xlsx", "csv", "pdf"];
+// env با تأخیر خوانده می‌شود (dotenv پس از importها اجرا می‌شود)
+export const exportMaxRows = () => Number(process.env.EXPORT_MAX_ROWS || 5000);
+
+const CONTENT_TYPES = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv; charset=utf-8",
+  pdf: "application/pdf",
+};
+
+const CATEGORY_LABELS = { 1: "سایبری", 2: "فیزیکی" };
+
+// ستون‌های فهرست حوادث (سرستون فارسی ← مقدار)
+const INCIDENT_COLUMNS = [
+  ["شناسه",              (i) => i.id],
+  ["عنوان",              (i) => i.title],
+  ["دسته‌بندی",           (i) => CATEGORY_LABELS[i.category_id] || i.category_id],
+  ["محل وقوع",           (i) => i.location_name],
+  ["درجه ریسک",          (i) => i.priority_name],
+  ["وضعیت",              (i) => i.status_name],
+  ["گزارش‌دهنده",         (i) => i.reporter_fullname || i.reporter_username],
+  ["مسئول رسیدگی",        (i) => i.assignee_fullname],
+  ["تیم",                (i) => i.team_name],
+  ["تاریخ وقوع",          (i) => toJalali(i.submission_date)],
+  ["تاریخ ثبت",           (i) => toJalali(i.created_at)],
+  ["اولین اقدام",         (i) => toJalali(i.first_action_at)],
+  ["تاریخ حل",            (i) => toJalali(i.resolved_at)],
+  ["پس‌گرفته‌شده",         (i) => toJalali(i.withdrawn_at)],
+  ["تعداد اقدامات",       (i) => i.actions_count],
+  ["شرح",                (i) => i.description],
+];
+
+const ACTION_COLUMNS = [
+  ["شناسه حادثه",  (a) => a.incident_id],
+  ["تاریخ اقدام",  (a) => toJalali(a.action_date)],
+  ["وضعیت",       (a) => a.status_name],
+  ["ثبت‌کننده",    (a) => a.admin_fullname],
+  ["شرح اقدام",   (a) => a.description],
+  ["زمان ثبت",    (a) => toJalali(a.created_at)],
+];
+
+/* ---------------------------------- MODEL --------------------------------- */
+/** اقدامات چند حادثه، گروه‌بندی‌شده بر اساس incident_id و به ترتیب زمانی */
+export async function dbListActionsForIncidents(incidentIds) {
+  const byIncident = new Map();
+  if (!incidentIds.length) return byIncident;
+  const [rows] = await pool.query(
+    ACTION_SELECT + " WHERE a.incident_id IN (?) ORDER BY a.incident_id ASC, a.action_date ASC, a.id ASC",
+    [incidentIds]
+  );
+  for (const r of rows) {
+    if (!byIncident.has(r.incident_id)) byIncident.set(r.incident_id, []);
+    byIncident.get(r.incident_id).push(r);
+  }
+  return byIncident;
+}
+
+/* --------------------------------- HELPERS -------------------------------- */
+const cell = (v) => (v === undefined || v === null ? "" : safeCell(v));
+
+function actionLine(a) {
+  return [toJalali(a.action_date), a.status_name, a.admin_fullname, a.description].filter(Boolean).join(" - ");
+}
+
+/* ----------------------------------- CSV ---------------------------------- */
+// BOM تا Excel متن فارسی را UTF-8 بخواند؛ اقدامات هر حادثه در یک ستون (هر اقدام در یک خط)
+function buildCsv(incidents, actions) {
+  const header = [...INCIDENT_COLUMNS.map(([h]) => h), "اقدامات"];
+  const lines = [header.map(csvEscape).join(",")];
+  for (const i of incidents) {
+    const acts = (actions.get(i.id) || []).map(actionLine).join("\n");
+    lines.push([...INCIDENT_COLUMNS.map(([, get]) => get(i)), acts].map(csvEscape).join(","));
+  }
+  return Buffer.from("\uFEFF" + lines.join("\r\n"), "utf8");
+}
+
+/* ---------------------------------- XLSX ---------------------------------- */
+function sheetFrom(columns, rows, widths) {
+  const aoa = [columns.map(([h]) => h), ...rows.map(r => columns.map(([, get]) => cell(get(r))))];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  ws["!cols"] = widths.map(wch => ({ wch }));
+  return ws;
+}
+
+function buildXlsx(incidents, actions) {
+  const wb = XLSX.utils.book_new();
+  // نمایش راست‌به‌چپ برگه‌ها
+  wb.Workbook = { Views: [{ RTL: true }] };
+  XLSX.utils.book_append_sheet(
+    wb,
+    sheetFrom(INCIDENT_COLUMNS, incidents, [8, 30, 10, 18, 12, 14, 20, 20, 16, 18, 18, 18, 18, 18, 10, 60]),
+    "حوادث"
+  );
+  const allActions = incidents.flatMap(i => actions.get(i.id) || []);
+  XLSX.utils.book_append_sheet(wb, sheetFrom(ACTION_COLUMNS, allActions, [10, 14, 14, 20, 60, 18]), "اقدامات");
+  return XLSX.write(wb, { type: "buffer", bookType: "xlsx" });
+}
+
+/* ----------------------------------- PDF ---------------------------------- */
+function pdfIncidentPage(doc, i, acts, { width }) {
+  const opts = { width, align: "right" };
+  doc.font("bold").fontSize(15).text(rtl(`گزارش حادثه شماره ${i.id}`), opts);
+  doc.font("regular").fontSize(11).text(rtl(i.title), opts).moveDown(0.6);
+
+  // مشخصات (برچسب: مقدار)
+  for (const [label, get] of INCIDENT_COLUMNS) {
+    if (["شناسه", "عنوان", "شرح"].includes(label)) continue;
+    const v = get(i);
+    if (v === null || v === undefined || v === "") continue;
+    doc.fontSize(10).text(rtl(`${label}: ${v}`), opts);
+  }
+
+  doc.moveDown(0.6).font("bold").fontSize(12).text(rtl("شرح حادثه"), opts);
+  doc.font("regular").fontSize(10).text(rtl(i.description), opts);
+
+  doc.moveDown(0.8).font("bold").fontSize(12).text(rtl("خط زمانی اقدامات"), opts);
+  if (!acts.length) {
+    doc.font("regular").fontSize(10).fillColor("#666").text(rtl("اقدامی ثبت نشده است."), opts).fillColor("black");
+    return;
+  }
+  acts.forEach((a, idx) => {
+    const head = [`${idx + 1}.`, toJalali(a.action_date), a.status_name, a.admin_fullname].filter(Boolean).join("  |  ");
+    doc.moveDown(0.3).font("bold").fontSize(10).text(rtl(head), opts);
+    doc.font("regular").fontSize(10).text(rtl(a.description), opts);
+  });
+}
+
+/** نوشتن PDF روی stream (هر حادثه در صفحه‌ی جداگانه) */
+function writePdf(stream, incidents, actions) {
+  const { doc, width } = createPdf(stream, { title: "Incident report" });
+  const generated = toJalali(stamp());
+
+  if (!incidents.length) {
+    doc.font("regular").fontSize(12).text(rtl("حادثه‌ای با فیلترهای انتخاب‌شده یافت نشد."), { width, align: "right" });
+  }
+  incidents.forEach((i, idx) => {
+    if (idx) doc.addPage();
+    doc.font("regular").fontSize(8).fillColor("#666")
+      .text(rtl(`تاریخ تهیه: ${generated}`), { width, align: "left" }).fillColor("black").moveDown(0.5);
+    pdfIncidentPage(doc, i, actions.get(i.id) || [], { width });
+  });
+  doc.end();
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * ارسال فایل خروجی در پاسخ. incidents خروجی dbQueryIncidents (همه‌ی فیلدها) است.
+ */
+export async function sendIncidentExport(res, format, incidents) {
+  const actions = await dbListActionsForIncidents(incidents.map(i => i.id));
+  const name = `incidents-${toJalali(stamp()).slice(0, 10).replace(/\//g, "-")}.${format}`;
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+
+  if (format === "pdf") return writePdf(res, incidents, actions);
+  const buf = format === "csv" ? buildCsv(incidents, actions) : buildXlsx(incidents, actions);
+  res.setHeader("Content-Length", buf.length);
+  return res.end(buf);
+}
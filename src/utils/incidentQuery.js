@@ -0,0 +1,300 @@
+// backend/src/utils/incidentQuery.js
+// سازنده‌ی کوئری فهرست حوادث: فیلترها، مرتب‌سازی مجاز، انتخاب فیلدها و صفحه‌بندی.
+// join ها فقط وقتی اضافه می‌شوند که فیلد یا مرتب‌سازی انتخاب‌شده به آن‌ها نیاز داشته باشد.
+import { pool } from "../config/db.js";
+import { readDateParam, wantsJalali, withJalali } from "./dates.js";
+import { searchTerms, booleanQuery, isSearchIndexReady } from "./search.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const MAX_PAGE_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 50;
+
+const dt = (col) => `DATE_FORMAT(${col}, '%Y-%m-%d %H:%i:%s')`;
+
+const JOINS = {
+  l:  "LEFT JOIN locations  l ON l.id = i.location_id",
+  p:  "LEFT JOIN priorities p ON p.id = i.priority_id",
+  s:  "LEFT JOIN statuses   s ON s.id = i.status_id",
+  u:  "LEFT JOIN users      u ON u.id = i.reporter_id",
+  ua: "LEFT JOIN users      ua ON ua.id = i.assignee_id",
+  t:  "LEFT JOIN teams      t ON t.id = i.team_id",
+  // آخرین اقدام غیرسیستمی هر حادثه (با ایندکس actions(incident_id, id) فقط برای ردیف‌های لازم محاسبه می‌شود)
+  la: "LEFT JOIN actions    la ON la.id = (SELECT MAX(a2.id) FROM actions a2 WHERE a2.incident_id = i.id AND a2.is_system = 0)",
+  ls: "LEFT JOIN statuses   ls ON ls.id = la.status_id",
+};
+const JOIN_DEPS = { ls: ["la"] };
+
+const MATCH_ALL = "MATCH(d.title_norm, d.body_norm, d.actions_norm) AGAINST(? IN BOOLEAN MODE)";
+const MATCH_TITLE = "MATCH(d.title_norm) AGAINST(? IN BOOLEAN MODE)";
+
+/** فیلدهای قابل انتخاب با fields= (نام خروجی → عبارت SQL و join لازم) */
+export const INCIDENT_FIELDS = {
+  id:                      { sql: "i.id" },
+  title:                   { sql: "i.title" },
+  category_id:             { sql: "i.category_id" },
+  category_label:          { sql: `CASE WHEN i.category_id=1 THEN 'cyber'
+                                        WHEN i.category_id=2 THEN 'physical'
+                                        ELSE CONCAT('cat_', i.category_id) END` },
+  location_id:             { sql: "i.location_id" },
+  location_name:           { sql: "l.name", join: "l" },
+  priority_id:             { sql: "i.priority_id" },
+  priority_name:           { sql: "p.name", join: "p" },
+  status_id:               { sql: "i.status_id" },
+  status_name:             { sql: "s.name", join: "s" },
+  description:             { sql: "i.description" },
+  reporter_id:             { sql: "i.reporter_id" },
+  reporter_username:       { sql: "u.username", join: "u" },
+  reporter_fullname:       { sql: "u.fullname", join: "u" },
+  assignee_id:             { sql: "i.assignee_id" },
+  assignee_fullname:       { sql: "ua.fullname", join: "ua" },
+  team_id:                 { sql: "i.team_id" },
+  team_name:               { sql: "t.name", join: "t" },
+  assigned_at:             { sql: dt("i.assigned_at") },
+  sla_first_response_breached_at: { sql: dt("i.sla_first_response_breached_at") },
+  sla_resolution_breached_at:     { sql: dt("i.sla_resolution_breached_at") },
+  submission_date:         { sql: dt("i.submission_date") },
+  created_at:              { sql: dt("i.created_at") },
+  first_action_at:         { sql: dt("i.first_action_at") },
+  resolved_at:             { sql: dt("i.resolved_at") },
+  updated_at:              { sql: dt("i.updated_at") },
+  withdrawn_at:            { sql: dt("i.withdrawn_at") },
+  withdraw_reason:         { sql: "i.withdraw_reason" },
+  deleted_at:              { sql: dt("i.deleted_at") },
+  actions_count:           { sql: "(SELECT COUNT(*) FROM actions ax WHERE ax.incident_id = i.id)" },
+  last_action_description: { sql: "la.description", join: "la" },
+  last_action_date:        { sql: "DATE_FORMAT(la.action_date, '%Y-%m-%d')", join: "la" },
+  last_action_at:          { sql: dt("COALESCE(la.added_at, la.created_at)"), join: "la" },
+  last_action_status_id:   { sql: "la.status_id", join: "la" },
+  last_action_status_name: { sql: "ls.name", join: "ls" },
+};
+
+/** کلیدهای مجاز مرتب‌سازی (sort=priority یا sort=-submission_date) */
+export const SORT_KEYS = {
+  id:              { sql: "i.id" },
+  submission_date: { sql: "i.submission_date" },
+  created_at:      { sql: "i.created_at" },
+  resolved_at:     { sql: "i.resolved_at" },
+  priority:        { sql: "i.priority_id" },
+  status:          { sql: "i.status_id" },
+  last_action:     { sql: "COALESCE(la.added_at, la.created_at)", join: "la" },
+};
+
+/* --------------------------------- HELPERS -------------------------------- */
+const num = (v) => (v === undefined || v === null || v === "" ? undefined : Number(v));
+
+/**
+ * شرط WHERE فهرست (برای آمار هم استفاده می‌شود تا محدوده‌ها یکسان باشند).
+ * fulltext: نمایه‌ی FULLTEXT آماده است (isSearchIndexReady)؛ در غیر این صورت search با LIKE
+ */
+export function buildWhere(filters = {}, { fulltext = false } = {}) {
+  const where = [], params = [];
+  const f = filters;
+
+  // deleted: false (پیش‌فرض، حذف‌نشده‌ها) | true (فقط حذف‌شده‌ها) | "any"
+  if (f.deleted !== "any") where.push(f.deleted ? "i.deleted_at IS NOT NULL" : "i.deleted_at IS NULL");
+  if (f.id)          { where.push("i.id = ?");          params.push(Number(f.id)); }
+  if (f.ids)         { where.push("i.id IN (?)");       params.push(f.ids.length ? f.ids.map(Number) : [0]); }
+  if (f.scope === "physical") where.push("i.category_id = 2");
+  if (f.status_id)   { where.push("i.status_id = ?");   params.push(Number(f.status_id)); }
+  if (f.priority_id) { where.push("i.priority_id = ?"); params.push(Number(f.priority_id)); }
+  if (f.location_id) { where.push("i.location_id = ?"); params.push(Number(f.location_id)); }
+  if (f.category_id) { where.push("i.category_id = ?"); params.push(Number(f.category_id)); }
+  if (f.reporter_id) { where.push("i.reporter_id = ?"); params.push(Number(f.reporter_id)); }
+  // assignee_id: شناسه یا "none" (بدون مسئول)
+  if (f.assignee_id === "none") where.push("i.assignee_id IS NULL");
+  else if (f.assignee_id) { where.push("i.assignee_id = ?"); params.push(Number(f.assignee_id)); }
+  if (f.team_id)     { where.push("i.team_id = ?");     params.push(Number(f.team_id)); }
+  // sla_breached=1: حوادثی که کار SLA نقض اولین پاسخ یا حل را رویشان علامت زده است
+  if (f.sla_breached) where.push("(i.sla_first_response_breached_at IS NOT NULL OR i.sla_resolution_breached_at IS NOT NULL)");
+  // واگذارشده به یک کاربر؛ با assigned_to_teams حوادث بدون مسئولِ تیم‌های او هم
+  if (f.assigned_to) {
+    if (f.assigned_to_teams) {
+      where.push(`(i.assignee_id = ? OR (i.assignee_id IS NULL AND i.team_id IN
+                   (SELECT tm.team_id FROM team_members tm WHERE tm.user_id = ?)))`);
+      params.push(Number(f.assigned_to), Number(f.assigned_to));
+    } else {
+      where.push("i.assignee_id = ?");
+      params.push(Number(f.assigned_to));
+    }
+  }
+
+  // بازه‌های تاریخ (میلادی YYYY-MM-DD، دو سر بسته)
+  if (f.submitted_from) { where.push("i.submission_date >= ?");                  params.push(`${f.submitted_from} 00:00:00`); }
+  if (f.submitted_to)   { where.push("i.submission_date < ? + INTERVAL 1 DAY");  params.push(`${f.submitted_to} 00:00:00`); }
+  if (f.resolved_from)  { where.push("i.resolved_at >= ?");                      params.push(`${f.resolved_from} 00:00:00`); }
+  if (f.resolved_to)    { where.push("i.resolved_at < ? + INTERVAL 1 DAY");      params.push(`${f.resolved_to} 00:00:00`); }
+
+  if (f.search) {
+    // جستجو در نمایه‌ی متن کامل (عنوان، شرح و اقدامات)؛ عبارت خیلی کوتاه برای ngram یا نبود نمایه با LIKE
+    const terms = searchTerms(f.search);
+    if (terms.length && fulltext) {
+      where.push(`i.id IN (SELECT d.incident_id FROM incident_search_docs d WHERE ${MATCH_ALL})`);
+      params.push(booleanQuery(terms));
+    } else {
+      const s = String(f.search).slice(0, 256); // جلوگیری از کوئری بسیار طولانی
+      where.push("(i.title LIKE ? OR i.description LIKE ?)");
+      const like = `%${s}%`;
+      params.push(like, like);
+    }
+  }
+
+  return { whereSql: where.length ? `WHERE ${where.join(" AND ")}` : "", params };
+}
+
+function joinsFor(keys) {
+  const need = new Set();
+  const add = (k) => { if (!k || need.has(k)) return; (JOIN_DEPS[k] || []).forEach(add); need.add(k); };
+  keys.forEach(add);
+  // ترتیب تعریف JOINS حفظ می‌شود (la پیش از ls)
+  return Object.keys(JOINS).filter(k => need.has(k)).map(k => JOINS[k]).join("\n");
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * خواندن پارامترهای فهرست از query string.
+ * خروجی: { ok: true, list } یا { ok: false, message }
+ *   list = { filters, fields, sort, order, page, pageSize, paginated, jalali }
+ * صفحه‌بندی فقط وقتی page یا page_size ارسال شود فعال است (سازگاری با کلاینت‌های قبلی).
+ * jalali=1 به هر فیلد تاریخ خروجی معادل شمسی آن را اضافه می‌کند (مثل submission_date_jalali).
+ */
+export function parseListQuery(q = {}) {
+  const filters = {
+    status_id: num(q.status_id),
+    priority_id: num(q.priority_id),
+    location_id: num(q.location_id),
+    category_id: num(q.category_id),
+    reporter_id: num(q.reporter_id),
+    assignee_id: q.assignee_id === "none" ? "none" : num(q.assignee_id),
+    team_id: num(q.team_id),
+    sla_breached: ["1", "true"].includes(String(q.sla_breached || "")) || undefined,
+    search: q.search ? String(q.search).trim() : undefined,
+    scope: q.scope === "physical" ? "physical" : undefined,
+  };
+  // هر بازه به شکل میلادی (submitted_from) یا شمسی (submitted_from_jalali)؛
+  // from/to (و from_jalali/to_jalali) نام کوتاه بازه‌ی submission_date است
+  const ranges = [
+    ["submitted_from", "from"], ["submitted_to", "to"], ["resolved_from"], ["resolved_to"],
+  ];
+  for (const [k, alias] of ranges) {
+    let r = readDateParam(q, k);
+    if (r.ok && r.value === undefined && alias) r = readDateParam(q, alias);
+    if (!r.ok) return { ok: false, message: r.message };
+    if (r.value) filters[k] = r.value;
+  }
+
+  let fields = null;
+  if (q.fields) {
+    fields = String(q.fields).split(",").map(s => s.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !INCIDENT_FIELDS[f]);
+    if (unknown.length) return { ok: false, message: `فیلد نامعتبر: ${unknown.join(", ")}` };
+  }
+
+  let sort = "id", order = "desc";
+  if (q.sort) {
+    const raw = String(q.sort).trim();
+    sort = raw.replace(/^-/, "");
+    if (raw.startsWith("-")) order = "desc";
+    else order = String(q.order || "asc").toLowerCase() === "desc" ? "desc" : "asc";
+    if (!SORT_KEYS[sort]) return { ok: false, message: `مرتب‌سازی مجاز نیست. کلیدهای مجاز: ${Object.keys(SORT_KEYS).join(", ")}` };
+  }
+
+  const paginated = q.page !== undefined || q.page_size !== undefined;
+  const page = Math.max(1, Number(q.page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(q.page_size) || DEFAULT_PAGE_SIZE));
+
+  return { ok: true, list: { filters, fields, sort, order, page, pageSize, paginated, jalali: wantsJalali(q) } };
+}
+
+/**
+ * اجرای کوئری فهرست. خروجی: { rows, total } (total فقط در حالت صفحه‌بندی)
+ */
+export async function dbQueryIncidents({
+  filters = {}, fields, sort = "id", order = "desc", page = 1, pageSize = DEFAULT_PAGE_SIZE, paginated = false,
+} = {}) {
+  const names = fields?.length ? [...new Set(["id", ...fields])] : Object.keys(INCIDENT_FIELDS);
+  const sortKey = SORT_KEYS[sort] || SORT_KEYS.id;
+  const dir = order === "asc" ? "ASC" : "DESC";
+
+  const { whereSql, params } = buildWhere(filters, { fulltext: await isSearchIndexReady() });
+  const selectSql = names.map(n => `${INCIDENT_FIELDS[n].sql} AS ${n}`).join(",\n      ");
+  const joinSql = joinsFor([...names.map(n => INCIDENT_FIELDS[n].join), sortKey.join]);
+  const limitSql = paginated ? "LIMIT ? OFFSET ?" : "";
+  const limitParams = paginated ? [pageSize, (page - 1) * pageSize] : [];
+
+  const [rows] = await pool.query(
+    `
+    SELECT
+      ${selectSql}
+    FROM incidents i
+    ${joinSql}
+    ${whereSql}
+    ORDER BY ${sortKey.sql} ${dir}, i.id ${dir}
+    ${limitSql}
+    `,
+    [...params, ...limitParams]
+  );
+
+  let total;
+  if (paginated) {
+    const [[row]] = await pool.query(`SELECT COUNT(*) AS total FROM incidents i ${whereSql}`, params);
+    total = Number(row?.total || 0);
+  }
+  return { rows, total };
+}
+
+/**
+ * جستجوی رتبه‌بندی‌شده: شناسه‌ها و امتیاز حوادث منطبق (تطابق عنوان وزن بیشتری دارد).
+ * خروجی: { hits: [{ id, score }], total }
+ */
+export async function dbSearchIncidentIds(terms, filters = {}, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (!(await isSearchIndexReady())) return dbSearchIncidentIdsLike(terms, filters, { page, pageSize });
+  const q = booleanQuery(terms);
+  const { whereSql, params } = buildWhere(filters, { fulltext: true });
+  const cond = whereSql ? `${whereSql} AND ${MATCH_ALL}` : `WHERE ${MATCH_ALL}`;
+
+  const [rows] = await pool.query(
+    `SELECT i.id, (${MATCH_TITLE} * 3 + ${MATCH_ALL}) AS score
+     FROM incident_search_docs d
+     JOIN incidents i ON i.id = d.incident_id
+     ${cond}
+     ORDER BY score DESC, i.id DESC
+     LIMIT ? OFFSET ?`,
+    [q, q, ...params, q, pageSize, (page - 1) * pageSize]
+  );
+  const [[row]] = await pool.query(
+    `SELECT COUNT(*) AS total
+     FROM incident_search_docs d
+     JOIN incidents i ON i.id = d.incident_id
+     ${cond}`,
+    [...params, q]
+  );
+  return { hits: rows.map(r => ({ id: r.id, score: Math.round(Number(r.score) * 1000) / 1000 })), total: Number(row?.total || 0) };
+}
+
+// بدون نمایه‌ی FULLTEXT: همه‌ی واژه‌ها با LIKE در عنوان یا شرح؛ امتیاز = تعداد تطابق‌ها (عنوان سه برابر)
+async function dbSearchIncidentIdsLike(terms, filters, { page, pageSize }) {
+  const { whereSql, params } = buildWhere(filters);
+  const likes = terms.flatMap(t => [`%${t}%`, `%${t}%`]);
+  const termSql = terms.map(() => "(i.title LIKE ? OR i.description LIKE ?)").join(" AND ");
+  const scoreSql = terms.map(() => "(i.title LIKE ?) * 3 + (i.description LIKE ?)").join(" + ");
+  const cond = whereSql ? `${whereSql} AND ${termSql}` : `WHERE ${termSql}`;
+
+  const [rows] = await pool.query(
+    `SELECT i.id, (${scoreSql}) AS score
+     FROM incidents i
+     ${cond}
+     ORDER BY score DESC, i.id DESC
+     LIMIT ? OFFSET ?`,
+    [...likes, ...params, ...likes, pageSize, (page - 1) * pageSize]
+  );
+  const [[row]] = await pool.query(`SELECT COUNT(*) AS total FROM incidents i ${cond}`, [...params, ...likes]);
+  return { hits: rows.map(r => ({ id: r.id, score: Number(r.score) })), total: Number(row?.total || 0) };
+}
+
+/** ارسال پاسخ فهرست: آرایه‌ی ساده، یا در حالت صفحه‌بندی پاکت { items, total, page, page_size } */
+export function sendIncidentList(res, list, { rows, total }) {
+  if (list.jalali) rows = rows.map(withJalali);
+  if (!list.paginated) return res.json(rows);
+  res.setHeader("X-Total-Count", String(total));
+  return res.json({ items: rows, total, page: list.page, page_size: list.pageSize });
+}
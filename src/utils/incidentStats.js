@@ -0,0 +1,151 @@
+// backend/src/utils/incidentStats.js
+// آمار و شاخص‌های داشبورد حوادث: شمارش‌ها، ماه‌های شمسی، زمان تا اولین اقدام/حل و سن حوادث باز.
+// همه‌ی محاسبات با همان فیلترهای فهرست (buildWhere) انجام می‌شود تا محدوده‌ی دسترسی یکسان بماند.
+import jalaali from "jalaali-js";
+import { pool } from "../config/db.js";
+import { buildWhere } from "./incidentQuery.js";
+import { isSearchIndexReady } from "./search.js";
+import { pad2 } from "./dates.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const JALALI_MONTHS = [
+  "فروردین", "اردیبهشت", "خرداد", "تیر", "مرداد", "شهریور",
+  "مهر", "آبان", "آذر", "دی", "بهمن", "اسفند",
+];
+
+// بازه‌های سن حوادث باز (بر حسب روز از زمان ثبت)
+const AGE_BUCKETS = [
+  { key: "lt_1d",   label: "کمتر از ۱ روز", max: 1 },
+  { key: "1_3d",    label: "۱ تا ۳ روز",    max: 3 },
+  { key: "3_7d",    label: "۳ تا ۷ روز",    max: 7 },
+  { key: "7_30d",   label: "۷ تا ۳۰ روز",   max: 30 },
+  { key: "gte_30d", label: "۳۰ روز و بیشتر", max: null },
+];
+
+/* --------------------------------- HELPERS -------------------------------- */
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** میانگین و میانه (دقیقه) از فهرست مرتب‌شده‌ی ثانیه‌ها */
+function durationSummary(sortedSeconds) {
+  const n = sortedSeconds.length;
+  if (!n) return { count: 0, mean_minutes: null, median_minutes: null };
+  const sum = sortedSeconds.reduce((a, b) => a + b, 0);
+  const mid = Math.floor(n / 2);
+  const median = n % 2 ? sortedSeconds[mid] : (sortedSeconds[mid - 1] + sortedSeconds[mid]) / 2;
+  return { count: n, mean_minutes: round1(sum / n / 60), median_minutes: round1(median / 60) };
+}
+
+async function groupCount(whereSql, params, { key, label, join = "" }) {
+  const [rows] = await pool.query(
+    `SELECT ${key} AS id, ${label} AS name, COUNT(*) AS count
+     FROM incidents i ${join}
+     ${whereSql}
+     GROUP BY ${key}, ${label}
+     ORDER BY count DESC, id ASC`,
+    params
+  );
+  return rows.map(r => ({ id: r.id, name: r.name, count: Number(r.count) }));
+}
+
+// شمارش روزانه در SQL و تجمیع در ماه شمسی در JS (MySQL تقویم شمسی ندارد)
+async function countByJalaliMonth(whereSql, params) {
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(i.submission_date, '%Y-%m-%d') AS day, COUNT(*) AS count
+     FROM incidents i
+     ${whereSql}
+     GROUP BY day
+     ORDER BY day ASC`,
+    params
+  );
+  const months = new Map();
+  for (const r of rows) {
+    if (!r.day) continue;
+    const [gy, gm, gd] = r.day.split("-").map(Number);
+    const { jy, jm } = jalaali.toJalaali(gy, gm, gd);
+    const key = `${jy}/${pad2(jm)}`;
+    const m = months.get(key) || { month: key, year: jy, month_num: jm, name: JALALI_MONTHS[jm - 1], count: 0 };
+    m.count += Number(r.count);
+    months.set(key, m);
+  }
+  return [...months.values()];
+}
+
+async function durationsSeconds(whereSql, params, endCol) {
+  const cond = `${endCol} IS NOT NULL`;
+  const [rows] = await pool.query(
+    `SELECT GREATEST(0, TIMESTAMPDIFF(SECOND, i.created_at, ${endCol})) AS secs
+     FROM incidents i
+     ${whereSql ? `${whereSql} AND ${cond}` : `WHERE ${cond}`}
+     ORDER BY secs ASC`,
+    params
+  );
+  return rows.map(r => Number(r.secs));
+}
+
+async function backlogAgeing(whereSql, params) {
+  const cond = "i.resolved_at IS NULL AND i.withdrawn_at IS NULL";
+  const cases = AGE_BUCKETS.map((b, idx) => {
+    const min = idx ? AGE_BUCKETS[idx - 1].max : null;
+    const parts = [];
+    if (min !== null) parts.push(`age >= ${min}`);
+    if (b.max !== null) parts.push(`age < ${b.max}`);
+    return `SUM(CASE WHEN ${parts.join(" AND ")} THEN 1 ELSE 0 END) AS \`${b.key}\``;
+  }).join(",\n       ");
+
+  const [[row]] = await pool.query(
+    `SELECT COUNT(*) AS open_count,
+       ${cases}
+     FROM (
+       SELECT TIMESTAMPDIFF(SECOND, i.created_at, NOW()) / 86400 AS age
+       FROM incidents i
+       ${whereSql ? `${whereSql} AND ${cond}` : `WHERE ${cond}`}
+     ) t`,
+    params
+  );
+  return {
+    open: Number(row?.open_count || 0),
+    buckets: AGE_BUCKETS.map(b => ({ key: b.key, label: b.label, count: Number(row?.[b.key] || 0) })),
+  };
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * آمار حوادث برای فیلترهای داده‌شده (همان فیلترهای parseListQuery).
+ * زمان‌ها بر حسب دقیقه و از زمان ثبت حادثه (created_at) محاسبه می‌شوند.
+ */
+export async function dbIncidentStats(filters = {}) {
+  const { whereSql, params } = buildWhere(filters, { fulltext: await isSearchIndexReady() });
+
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM incidents i ${whereSql}`, params);
+
+  const byStatus = await groupCount(whereSql, params, {
+    key: "i.status_id", label: "s.name", join: "LEFT JOIN statuses s ON s.id = i.status_id",
+  });
+  const byPriority = await groupCount(whereSql, params, {
+    key: "i.priority_id", label: "p.name", join: "LEFT JOIN priorities p ON p.id = i.priority_id",
+  });
+  const byCategory = await groupCount(whereSql, params, {
+    key: "i.category_id",
+    label: "CASE WHEN i.category_id=1 THEN 'cyber' WHEN i.category_id=2 THEN 'physical' ELSE CONCAT('cat_', i.category_id) END",
+  });
+  const byLocation = await groupCount(whereSql, params, {
+    key: "i.location_id", label: "l.name", join: "LEFT JOIN locations l ON l.id = i.location_id",
+  });
+  const byMonth = await countByJalaliMonth(whereSql, params);
+
+  const firstAction = durationSummary(await durationsSeconds(whereSql, params, "i.first_action_at"));
+  const resolve = durationSummary(await durationsSeconds(whereSql, params, "i.resolved_at"));
+  const backlog = await backlogAgeing(whereSql, params);
+
+  return {
+    total: Number(total),
+    by_status: byStatus,
+    by_priority: byPriority,
+    by_category: byCategory,
+    by_location: byLocation,
+    by_month: byMonth,
+    time_to_first_action: firstAction,
+    time_to_resolve: resolve,
+    backlog,
+  };
+}
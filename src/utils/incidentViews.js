@@ -0,0 +1,156 @@
+// backend/src/utils/incidentViews.js
+// نماهای ذخیره‌شده‌ی فهرست حوادث: مجموعه‌ی نام‌دار پارامترهای GET /api/incidents،
+// خصوصی یا اشتراکی با هم‌نقش‌های سازنده، و یک نمای پیش‌فرض برای هر کاربر.
+import { pool } from "../config/db.js";
+import { parseListQuery } from "./incidentQuery.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+// فقط پارامترهای فهرست ذخیره می‌شوند (page عمداً ذخیره نمی‌شود)
+export const VIEW_PARAM_KEYS = [
+  "status_id", "priority_id", "location_id", "category_id", "reporter_id", "assignee_id", "team_id", "sla_breached", "search", "scope",
+  "submitted_from", "submitted_to", "resolved_from", "resolved_to",
+  "submitted_from_jalali", "submitted_to_jalali", "resolved_from_jalali", "resolved_to_jalali",
+  "from", "to", "from_jalali", "to_jalali",
+  "sort", "order", "fields", "page_size", "jalali", "deleted",
+];
+export const MAX_VIEWS_PER_USER = 50;
+
+/* --------------------------------- HELPERS -------------------------------- */
+/**
+ * پاک‌سازی و اعتبارسنجی پارامترهای نما برای نقش سازنده.
+ * خروجی: { ok: true, params } یا { ok: false, message }
+ */
+export function cleanViewParams(input, role) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ok: false, message: "پارامترهای نما نامعتبر است." };
+  }
+  const unknown = Object.keys(input).filter(k => !VIEW_PARAM_KEYS.includes(k));
+  if (unknown.length) return { ok: false, message: `پارامتر نامعتبر: ${unknown.join(", ")}` };
+
+  const params = {};
+  for (const k of VIEW_PARAM_KEYS) {
+    const v = input[k];
+    if (v === undefined || v === null || v === "") continue;
+    params[k] = String(v).slice(0, 256);
+  }
+
+  const parsed = parseListQuery(params);
+  if (!parsed.ok) return { ok: false, message: parsed.message };
+
+  // نمای defense-admin (و نمایی که با defense-admin به اشتراک گذاشته می‌شود) نباید از فیزیکال فراتر برود
+  if (role === "defense-admin" && params.category_id && Number(params.category_id) !== 2) {
+    return { ok: false, message: "نمای مدیر پدافند فقط می‌تواند حوادث فیزیکی را نشان دهد." };
+  }
+  return { ok: true, params };
+}
+
+/**
+ * پارامترهای نهایی فهرست: پارامترهای نما، با اولویت پارامترهای صریح درخواست.
+ */
+export function mergeViewQuery(view, query = {}) {
+  const { view: _ignored, ...rest } = query;
+  return { ...(view?.params || {}), ...rest };
+}
+
+function mapView(r, userId, defaultId) {
+  return {
+    id: r.id,
+    name: r.name,
+    params: typeof r.params === "string" ? JSON.parse(r.params) : (r.params || {}),
+    shared: !!r.shared_role,
+    shared_role: r.shared_role || null,
+    owner_id: r.owner_id,
+    owner_fullname: r.owner_fullname || null,
+    mine: r.owner_id === userId,
+    is_default: r.id === defaultId,
+    created_at: r.created_at,
+    updated_at: r.updated_at,
+  };
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT v.id, v.owner_id, v.name, v.params, v.shared_role,
+         u.fullname AS owner_fullname,
+         DATE_FORMAT(v.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(v.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at
+  FROM incident_views v
+  LEFT JOIN users u ON u.id = v.owner_id
+`;
+
+async function dbGetDefaultViewId(userId) {
+  const [[row]] = await pool.query("SELECT view_id FROM incident_view_defaults WHERE user_id = ? LIMIT 1", [userId]);
+  return row?.view_id || null;
+}
+
+/** نماهای خود کاربر و نماهای اشتراکی نقش او */
+export async function dbListViews(user) {
+  const [rows] = await pool.query(
+    `${SELECT_BASE} WHERE v.owner_id = ? OR v.shared_role = ? ORDER BY v.name ASC, v.id ASC`,
+    [user.id, user.role]
+  );
+  const defaultId = await dbGetDefaultViewId(user.id);
+  return rows.map(r => mapView(r, user.id, defaultId));
+}
+
+/** نمایی که کاربر به آن دسترسی دارد (مال خودش یا اشتراکی با نقشش)؛ null در غیر این صورت */
+export async function dbGetAccessibleView(user, id) {
+  const [[row]] = await pool.query(
+    `${SELECT_BASE} WHERE v.id = ? AND (v.owner_id = ? OR v.shared_role = ?) LIMIT 1`,
+    [id, user.id, user.role]
+  );
+  if (!row) return null;
+  return mapView(row, user.id, await dbGetDefaultViewId(user.id));
+}
+
+/** نمای پیش‌فرض کاربر (اگر هنوز در دسترس باشد) */
+export async function dbGetDefaultView(user) {
+  const id = await dbGetDefaultViewId(user.id);
+  return id ? dbGetAccessibleView(user, id) : null;
+}
+
+export async function dbCountOwnViews(userId) {
+  const [[row]] = await pool.query("SELECT COUNT(*) AS c FROM incident_views WHERE owner_id = ?", [userId]);
+  return Number(row?.c || 0);
+}
+
+export async function dbCreateView(user, { name, params, shared }) {
+  const [res] = await pool.query(
+    `INSERT INTO incident_views (owner_id, name, params, shared_role, created_at, updated_at)
+     VALUES (?, ?, ?, ?, NOW(), NOW())`,
+    [user.id, name, JSON.stringify(params), shared ? user.role : null]
+  );
+  return dbGetAccessibleView(user, res.insertId);
+}
+
+/** فقط مالک ویرایش می‌کند؛ اشتراک همیشه با نقش فعلی مالک است */
+export async function dbUpdateView(user, id, { name, params, shared }) {
+  const sets = [], vals = [];
+  if (name !== undefined)   { sets.push("name = ?");        vals.push(name); }
+  if (params !== undefined) { sets.push("params = ?");      vals.push(JSON.stringify(params)); }
+  if (shared !== undefined) { sets.push("shared_role = ?"); vals.push(shared ? user.role : null); }
+  if (!sets.length) return dbGetAccessibleView(user, id);
+  const [res] = await pool.query(
+    `UPDATE incident_views SET ${sets.join(", ")}, updated_at = NOW() WHERE id = ? AND owner_id = ?`,
+    [...vals, id, user.id]
+  );
+  return res.affectedRows ? dbGetAccessibleView(user, id) : null;
+}
+
+export async function dbDeleteView(user, id) {
+  const [res] = await pool.query("DELETE FROM incident_views WHERE id = ? AND owner_id = ?", [id, user.id]);
+  if (res.affectedRows) await pool.query("DELETE FROM incident_view_defaults WHERE view_id = ?", [id]);
+  return res.affectedRows > 0;
+}
+
+export async function dbSetDefaultView(userId, viewId) {
+  if (!viewId) {
+    await pool.query("DELETE FROM incident_view_defaults WHERE user_id = ?", [userId]);
+    return;
+  }
+  await pool.query(
+    `INSERT INTO incident_view_defaults (user_id, view_id) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE view_id = VALUES(view_id)`,
+    [userId, viewId]
+  );
+}
@@ -0,0 +1,153 @@
+// backend/src/utils/keyring.js
+// حلقه‌ی کلیدهای امضای JWT: هر توکن با کلید فعال و هدر kid امضا و فقط با همان kid بررسی می‌شود.
+//
+// بدون JWT_KEYS_FILE همان secret های env استفاده می‌شوند (kid = env-<hash>).
+// با JWT_KEYS_FILE کلیدها از فایل JSON خوانده می‌شوند و تغییر فایل بدون ری‌استارت اعمال می‌شود:
+//   {
+//     "access":  { "active": "a-20261019-1a2b", "keys": [
+//       { "kid": "a-20261019-1a2b", "alg": "HS256", "secret": "..." },
+//       { "kid": "a-20260701-9f8e", "alg": "RS256", "private_key_file": "a-20260701-9f8e.key.pem",
+//         "public_key_file": "a-20260701-9f8e.pub.pem" } ] },
+//     "refresh": { "active": "...", "keys": [ ... ] }
+//   }
+// مسیر فایل‌های کلید نسبت به پوشه‌ی خود فایل JSON است. secret های env همیشه برای بررسی
+// توکن‌های قبلی در حلقه می‌مانند، پس رفتن از env به فایل کسی را از سیستم خارج نمی‌کند.
+// چرخش کلید: npm run keys:rotate  (rotateJwtKey.js)
+import fs from "fs";
+import path from "path";
+import { createHash, createPublicKey } from "crypto";
+import jwt from "jsonwebtoken";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const SUPPORTED_ALGS = ["HS256", "HS384", "HS512", "RS256", "ES256"];
+const PURPOSES = ["access", "refresh"];
+const WATCH_INTERVAL_MS = 5000;
+
+const isProd = () => process.env.NODE_ENV === "production";
+
+// secret های قبلی env (سازگار با نام‌های قدیمی)؛ secret پیش‌فرض فقط در حالت توسعه
+function envSecrets(purpose) {
+  const list = purpose === "refresh"
+    ? [process.env.JWT_REFRESH_SECRET, process.env.REFRESH_SECRET, !isProd() && "dev_refresh_secret_change_me"]
+    : [process.env.JWT_ACCESS_SECRET, process.env.JWT_SECRET, process.env.ACCESS_SECRET, !isProd() && "dev_access_secret_change_me"];
+  return [...new Set(list.filter(Boolean))];
+}
+
+/* --------------------------------- HELPERS -------------------------------- */
+export const envKid = (secret) => "env-" + createHash("sha256").update(String(secret)).digest("hex").slice(0, 8);
+
+function loadFileKey(entry, baseDir) {
+  const alg = String(entry?.alg || "HS256").toUpperCase();
+  if (!entry?.kid) throw new Error("JWT key without kid");
+  if (!SUPPORTED_ALGS.includes(alg)) throw new Error(`Unsupported JWT alg for ${entry.kid}: ${alg}`);
+  const read = (f) => fs.readFileSync(path.resolve(baseDir, f), "utf8");
+
+  if (alg.startsWith("HS")) {
+    const secret = entry.secret || (entry.secret_file && read(entry.secret_file).trim());
+    if (!secret) throw new Error(`JWT key ${entry.kid} has no secret`);
+    return { kid: entry.kid, alg, signKey: secret, verifyKey: secret };
+  }
+  const priv = entry.private_key_file ? read(entry.private_key_file) : null;
+  const pub = entry.public_key_file ? read(entry.public_key_file) : priv && createPublicKey(priv).export({ type: "spki", format: "pem" });
+  if (!pub) throw new Error(`JWT key ${entry.kid} has no key file`);
+  // کلید قبلی بدون private key فقط برای بررسی است
+  return { kid: entry.kid, alg, signKey: priv, verifyKey: pub };
+}
+
+function buildRing(purpose, fileSection, baseDir) {
+  const legacy = envSecrets(purpose).map(s => ({ kid: envKid(s), alg: "HS256", signKey: s, verifyKey: s }));
+  const byKid = new Map(legacy.map(k => [k.kid, k]));
+  let active = legacy[0] || null;
+
+  if (fileSection) {
+    for (const entry of fileSection.keys || []) {
+      const key = loadFileKey(entry, baseDir);
+      byKid.set(key.kid, key);
+    }
+    const fileActive = byKid.get(fileSection.active);
+    if (!fileActive?.signKey) throw new Error(`Active ${purpose} JWT key "${fileSection.active}" is missing or has no signing key`);
+    active = fileActive;
+  }
+
+  if (!active) throw new Error(`No JWT ${purpose} secret configured in production.`);
+  return { active, byKid, legacy };
+}
+
+/* ---------------------------------- STATE --------------------------------- */
+let rings = null;
+let watching = false;
+
+function keysFilePath() {
+  const f = process.env.JWT_KEYS_FILE;
+  return f ? path.resolve(f) : null;
+}
+
+function loadRings() {
+  const file = keysFilePath();
+  let doc = null;
+  if (file && fs.existsSync(file)) {
+    doc = JSON.parse(fs.readFileSync(file, "utf8"));
+  } else if (file) {
+    console.warn("JWT_KEYS_FILE not found, using env secrets:", file);
+  }
+  const baseDir = file ? path.dirname(file) : process.cwd();
+  const next = {};
+  for (const p of PURPOSES) next[p] = buildRing(p, doc?.[p], baseDir);
+  return next;
+}
+
+function watchKeysFile() {
+  const file = keysFilePath();
+  if (!file || watching) return;
+  watching = true;
+  fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, () => {
+    try {
+      rings = loadRings();
+      console.log(`🔑 JWT keyring reloaded (access=${rings.access.active.kid}, refresh=${rings.refresh.active.kid})`);
+    } catch (e) {
+      // فایل نیمه‌نوشته یا نامعتبر: حلقه‌ی قبلی را نگه دار
+      console.error("JWT_KEYRING_RELOAD_ERR:", e?.message || e);
+    }
+  });
+}
+
+/** بارگذاری (یک‌باره) حلقه‌ها؛ در پروداکشن بدون هیچ کلیدی خطا می‌دهد */
+export function getKeyring() {
+  if (!rings) {
+    rings = loadRings();
+    watchKeysFile();
+  }
+  return rings;
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/** امضا با کلید فعال (purpose: "access" | "refresh") */
+export function signToken(purpose, payload, options = {}) {
+  const key = getKeyring()[purpose].active;
+  return jwt.sign(payload, key.signKey, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+/**
+ * بررسی توکن با کلیدِ kid آن. توکن‌های قدیمی بدون kid فقط با secret های env بررسی می‌شوند.
+ * خطاها همان خطاهای jsonwebtoken هستند (TokenExpiredError و ...).
+ */
+export function verifyToken(purpose, token, options = {}) {
+  const ring = getKeyring()[purpose];
+  const kid = jwt.decode(token, { complete: true })?.header?.kid;
+
+  if (kid) {
+    const key = ring.byKid.get(kid);
+    if (!key) throw new jwt.JsonWebTokenError("unknown key id");
+    return jwt.verify(token, key.verifyKey, { ...options, algorithms: [key.alg] });
+  }
+
+  let lastErr = null;
+  for (const key of ring.legacy) {
+    try {
+      return jwt.verify(token, key.verifyKey, { ...options, algorithms: ["HS256"] });
+    } catch (e) {
+      lastErr = e;
+    }
+  }
+  throw lastErr || new jwt.JsonWebTokenError("invalid token");
+}
@@ -0,0 +1,97 @@
+// backend/src/utils/lockout.js
+// محافظت در برابر حدس رمز به ازای هر نام کاربری (مستقل از IP؛ پشت پراکسی IP ها مشترک‌اند).
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const LOCKOUT_THRESHOLD   = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);    // تعداد خطا تا قفل
+const LOCKOUT_MINUTES     = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);     // مدت قفل
+const DELAY_AFTER         = Number(process.env.LOGIN_DELAY_AFTER || 2);          // تأخیر از خطای چندم
+const DELAY_MAX_SECONDS   = Number(process.env.LOGIN_DELAY_MAX_SECONDS || 30);   // سقف تأخیر
+const FAILURE_WINDOW_MIN  = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 30); // بازنشانی شمارنده پس از سکوت
+
+const normUsername = (u) => String(u || "").trim().toLowerCase().slice(0, 100);
+const secondsUntil = (d) => Math.max(1, Math.ceil((new Date(d).getTime() - Date.now()) / 1000));
+
+/* ---------------------------------- MODEL --------------------------------- */
+export async function dbGetLoginFailures(username) {
+  const [rows] = await pool.query(
+    `SELECT username, failed_count, last_failed_at, next_attempt_at, locked_until
+     FROM auth_login_failures WHERE username = ? LIMIT 1`,
+    [normUsername(username)]
+  );
+  return rows?.[0] || null;
+}
+
+/**
+ * آیا تلاش ورود برای این نام کاربری فعلاً مجاز است؟
+ * خروجی: { allowed: true } یا { allowed: false, code, retryAfter (ثانیه) }
+ */
+export async function checkLoginAllowed(username) {
+  const row = await dbGetLoginFailures(username);
+  if (!row) return { allowed: true };
+  const now = Date.now();
+  if (row.locked_until && new Date(row.locked_until).getTime() > now) {
+    return { allowed: false, code: "ACCOUNT_LOCKED", retryAfter: secondsUntil(row.locked_until) };
+  }
+  if (row.next_attempt_at && new Date(row.next_attempt_at).getTime() > now) {
+    return { allowed: false, code: "LOGIN_THROTTLED", retryAfter: secondsUntil(row.next_attempt_at) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * ثبت یک تلاش ناموفق و محاسبه‌ی تأخیر تصاعدی / قفل موقت.
+ * پس از پایان قفل شمارش از نو شروع می‌شود (وگرنه یک اشتباه تایپی دوباره قفل کامل می‌کرد).
+ */
+export async function recordLoginFailure(username) {
+  const key = normUsername(username);
+  if (!key) return null;
+  // ترتیب انتساب‌ها مهم است: failed_count مقادیر قبلی locked_until و last_failed_at را می‌خواند
+  await pool.query(
+    `INSERT INTO auth_login_failures (username, failed_count, last_failed_at)
+     VALUES (?, 1, NOW())
+     ON DUPLICATE KEY UPDATE
+       failed_count   = IF(last_failed_at < NOW() - INTERVAL ? MINUTE OR locked_until <= NOW(), 1, failed_count + 1),
+       locked_until   = IF(locked_until <= NOW(), NULL, locked_until),
+       last_failed_at = NOW()`,
+    [key, FAILURE_WINDOW_MIN]
+  );
+  const row = await dbGetLoginFailures(key);
+  const count = Number(row?.failed_count || 0);
+
+  let lockSeconds = 0, delaySeconds = 0;
+  if (LOCKOUT_THRESHOLD > 0 && count >= LOCKOUT_THRESHOLD) {
+    lockSeconds = LOCKOUT_MINUTES * 60;
+  } else if (count >= DELAY_AFTER) {
+    delaySeconds = Math.min(DELAY_MAX_SECONDS, 2 ** (count - DELAY_AFTER)); // 1, 2, 4, 8 ...
+  }
+  await pool.query(
+    `UPDATE auth_login_failures
+        SET locked_until    = IF(? > 0, NOW() + INTERVAL ? SECOND, locked_until),
+            next_attempt_at = IF(? > 0, NOW() + INTERVAL ? SECOND, NULL)
+      WHERE username = ?`,
+    [lockSeconds, lockSeconds, delaySeconds, delaySeconds, key]
+  );
+  return { failed_count: count, locked: lockSeconds > 0, retryAfter: lockSeconds || delaySeconds };
+}
+
+/** پاک کردن شمارنده (ورود موفق یا باز کردن قفل توسط ادمین) */
+export async function resetLoginFailures(username) {
+  await pool.query("DELETE FROM auth_login_failures WHERE username = ?", [normUsername(username)]);
+}
+
+/* --------------------------------- HELPERS -------------------------------- */
+/** پاسخ استاندارد برای تلاش ردشده؛ برای استفاده در روت‌های ورود */
+export function sendLoginBlocked(res, { code, retryAfter }) {
+  res.setHeader("Retry-After", String(retryAfter));
+  if (code === "ACCOUNT_LOCKED") {
+    return res.status(423).json({
+      ok: false, code, retry_after: retryAfter,
+      message: `به دلیل تلاش‌های ناموفق متعدد، حساب به‌طور موقت قفل شده است. ${Math.ceil(retryAfter / 60)} دقیقه‌ی دیگر تلاش کنید.`,
+    });
+  }
+  return res.status(429).json({
+    ok: false, code, retry_after: retryAfter,
+    message: `تلاش‌های ناموفق زیاد است. ${retryAfter} ثانیه‌ی دیگر دوباره تلاش کنید.`,
+  });
+}
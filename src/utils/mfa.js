@@ -0,0 +1,108 @@
+// backend/src/utils/mfa.js
+// ورود دومرحله‌ای (TOTP) و کدهای بازیابی
+import { createHash, randomBytes } from "crypto";
+import { pool } from "../config/db.js";
+import { generateSecret, verifyTotp, buildOtpauthUri } from "./totp.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const MFA_ISSUER = process.env.MFA_ISSUER || "Security Incident";
+// نقش‌هایی که بدون فعال‌سازی MFA اجازه‌ی کار ندارند؛ مثل: "system-admin,defense-admin"
+const MFA_REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES || "")
+  .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+const RECOVERY_CODE_COUNT = 10;
+
+export const isMfaRequiredForRole = (role) =>
+  MFA_REQUIRED_ROLES.includes(String(role || "").toLowerCase());
+
+/* --------------------------------- HELPERS -------------------------------- */
+const normCode = (c) => String(c || "").trim().toUpperCase().replace(/[\s-]+/g, "");
+const hashCode = (c) => createHash("sha256").update(normCode(c)).digest("hex");
+
+function newRecoveryCode() {
+  const raw = randomBytes(5).toString("hex").toUpperCase(); // ۱۰ کاراکتر
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+export async function dbGetMfa(userId) {
+  const [rows] = await pool.query(
+    `SELECT user_id, secret, enabled, last_used_step,
+            DATE_FORMAT(confirmed_at, '%Y-%m-%d %H:%i:%s') AS confirmed_at
+     FROM user_mfa WHERE user_id = ? LIMIT 1`,
+    [userId]
+  );
+  return rows?.[0] || null;
+}
+
+export async function isMfaEnabled(userId) {
+  const row = await dbGetMfa(userId);
+  return !!row?.enabled;
+}
+
+/** شروع ثبت‌نام: secret جدید (غیرفعال تا تأیید اولین کد) */
+export async function dbStartMfaEnrollment(user) {
+  const secret = generateSecret();
+  await pool.query(
+    `INSERT INTO user_mfa (user_id, secret, enabled, created_at)
+     VALUES (?, ?, 0, NOW())
+     ON DUPLICATE KEY UPDATE secret = VALUES(secret), enabled = 0, confirmed_at = NULL, last_used_step = NULL`,
+    [user.id, secret]
+  );
+  return { secret, otpauth_uri: buildOtpauthUri({ issuer: MFA_ISSUER, account: user.username, secret }) };
+}
+
+export async function dbEnableMfa(userId) {
+  await pool.query("UPDATE user_mfa SET enabled = 1, confirmed_at = NOW() WHERE user_id = ?", [userId]);
+}
+
+export async function dbDeleteMfa(userId) {
+  await pool.query("DELETE FROM user_mfa_recovery_codes WHERE user_id = ?", [userId]);
+  await pool.query("DELETE FROM user_mfa WHERE user_id = ?", [userId]);
+}
+
+/**
+ * بررسی کد TOTP با جلوگیری از استفاده‌ی دوباره‌ی همان کد.
+ * فقط یک درخواست می‌تواند یک گام را مصرف کند (UPDATE شرطی).
+ */
+export async function consumeTotp(mfa, code) {
+  if (!mfa?.secret) return false;
+  const afterStep = mfa.last_used_step == null ? -1 : Number(mfa.last_used_step);
+  const step = verifyTotp(mfa.secret, code, { afterStep });
+  if (step == null) return false;
+  const [res] = await pool.query(
+    `UPDATE user_mfa SET last_used_step = ?
+     WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+    [step, mfa.user_id, step]
+  );
+  return res.affectedRows === 1;
+}
+
+/** ساخت مجموعه‌ی جدید کدهای بازیابی (قبلی‌ها حذف می‌شوند)؛ متن کدها فقط همین یک بار برگردانده می‌شود */
+export async function dbRegenerateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+  await pool.query("DELETE FROM user_mfa_recovery_codes WHERE user_id = ?", [userId]);
+  await pool.query(
+    "INSERT INTO user_mfa_recovery_codes (user_id, code_hash, created_at) VALUES ?",
+    [codes.map(c => [userId, hashCode(c), new Date()])]
+  );
+  return codes;
+}
+
+export async function consumeRecoveryCode(userId, code) {
+  if (!normCode(code)) return false;
+  const [res] = await pool.query(
+    `UPDATE user_mfa_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [userId, hashCode(code)]
+  );
+  return res.affectedRows === 1;
+}
+
+export async function dbCountRecoveryCodes(userId) {
+  const [[row]] = await pool.query(
+    "SELECT COUNT(*) AS c FROM user_mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  return Number(row?.c || 0);
+}
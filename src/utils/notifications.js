@@ -0,0 +1,56 @@
+// backend/src/utils/notifications.js
+// اعلان‌های درون‌برنامه‌ای؛ اعلان نقش هنگام ایجاد برای تک‌تک کاربران فعال آن نقش ثبت می‌شود
+import { pool } from "../config/db.js";
+
+const clip = (v, n) => (v == null ? null : String(v).slice(0, n));
+
+/* ---------------------------------- MODEL --------------------------------- */
+export async function notifyUsers(userIds, { type, title, body = null, link = null }) {
+  const ids = [...new Set((userIds || []).map(Number).filter(Boolean))];
+  if (!ids.length) return 0;
+  const now = new Date();
+  await pool.query(
+    "INSERT INTO notifications (user_id, type, title, body, link, created_at) VALUES ?",
+    [ids.map(id => [id, clip(type, 50), clip(title, 255), body, clip(link, 255), now])]
+  );
+  return ids.length;
+}
+
+export async function notifyRole(role, payload) {
+  const [rows] = await pool.query(
+    "SELECT id FROM users WHERE role = ? AND status = 'active'",
+    [role]
+  );
+  return notifyUsers(rows.map(r => r.id), payload);
+}
+
+export async function dbListNotifications(userId, { unreadOnly = false, limit = 50 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id, type, title, body, link,
+            DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+            DATE_FORMAT(read_at,    '%Y-%m-%d %H:%i:%s') AS read_at
+     FROM notifications
+     WHERE user_id = ? ${unreadOnly ? "AND read_at IS NULL" : ""}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [userId, limit]
+  );
+  return rows;
+}
+
+export async function dbCountUnread(userId) {
+  const [[row]] = await pool.query(
+    "SELECT COUNT(*) AS c FROM notifications WHERE user_id = ? AND read_at IS NULL",
+    [userId]
+  );
+  return Number(row?.c || 0);
+}
+
+export async function dbMarkRead(userId, id = null) {
+  const [res] = await pool.query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = ? AND read_at IS NULL ${id ? "AND id = ?" : ""}`,
+    id ? [userId, id] : [userId]
+  );
+  return res.affectedRows;
+}
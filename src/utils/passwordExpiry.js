@@ -0,0 +1,89 @@
+// backend/src/utils/passwordExpiry.js
+// محاسبه‌ی واحد وضعیت انقضای رمز (روزهای باقی‌مانده، هشدار، ورودهای مهلت)
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const PASSWORD_MAX_AGE_DAYS = Number(process.env.PASSWORD_MAX_AGE_DAYS || 90);      // 0 = غیرفعال
+export const PASSWORD_WARN_DAYS    = Number(process.env.PASSWORD_EXPIRY_WARN_DAYS || 14);  // پنجره‌ی هشدار
+export const PASSWORD_GRACE_LOGINS = Number(process.env.PASSWORD_GRACE_LOGINS || 0);       // ورود مجاز پس از انقضا
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * وضعیت انقضای رمز برای یک ردیف users
+ * (ستون‌های لازم: password_changed_at, auth_source, must_change_password, password_grace_used)
+ */
+export function getPasswordExpiryInfo(user) {
+  const info = {
+    applies: false,
+    expired: false,
+    must_change: false,
+    expires_at: null,
+    days_remaining: null,
+    warning: false,
+    grace_logins_remaining: 0,
+  };
+  if (!user || user.auth_source === "ldap") return info; // سیاست رمز در دایرکتوری
+
+  if (Number(user.must_change_password)) {
+    return { ...info, applies: true, expired: true, must_change: true };
+  }
+  if (!PASSWORD_MAX_AGE_DAYS || PASSWORD_MAX_AGE_DAYS <= 0) return info;
+
+  info.applies = true;
+  const base = user.password_changed_at ? new Date(user.password_changed_at) : null;
+  // اگر هرگز تغییر داده نشده باشد، منقضی فرض کن
+  if (!base || isNaN(base.getTime())) {
+    info.expired = true;
+    info.days_remaining = 0;
+  } else {
+    const expiresAt = new Date(base.getTime() + PASSWORD_MAX_AGE_DAYS * DAY_MS);
+    const remainingMs = expiresAt.getTime() - Date.now();
+    info.expires_at = expiresAt.toISOString();
+    info.expired = remainingMs < 0;
+    info.days_remaining = info.expired ? 0 : Math.floor(remainingMs / DAY_MS);
+    info.warning = !info.expired && info.days_remaining <= PASSWORD_WARN_DAYS;
+  }
+  if (info.expired) {
+    info.grace_logins_remaining = Math.max(0, PASSWORD_GRACE_LOGINS - Number(user.password_grace_used || 0));
+  }
+  return info;
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+/** مصرف یک ورود مهلت؛ فقط اگر هنوز باقی مانده باشد (UPDATE شرطی در برابر ورودهای هم‌زمان) */
+export async function dbConsumeGraceLogin(userId) {
+  const [res] = await pool.query(
+    `UPDATE users SET password_grace_used = password_grace_used + 1
+     WHERE id = ? AND password_grace_used < ?`,
+    [userId, PASSWORD_GRACE_LOGINS]
+  );
+  return res.affectedRows === 1;
+}
+
+/** کاربران محلی فعالی که رمزشان در پنجره‌ی هشدار است یا منقضی شده است */
+export async function dbListExpiringPasswords() {
+  if (!PASSWORD_MAX_AGE_DAYS || PASSWORD_MAX_AGE_DAYS <= 0) return [];
+  const [rows] = await pool.query(
+    `SELECT id, username, fullname, role, auth_source, must_change_password, password_grace_used,
+            password_changed_at
+     FROM users
+     WHERE status = 'active' AND auth_source <> 'ldap'
+       AND (password_changed_at IS NULL
+            OR password_changed_at < NOW() - INTERVAL ? DAY)
+     ORDER BY password_changed_at ASC`,
+    [Math.max(0, PASSWORD_MAX_AGE_DAYS - PASSWORD_WARN_DAYS)]
+  );
+  return rows.map(r => {
+    const info = getPasswordExpiryInfo(r);
+    return {
+      id: r.id,
+      username: r.username,
+      fullname: r.fullname,
+      role: r.role,
+      expires_at: info.expires_at,
+      days_remaining: info.days_remaining,
+      expired: info.expired,
+    };
+  });
+}
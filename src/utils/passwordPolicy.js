@@ -0,0 +1,154 @@
+// backend/src/utils/passwordPolicy.js
+// سیاست واحد رمز عبور برای همه‌ی مسیرهای تعیین/تغییر رمز (کاربر، رمز منقضی، ادمین)
+import fs from "fs";
+import { randomInt } from "crypto";
+import { pool } from "../config/db.js";
+import { comparePassword } from "./hash.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const flag = (name, def) => {
+  const v = process.env[name];
+  return v === undefined || v === "" ? def : v === "true" || v === "1";
+};
+
+const POLICY = {
+  min_length:        Number(process.env.PASSWORD_MIN_LENGTH || 8),
+  max_bytes:         72, // محدودیت bcrypt؛ بیش از این نادیده گرفته می‌شود
+  require_upper:     flag("PASSWORD_REQUIRE_UPPER", true),
+  require_lower:     flag("PASSWORD_REQUIRE_LOWER", true),
+  require_digit:     flag("PASSWORD_REQUIRE_DIGIT", true),
+  require_symbol:    flag("PASSWORD_REQUIRE_SYMBOL", true),
+  disallow_username: flag("PASSWORD_DISALLOW_USERNAME", true),
+  history_count:     Number(process.env.PASSWORD_HISTORY_COUNT ?? 5), // 0 = غیرفعال
+};
+
+// رمزهای رایج؛ فهرست تکمیلی از فایل (هر خط یک رمز) با PASSWORD_BANNED_FILE
+const BUILTIN_BANNED = [
+  "password", "password1", "password123", "p@ssw0rd", "p@ssword1", "passw0rd!",
+  "qwerty123", "qwerty@123", "admin123", "admin@123", "administrator",
+  "12345678", "123456789", "1234567890", "iloveyou", "welcome1", "welcome@123",
+  "letmein1", "abc@1234", "abcd@1234", "changeme", "changeme1", "secret123",
+];
+function loadBanned() {
+  const set = new Set(BUILTIN_BANNED);
+  const file = process.env.PASSWORD_BANNED_FILE;
+  if (file) {
+    try {
+      fs.readFileSync(file, "utf8").split(/\r?\n/)
+        .map(l => l.trim().toLowerCase()).filter(Boolean)
+        .forEach(l => set.add(l));
+    } catch (e) {
+      console.error("PASSWORD_BANNED_FILE_ERR:", e?.message || e);
+    }
+  }
+  return set;
+}
+const BANNED = loadBanned();
+
+/* --------------------------------- HELPERS -------------------------------- */
+// حروف فارسی/عربی بزرگ و کوچک ندارند؛ هر حرف فارسی جای یکی از دو قاعده (بزرگ یا کوچک) را پر می‌کند.
+// فقط حروف شمرده می‌شوند (نه ارقام ۰-۹/٠-٩ و نشانه‌هایی مثل ؟ ، ؛)
+const PERSIAN_LETTERS = /(?=\p{Script=Arabic})\p{L}/gu;
+function caseRules(p) {
+  let spare = (p.match(PERSIAN_LETTERS) || []).length;
+  const upper = /[A-Z]/.test(p) || spare-- > 0;
+  const lower = /[a-z]/.test(p) || spare-- > 0;
+  return { upper, lower };
+}
+const hasDigit  = (p) => /[0-9۰-۹٠-٩]/.test(p);
+const hasSymbol = (p) => /[^\p{L}\p{N}\s]/u.test(p);
+
+/** توضیح قواعد برای نمایش در فرانت‌اند */
+export function getPasswordPolicy() {
+  const rules = [`حداقل ${POLICY.min_length} کاراکتر`];
+  if (POLICY.require_upper)  rules.push("حداقل یک حرف بزرگ لاتین یا یک حرف فارسی");
+  if (POLICY.require_lower)  rules.push(POLICY.require_upper
+    ? "حداقل یک حرف کوچک لاتین یا یک حرف فارسی (هر حرف فارسی فقط برای یکی از دو قاعده‌ی حرف بزرگ/کوچک شمرده می‌شود)"
+    : "حداقل یک حرف کوچک لاتین یا یک حرف فارسی");
+  if (POLICY.require_digit)  rules.push("حداقل یک عدد");
+  if (POLICY.require_symbol) rules.push("حداقل یک نشانه (مثل ! @ # $)");
+  if (POLICY.disallow_username) rules.push("نباید شامل نام کاربری باشد");
+  rules.push("نباید از رمزهای رایج و ساده باشد");
+  if (POLICY.history_count > 0) rules.push(`نباید با ${POLICY.history_count} رمز اخیر یکسان باشد`);
+  return { ...POLICY, rules };
+}
+
+/**
+ * بررسی رمز جدید مطابق سیاست.
+ * خروجی: { ok, errors: [پیام‌ها] }
+ */
+export function validatePassword(pass, { username } = {}) {
+  const p = String(pass ?? "");
+  const errors = [];
+  const cases = caseRules(p);
+  if (p.length < POLICY.min_length) errors.push(`رمز باید حداقل ${POLICY.min_length} کاراکتر باشد.`);
+  if (Buffer.byteLength(p, "utf8") > POLICY.max_bytes) errors.push("رمز بیش از حد طولانی است.");
+  if (POLICY.require_upper && !cases.upper) errors.push("رمز باید شامل حرف بزرگ لاتین یا حرف فارسی باشد.");
+  if (POLICY.require_lower && !cases.lower) errors.push("رمز باید شامل حرف کوچک لاتین یا حرف فارسی باشد.");
+  if (POLICY.require_digit && !hasDigit(p))   errors.push("رمز باید شامل عدد باشد.");
+  if (POLICY.require_symbol && !hasSymbol(p)) errors.push("رمز باید شامل نشانه باشد.");
+  const uname = String(username || "").trim().toLowerCase();
+  if (POLICY.disallow_username && uname.length >= 3 && p.toLowerCase().includes(uname)) {
+    errors.push("رمز نباید شامل نام کاربری باشد.");
+  }
+  if (BANNED.has(p.toLowerCase())) errors.push("این رمز بسیار رایج است؛ رمز دیگری انتخاب کنید.");
+  return { ok: errors.length === 0, errors };
+}
+
+/** رمز موقت تصادفی که همه‌ی قواعد سیاست را برآورده می‌کند (بدون کاراکترهای مبهم مثل O/0 و l/1) */
+export function generateTemporaryPassword(length = Math.max(POLICY.min_length, 12)) {
+  const sets = ["ABCDEFGHJKLMNPQRSTUVWXYZ", "abcdefghijkmnpqrstuvwxyz", "23456789", "!@#$%&*?"];
+  const all = sets.join("");
+  const chars = sets.map(set => set[randomInt(set.length)]);
+  while (chars.length < length) chars.push(all[randomInt(all.length)]);
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+}
+
+/** پاسخ استاندارد رد رمز توسط سیاست */
+export function policyErrorBody(errors) {
+  return { ok: false, code: "PASSWORD_POLICY", message: errors.join(" "), errors };
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+/** آیا رمز جدید با رمز فعلی یا N رمز اخیر یکسان است؟ */
+export async function isPasswordReused(userId, plain, currentHash) {
+  if (POLICY.history_count <= 0) return false;
+  if (currentHash && await comparePassword(String(plain), currentHash)) return true;
+  const [rows] = await pool.query(
+    `SELECT password_hash FROM password_history
+     WHERE user_id = ? ORDER BY id DESC LIMIT ?`,
+    [userId, POLICY.history_count]
+  );
+  for (const r of rows) {
+    if (await comparePassword(String(plain), r.password_hash)) return true;
+  }
+  return false;
+}
+
+export const reuseErrorBody = () => ({
+  ok: false,
+  code: "PASSWORD_REUSED",
+  message: `رمز جدید نباید با ${POLICY.history_count} رمز اخیر یکسان باشد.`,
+});
+
+/** ثبت hash رمز جدید در تاریخچه و حذف موارد قدیمی‌تر از N */
+export async function recordPasswordHistory(userId, hash) {
+  await pool.query(
+    "INSERT INTO password_history (user_id, password_hash, created_at) VALUES (?, ?, NOW())",
+    [userId, hash]
+  );
+  const keep = Math.max(POLICY.history_count, 1);
+  await pool.query(
+    `DELETE FROM password_history
+     WHERE user_id = ? AND id NOT IN (
+       SELECT id FROM (
+         SELECT id FROM password_history WHERE user_id = ? ORDER BY id DESC LIMIT ?
+       ) AS keep_rows
+     )`,
+    [userId, userId, keep]
+  );
+}
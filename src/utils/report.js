@@ -0,0 +1,63 @@
+// backend/src/utils/report.js
+// ابزار مشترک گزارش‌های خروجی: PDF فارسی (pdfkit + فونت Vazirmatn)، CSV و زمان تهیه‌ی گزارش
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+
+const require = createRequire(import.meta.url);
+
+/* --------------------------------- HELPERS -------------------------------- */
+/** زمان تهیه‌ی گزارش "YYYY-MM-DD HH:mm:00" (زمان محلی سرور) */
+export function stamp() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:00`;
+}
+
+/**
+ * خنثی‌سازی فرمول در خروجی صفحه‌گسترده: رشته‌ای که با = + - @ یا tab/CR شروع شود
+ * با ' آغاز می‌شود تا Excel آن را متن بخواند. مقادیر غیررشته‌ای (عدد، تاریخ) دست‌نخورده می‌مانند.
+ */
+export function safeCell(v) {
+  return typeof v === "string" && /^[=+\-@\t\r]/.test(v) ? `'${v}` : v;
+}
+
+/** مقدار یک خانه‌ی CSV (null/undefined → خالی) */
+export function csvEscape(v) {
+  const s = v === undefined || v === null ? "" : String(safeCell(v));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// fontkit متن فارسی را شکل‌دهی و کل سطر را راست‌به‌چپ می‌چیند؛ بخش‌های چپ‌به‌راست (اعداد، تاریخ، لاتین)
+// از قبل وارونه می‌شوند تا پس از آن وارونگی درست خوانده شوند.
+const RTL_CHARS = /[\u0600-\u06FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const LTR_RUN = /[A-Za-z0-9][A-Za-z0-9.:\/\-_@+#%, ]*[A-Za-z0-9%]|[A-Za-z0-9]/g;
+
+export function rtl(text) {
+  const s = String(text === undefined || text === null ? "" : text);
+  if (!RTL_CHARS.test(s)) return s;
+  return s.replace(LTR_RUN, (run) => [...run].reverse().join(""));
+}
+
+function pdfFonts() {
+  const dir = path.join(path.dirname(require.resolve("vazirmatn/package.json")), "fonts", "ttf");
+  const regular = process.env.EXPORT_PDF_FONT || path.join(dir, "Vazirmatn-Regular.ttf");
+  const bold = process.env.EXPORT_PDF_FONT_BOLD || path.join(dir, "Vazirmatn-Bold.ttf");
+  return { regular, bold: fs.existsSync(bold) ? bold : regular };
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/**
+ * سند A4 با فونت‌های "regular" و "bold" که روی stream نوشته می‌شود.
+ * خروجی: { doc, width } (width = عرض قابل‌نوشتن صفحه)
+ */
+export function createPdf(stream, { title } = {}) {
+  const fonts = pdfFonts();
+  const doc = new PDFDocument({ size: "A4", margin: 40, info: { Title: title || "Report" } });
+  doc.registerFont("regular", fonts.regular);
+  doc.registerFont("bold", fonts.bold);
+  doc.pipe(stream);
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  return { doc, width };
+}
@@ -0,0 +1,115 @@
+// backend/src/utils/revisions.js
+// تاریخچه‌ی فقط‌افزودنی تغییرات حادثه‌ها و اقدامات (قبل/بعد هر فیلد، انجام‌دهنده، زمان)
+import { pool } from "../config/db.js";
+import { audit } from "./audit.js";
+import { reindexIncidentSafe } from "./search.js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+const SNAPSHOTS = {
+  incident: `
+    SELECT title, description, location_id, priority_id, category_id, status_id,
+           DATE_FORMAT(submission_date, '%Y-%m-%d %H:%i:%s') AS submission_date,
+           DATE_FORMAT(first_action_at, '%Y-%m-%d %H:%i:%s') AS first_action_at,
+           DATE_FORMAT(resolved_at,     '%Y-%m-%d %H:%i:%s') AS resolved_at,
+           DATE_FORMAT(withdrawn_at,    '%Y-%m-%d %H:%i:%s') AS withdrawn_at,
+           withdraw_reason, assignee_id, team_id,
+           DATE_FORMAT(deleted_at,      '%Y-%m-%d %H:%i:%s') AS deleted_at
+    FROM incidents WHERE id = ? LIMIT 1`,
+  action: `
+    SELECT incident_id, description, status_id,
+           DATE_FORMAT(action_date, '%Y-%m-%d') AS action_date
+    FROM actions WHERE id = ? LIMIT 1`,
+};
+
+/** وضعیت فعلی فیلدهای ردیابی‌شده (null اگر رکورد وجود ندارد) */
+export async function dbGetSnapshot(entity, id) {
+  const [rows] = await pool.query(SNAPSHOTS[entity], [id]);
+  return rows?.[0] || null;
+}
+
+/** تفاوت دو وضعیت: { field: { from, to } } فقط برای فیلدهای تغییرکرده */
+export function diffFields(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    const from = before?.[k] ?? null;
+    const to = after?.[k] ?? null;
+    if (String(from) !== String(to)) changes[k] = { from, to };
+  }
+  return changes;
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+/**
+ * ثبت یک رکورد تاریخچه. خطای ثبت تاریخچه عملیات اصلی (که انجام شده) را خراب نمی‌کند.
+ * op: create | update | withdraw | delete | restore | assign | escalate
+ */
+export async function recordRevision(req, { incidentId, entity, entityId, op, changes }) {
+  if (!Object.keys(changes || {}).length) return; // نوشتنی که چیزی را تغییر نداد
+  try {
+    await pool.query(
+      `INSERT INTO incident_revisions
+         (incident_id, entity, entity_id, op, changes, actor_id, actor_key_id, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW(3))`,
+      [
+        incidentId, entity, entityId, op, JSON.stringify(changes || {}),
+        req?.user?.id || null, req?.apiKey?.id || null,
+      ]
+    );
+  } catch (e) {
+    console.error("REVISION_RECORD_ERR:", e);
+  }
+}
+
+/**
+ * اجرای یک نوشتن و ثبت تفاوت قبل/بعد رکورد.
+ * برای create قبل = null و برای delete بعد = null است.
+ */
+export async function withRevision(req, { incidentId, entity, entityId, op }, write) {
+  const before = entityId ? await dbGetSnapshot(entity, entityId) : null;
+  const result = await write();
+  const id = entityId || result?.id;
+  const after = id ? await dbGetSnapshot(entity, id) : null;
+  const changes = diffFields(before, after);
+  const incId = incidentId || after?.incident_id || before?.incident_id || id;
+  await recordRevision(req, { incidentId: incId, entity, entityId: id, op, changes });
+  // لاگ ممیزی فقط نام فیلدها را نگه می‌دارد؛ مقادیر در تاریخچه‌ی حادثه است
+  if (Object.keys(changes).length) {
+    await audit(req, `${entity}.${op}`, {
+      targetType: entity, targetId: id, details: { incident_id: incId, fields: Object.keys(changes) },
+    });
+  }
+  // متن قابل جستجو تغییر کرده است → سند جستجوی حادثه به‌روز شود
+  if (changes.title || changes.description) await reindexIncidentSafe(incId);
+  return result;
+}
+
+/** خط زمانی یکپارچه‌ی حادثه و اقداماتش، از قدیم به جدید */
+export async function dbListIncidentHistory(incidentId) {
+  const [rows] = await pool.query(
+    `SELECT r.id, r.entity, r.entity_id, r.op, r.changes,
+            DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s') AS at,
+            r.actor_id, u.username AS actor_username, u.fullname AS actor_fullname,
+            r.actor_key_id, k.name AS actor_key_name
+     FROM incident_revisions r
+     LEFT JOIN users u    ON u.id = r.actor_id
+     LEFT JOIN api_keys k ON k.id = r.actor_key_id
+     WHERE r.incident_id = ?
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [incidentId]
+  );
+  return rows.map(r => ({
+    id: r.id,
+    at: r.at,
+    entity: r.entity,
+    entity_id: r.entity_id,
+    op: r.op,
+    actor: {
+      id: r.actor_id,
+      username: r.actor_username || null,
+      fullname: r.actor_fullname || null,
+      ...(r.actor_key_id ? { api_key: { id: r.actor_key_id, name: r.actor_key_name } } : {}),
+    },
+    changes: typeof r.changes === "string" ? JSON.parse(r.changes) : r.changes,
+  }));
+}
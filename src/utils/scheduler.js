@@ -0,0 +1,41 @@
+// backend/src/utils/scheduler.js
+// زمان‌بند ساده‌ی درون‌فرایندی برای کارهای پس‌زمینه (سرویس ویندوز تک‌نمونه اجرا می‌شود)
+
+const running = new Set();
+
+/** اجرای کار با جلوگیری از هم‌پوشانی اجراها و ثبت خطا */
+async function runJob(name, fn) {
+  if (running.has(name)) return;
+  running.add(name);
+  try {
+    await fn();
+  } catch (e) {
+    console.error(`JOB_${name.toUpperCase()}_ERR:`, e);
+  } finally {
+    running.delete(name);
+  }
+}
+
+/** اجرای دوره‌ای هر ms میلی‌ثانیه (اولین اجرا پس از یک دوره، یا بلافاصله با immediate) */
+export function scheduleEvery(name, ms, fn, { immediate = false } = {}) {
+  const timer = setInterval(() => runJob(name, fn), ms);
+  timer.unref?.();
+  if (immediate) setImmediate(() => runJob(name, fn));
+  return timer;
+}
+
+/** اجرای روزانه در ساعت محلی "HH:mm" */
+export function scheduleDaily(name, hhmm, fn) {
+  const [h, m] = String(hhmm || "07:00").split(":").map(Number);
+  const schedule = () => {
+    const next = new Date();
+    next.setHours(h || 0, m || 0, 0, 0);
+    if (next.getTime() <= Date.now()) next.setDate(next.getDate() + 1);
+    const timer = setTimeout(async () => {
+      await runJob(name, fn);
+      schedule();
+    }, next.getTime() - Date.now());
+    timer.unref?.();
+  };
+  schedule();
+}
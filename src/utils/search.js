@@ -0,0 +1,183 @@
+// backend/src/utils/search.js
+// جستجوی متن کامل حوادث: هر حادثه یک سند نرمال‌شده (عنوان + شرح + شرح اقدامات) در incident_search_docs دارد
+// که با FULLTEXT (پارسر ngram در MySQL) جستجو می‌شود. نرمال‌سازی یکسان روی سند و عبارت جستجو اعمال می‌شود.
+// اگر نمایه‌ی FULLTEXT ساخته نشده باشد (isSearchIndexReady)، جستجو با LIKE روی عنوان و شرح انجام می‌شود.
+import { pool } from "../config/db.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const NGRAM_MIN = 2;          // برابر ngram_token_size پیش‌فرض MySQL
+const MAX_TERMS = 8;
+const SNIPPET_RADIUS = 60;
+const REINDEX_BATCH = 200;
+const STATE_RECHECK_MS = 60 * 1000;
+
+/* ------------------------------ NORMALIZATION ----------------------------- */
+const CHAR_MAP = {
+  "ي": "ی", "ى": "ی", "ئ": "ی",
+  "ك": "ک",
+  "ة": "ه", "ۀ": "ه",
+  "أ": "ا", "إ": "ا", "آ": "ا", "ٱ": "ا",
+  "ؤ": "و",
+  "\u200C": " ", "\u200D": "", // ZWNJ / ZWJ
+};
+// اعراب، تنوین و کشیده حذف می‌شوند
+const DROP = /[\u064B-\u065F\u0670\u0640]/;
+
+function normChar(ch) {
+  if (DROP.test(ch)) return "";
+  if (CHAR_MAP[ch] !== undefined) return CHAR_MAP[ch];
+  const code = ch.charCodeAt(0);
+  if (code >= 0x06F0 && code <= 0x06F9) return String(code - 0x06F0); // ارقام فارسی
+  if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660); // ارقام عربی
+  return ch.toLowerCase();
+}
+
+/** نرمال‌سازی متن فارسی/عربی (ی/ي، ک/ك، ارقام، اعراب، نیم‌فاصله) */
+export function normalizeText(input = "") {
+  let out = "";
+  for (const ch of String(input ?? "")) out += normChar(ch);
+  return out.replace(/\s+/g, " ").trim();
+}
+
+// همان نرمال‌سازی به‌همراه نگاشت هر نویسه‌ی خروجی به اندیس متن اصلی (برای برجسته‌سازی)
+function normalizeWithMap(input = "") {
+  const src = String(input ?? "");
+  let text = "";
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const n = normChar(src[i]);
+    for (const c of n) { text += c; map.push(i); }
+  }
+  return { text, map };
+}
+
+/** عبارت جستجو → واژه‌های نرمال‌شده (کوتاه‌تر از ngram حذف می‌شوند) */
+export function searchTerms(q) {
+  const terms = normalizeText(q)
+    .replace(/[+\-<>()~*"@]/g, " ") // عملگرهای BOOLEAN MODE
+    .split(" ")
+    .filter(t => [...t].length >= NGRAM_MIN);
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+}
+
+/** عبارت BOOLEAN MODE: همه‌ی واژه‌ها الزامی و هر واژه به شکل عبارت (برای ngram) */
+export function booleanQuery(terms) {
+  return terms.map(t => `+"${t}"`).join(" ");
+}
+
+/* ------------------------------- INDEX STATE ------------------------------- */
+let ftReady = false, ftCheckedAt = 0;
+
+/** آیا نمایه‌ی FULLTEXT اسناد جستجو وجود دارد؟ (وضعیت منفی هر دقیقه دوباره بررسی می‌شود) */
+export async function isSearchIndexReady() {
+  if (ftReady || Date.now() - ftCheckedAt < STATE_RECHECK_MS) return ftReady;
+  try {
+    const [[row]] = await pool.query(
+      `SELECT COUNT(*) AS c FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'incident_search_docs' AND INDEX_NAME = 'ft_search_all'`
+    );
+    ftReady = Number(row?.c || 0) > 0;
+  } catch (e) {
+    console.error("SEARCH_STATE_ERR:", e);
+    ftReady = false;
+  }
+  ftCheckedAt = Date.now();
+  return ftReady;
+}
+
+/* ---------------------------------- INDEX --------------------------------- */
+/** ساخت/به‌روزرسانی سند جستجوی یک حادثه */
+export async function reindexIncident(incidentId) {
+  const [[inc]] = await pool.query("SELECT id, title, description FROM incidents WHERE id = ? LIMIT 1", [incidentId]);
+  if (!inc) {
+    await pool.query("DELETE FROM incident_search_docs WHERE incident_id = ?", [incidentId]);
+    return;
+  }
+  const [acts] = await pool.query("SELECT description FROM actions WHERE incident_id = ? ORDER BY id ASC", [incidentId]);
+  await pool.query(
+    `INSERT INTO incident_search_docs (incident_id, title_norm, body_norm, actions_norm, indexed_at)
+     VALUES (?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE title_norm = VALUES(title_norm), body_norm = VALUES(body_norm),
+                             actions_norm = VALUES(actions_norm), indexed_at = VALUES(indexed_at)`,
+    [
+      inc.id,
+      normalizeText(inc.title),
+      normalizeText(inc.description),
+      normalizeText(acts.map(a => a.description).join("\n")),
+    ]
+  );
+}
+
+/** هرگز خطا پرتاب نمی‌کند؛ برای فراخوانی پس از نوشتن‌ها */
+export async function reindexIncidentSafe(incidentId) {
+  try {
+    if (incidentId && await isSearchIndexReady()) await reindexIncident(incidentId);
+  } catch (e) {
+    console.error("SEARCH_REINDEX_ERR:", incidentId, e);
+  }
+}
+
+/** ساخت اسناد حوادثی که سند ندارند یا پس از نمایه‌سازی تغییر کرده‌اند. خروجی: تعداد */
+export async function reindexStale() {
+  if (!(await isSearchIndexReady())) return 0;
+  let count = 0;
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT i.id
+       FROM incidents i
+       LEFT JOIN incident_search_docs d ON d.incident_id = i.id
+       WHERE d.incident_id IS NULL OR d.indexed_at < i.updated_at
+       ORDER BY i.id ASC
+       LIMIT ?`,
+      [REINDEX_BATCH]
+    );
+    if (!rows.length) break;
+    for (const r of rows) await reindexIncident(r.id);
+    count += rows.length;
+    if (rows.length < REINDEX_BATCH) break;
+  }
+  return count;
+}
+
+/* --------------------------------- SNIPPETS -------------------------------- */
+const escapeHtml = (s) => s.replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+/**
+ * بریده‌ی متن اصلی پیرامون اولین تطابق، با واژه‌های یافت‌شده درون <mark>.
+ * متن HTML-escape می‌شود؛ null اگر تطابقی نباشد.
+ */
+export function highlight(original, terms, { radius = SNIPPET_RADIUS, whole = false } = {}) {
+  const src = String(original ?? "");
+  if (!src || !terms.length) return null;
+  const { text, map } = normalizeWithMap(src);
+
+  // بازه‌های تطابق در متن اصلی
+  const hits = [];
+  for (const t of terms) {
+    let from = 0, at;
+    while ((at = text.indexOf(t, from)) !== -1) {
+      hits.push([map[at], map[at + t.length - 1] + 1]);
+      from = at + t.length;
+    }
+  }
+  if (!hits.length) return null;
+  hits.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const h of hits) {
+    const last = merged[merged.length - 1];
+    if (last && h[0] <= last[1]) last[1] = Math.max(last[1], h[1]);
+    else merged.push([...h]);
+  }
+
+  const start = whole ? 0 : Math.max(0, merged[0][0] - radius);
+  const end = whole ? src.length : Math.min(src.length, merged[0][1] + radius);
+  let out = "", pos = start;
+  for (const [a, b] of merged) {
+    if (b <= start || a >= end) continue;
+    out += escapeHtml(src.slice(pos, Math.max(a, pos)));
+    out += `<mark>${escapeHtml(src.slice(Math.max(a, pos), Math.min(b, end)))}</mark>`;
+    pos = Math.min(b, end);
+  }
+  out += escapeHtml(src.slice(pos, end));
+  return `${start > 0 ? "…" : ""}${out}${end < src.length ? "…" : ""}`;
+}
@@ -0,0 +1,107 @@
+// backend/src/utils/sessions.js
+// نشست‌های ورود: هر ورود یک نشست می‌سازد و شناسه‌ی آن همان خانواده‌ی refresh token است.
+import { randomUUID } from "crypto";
+import { pool } from "../config/db.js";
+
+/* --------------------------------- HELPERS -------------------------------- */
+/** توصیف کوتاه دستگاه از روی User-Agent (فقط برای نمایش به کاربر) */
+export function describeDevice(ua = "") {
+  const s = String(ua);
+  const os =
+    /Windows/i.test(s) ? "Windows" :
+    /Android/i.test(s) ? "Android" :
+    /iPhone|iPad|iOS/i.test(s) ? "iOS" :
+    /Mac OS X|Macintosh/i.test(s) ? "macOS" :
+    /Linux/i.test(s) ? "Linux" : "";
+  const browser =
+    /Edg\//i.test(s) ? "Edge" :
+    /OPR\/|Opera/i.test(s) ? "Opera" :
+    /Firefox\//i.test(s) ? "Firefox" :
+    /Chrome\//i.test(s) ? "Chrome" :
+    /Safari\//i.test(s) ? "Safari" : "";
+  return [os, browser].filter(Boolean).join(" / ") || "نامشخص";
+}
+
+const clip = (v, n) => (v == null ? null : String(v).slice(0, n));
+
+/* ---------------------------------- MODEL --------------------------------- */
+const SELECT_BASE = `
+  SELECT s.id, s.user_id, s.device, s.ip, s.user_agent,
+         DATE_FORMAT(s.created_at,   '%Y-%m-%d %H:%i:%s') AS created_at,
+         DATE_FORMAT(s.last_seen_at, '%Y-%m-%d %H:%i:%s') AS last_seen_at,
+         DATE_FORMAT(s.revoked_at,   '%Y-%m-%d %H:%i:%s') AS revoked_at,
+         s.revoke_reason, s.password_grace
+  FROM auth_sessions s
+`;
+
+// نشست فعال = باطل نشده و دست‌کم یک refresh token مصرف‌نشده و منقضی‌نشده دارد
+const ACTIVE_WHERE = `
+  s.revoked_at IS NULL AND EXISTS (
+    SELECT 1 FROM auth_refresh_tokens t
+    WHERE t.family_id = s.id AND t.revoked_at IS NULL AND t.used_at IS NULL AND t.expires_at > NOW()
+  )
+`;
+
+/** passwordGrace: نشست با «ورود مهلت» پس از انقضای رمز ساخته شده است */
+export async function dbCreateSession({ userId, req, device, passwordGrace = false }) {
+  const id = randomUUID();
+  const ua = String(req?.headers?.["user-agent"] || "");
+  await pool.query(
+    `INSERT INTO auth_sessions (id, user_id, device, ip, user_agent, password_grace, created_at, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [id, userId, clip(device || describeDevice(ua), 100), clip(req?.ip, 64), clip(ua, 255), passwordGrace ? 1 : 0]
+  );
+  return id;
+}
+
+export async function dbGetSession(id) {
+  const [rows] = await pool.query(SELECT_BASE + " WHERE s.id = ? LIMIT 1", [id]);
+  return rows?.[0] || null;
+}
+
+export async function dbListActiveSessions(userId) {
+  const [rows] = await pool.query(
+    SELECT_BASE + ` WHERE s.user_id = ? AND ${ACTIVE_WHERE} ORDER BY s.last_seen_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+/** به‌روزرسانی last_seen حداکثر هر یک دقیقه یک بار (جلوگیری از نوشتن در هر درخواست) */
+export async function dbTouchSession(id) {
+  await pool.query(
+    `UPDATE auth_sessions SET last_seen_at = NOW()
+     WHERE id = ? AND last_seen_at < NOW() - INTERVAL 1 MINUTE`,
+    [id]
+  );
+}
+
+/** ابطال یک نشست به‌همراه همه‌ی refresh token های آن */
+export async function dbRevokeSession(id, reason, revokedBy = null) {
+  const [res] = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoke_reason = ?, revoked_by = ?
+     WHERE id = ? AND revoked_at IS NULL`,
+    [reason, revokedBy, id]
+  );
+  await pool.query(
+    `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoke_reason = ?
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [reason, id]
+  );
+  return res.affectedRows > 0;
+}
+
+/** ابطال همه‌ی نشست‌های یک کاربر (اختیاری: به‌جز نشست جاری) */
+export async function dbRevokeUserSessions(userId, reason, revokedBy = null, exceptId = null) {
+  const [res] = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoke_reason = ?, revoked_by = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND (? IS NULL OR id <> ?)`,
+    [reason, revokedBy, userId, exceptId, exceptId]
+  );
+  await pool.query(
+    `UPDATE auth_refresh_tokens SET revoked_at = NOW(), revoke_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL AND (? IS NULL OR family_id <> ?)`,
+    [reason, userId, exceptId, exceptId]
+  );
+  return res.affectedRows;
+}
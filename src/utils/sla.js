@@ -0,0 +1,379 @@
+// backend/src/utils/sla.js
+// SLA حوادث: هدف اولین پاسخ (first_action_at) و حل (resolved_at) به ازای درجه ریسک و در صورت نیاز دسته‌بندی،
+// شمارش بر حسب ساعات کاری (هفته‌ی ایرانی و تعطیلات) یا زمان تقویمی، از لحظه‌ی ثبت حادثه (created_at).
+// وضعیت: on_track | at_risk | breached — پس‌گرفتن یا حذف حادثه ساعت SLA را متوقف می‌کند.
+import { pool } from "../config/db.js";
+import { audit } from "./audit.js";
+import { notifyUsers, notifyRole } from "./notifications.js";
+import { dbTeamMembers, canBeAssignee } from "./assignment.js";
+import { parseLocal } from "./dates.js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+export const SLA_STATUSES = ["on_track", "at_risk", "breached"];
+const CACHE_MS = 60 * 1000;
+const BREACH_BATCH = 500;
+const MAX_DAYS_SCAN = 3660; // سقف پیمایش روزها (تقویم بدون روز کاری حلقه‌ی بی‌پایان نسازد)
+// env با تأخیر خوانده می‌شود (dotenv پس از importها اجرا می‌شود)
+const atRiskPercent = () => Number(process.env.SLA_AT_RISK_PERCENT || 80);
+
+const TARGETS = [
+  { key: "first_response", minutesCol: "first_response_minutes", doneField: "first_action_at",
+    flagCol: "sla_first_response_breached_at", label: "اولین پاسخ" },
+  { key: "resolution", minutesCol: "resolution_minutes", doneField: "resolved_at",
+    flagCol: "sla_resolution_breached_at", label: "حل" },
+];
+// فیلدهای لازم برای محاسبه؛ ردیف‌های فهرستی که با fields= محدود شده‌اند بدون sla برمی‌گردند
+const REQUIRED_FIELDS = ["priority_id", "category_id", "created_at", "first_action_at", "resolved_at"];
+
+/* --------------------------------- HELPERS -------------------------------- */
+const pad = (n) => String(n).padStart(2, "0");
+const dayKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const fmt = (d) => `${dayKey(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+const nextMidnight = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1);
+
+/** بازه‌ی کاری روزِ d یا null (روز تعطیل/بدون ساعت کاری) */
+function workWindow(cal, d) {
+  if (cal.holidays.has(dayKey(d))) return null;
+  const h = cal.hours.get(d.getDay());
+  if (!h || h.end_minute <= h.start_minute) return null;
+  const base = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return [new Date(+base + h.start_minute * 60000), new Date(+base + h.end_minute * 60000)];
+}
+
+/** زمانی که minutes دقیقه‌ی کاری پس از start تمام می‌شود */
+export function addBusinessMinutes(start, minutes, cal) {
+  if (!cal.hours.size) return new Date(+start + minutes * 60000);
+  let t = new Date(start), left = minutes;
+  for (let i = 0; i < MAX_DAYS_SCAN; i++) {
+    const w = workWindow(cal, t);
+    if (w) {
+      const from = t > w[0] ? t : w[0];
+      if (from < w[1]) {
+        const avail = (w[1] - from) / 60000;
+        if (left <= avail) return new Date(+from + left * 60000);
+        left -= avail;
+      }
+    }
+    t = nextMidnight(t);
+  }
+  return t;
+}
+
+/** دقیقه‌های کاری بین a و b */
+export function businessMinutesBetween(a, b, cal) {
+  if (b <= a) return 0;
+  if (!cal.hours.size) return (b - a) / 60000;
+  let total = 0, t = new Date(a);
+  for (let i = 0; i < MAX_DAYS_SCAN && t < b; i++) {
+    const w = workWindow(cal, t);
+    if (w) {
+      const from = t > w[0] ? t : w[0];
+      const to = b < w[1] ? b : w[1];
+      if (to > from) total += (to - from) / 60000;
+    }
+    t = nextMidnight(t);
+  }
+  return total;
+}
+
+/** سیاست منطبق: سیاست ویژه‌ی دسته‌بندی بر سیاست عمومی درجه ریسک مقدم است */
+export function matchPolicy(policies, incident) {
+  const forPriority = policies.filter(p => p.priority_id === Number(incident.priority_id));
+  return forPriority.find(p => p.category_id === Number(incident.category_id))
+    || forPriority.find(p => p.category_id === null)
+    || null;
+}
+
+/**
+ * محاسبه‌ی SLA یک حادثه. خروجی null اگر سیاستی منطبق نباشد، در غیر این صورت:
+ *   { policy_id, business_hours, status, first_response: {...}, resolution: {...} }
+ * هر هدف: { target_minutes, due_at, completed_at, elapsed_minutes, remaining_minutes, status } یا null
+ */
+export function computeSla(incident, { policies, calendar }, now = new Date()) {
+  const policy = matchPolicy(policies, incident);
+  const start = parseLocal(incident.created_at);
+  if (!policy || !start) return null;
+  const stoppedAt = parseLocal(incident.withdrawn_at) || parseLocal(incident.deleted_at);
+  const business = !!policy.business_hours;
+  const elapsedBetween = (a, b) => (business ? businessMinutesBetween(a, b, calendar) : Math.max(0, (b - a) / 60000));
+
+  const out = { policy_id: policy.id, business_hours: business, status: null };
+  for (const t of TARGETS) {
+    const minutes = Number(policy[t.minutesCol] || 0);
+    if (!minutes) { out[t.key] = null; continue; }
+    const due = business ? addBusinessMinutes(start, minutes, calendar) : new Date(+start + minutes * 60000);
+    const doneAt = parseLocal(incident[t.doneField]);
+    const end = doneAt || stoppedAt || now;
+    const elapsed = elapsedBetween(start, end);
+
+    let status = "on_track";
+    if (end > due) status = "breached";
+    else if (!doneAt && !stoppedAt && elapsed >= minutes * atRiskPercent() / 100) status = "at_risk";
+
+    out[t.key] = {
+      target_minutes: minutes,
+      due_at: fmt(due),
+      completed_at: doneAt ? fmt(doneAt) : null,
+      elapsed_minutes: Math.round(elapsed),
+      remaining_minutes: doneAt || stoppedAt ? null : Math.max(0, Math.round(minutes - elapsed)),
+      status,
+    };
+  }
+  const statuses = TARGETS.map(t => out[t.key]?.status).filter(Boolean);
+  out.status = statuses.length ? SLA_STATUSES[Math.max(...statuses.map(s => SLA_STATUSES.indexOf(s)))] : null;
+  return out;
+}
+
+/* ---------------------------------- MODEL --------------------------------- */
+export async function dbListPolicies() {
+  const [rows] = await pool.query(
+    `SELECT sp.id, sp.priority_id, p.name AS priority_name, sp.category_id,
+            sp.first_response_minutes, sp.resolution_minutes, sp.business_hours,
+            DATE_FORMAT(sp.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+            DATE_FORMAT(sp.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at
+     FROM sla_policies sp
+     LEFT JOIN priorities p ON p.id = sp.priority_id
+     ORDER BY sp.priority_id ASC, sp.category_id ASC, sp.id ASC`
+  );
+  return rows.map(r => ({ ...r, business_hours: !!r.business_hours }));
+}
+
+export async function dbGetPolicy(id) {
+  return (await dbListPolicies()).find(p => p.id === id) || null;
+}
+
+const numOrNull = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+const bool = (v) => v === true || ["1", "true"].includes(String(v));
+
+/**
+ * اعتبارسنجی ورودی سیاست (current برای ویرایش جزئی).
+ * خروجی: { ok: true, policy } یا { ok: false, status?, message }
+ */
+export async function cleanPolicyInput(input = {}, role, current = null) {
+  const pick = (k, conv) => (input[k] !== undefined ? conv(input[k]) : current?.[k] ?? null);
+  const policy = {
+    priority_id: pick("priority_id", numOrNull),
+    category_id: pick("category_id", numOrNull),
+    first_response_minutes: pick("first_response_minutes", numOrNull),
+    resolution_minutes: pick("resolution_minutes", numOrNull),
+    business_hours: input.business_hours !== undefined ? bool(input.business_hours) : current?.business_hours ?? true,
+  };
+  if (!policy.priority_id) return { ok: false, message: "درجه ریسک الزامی است." };
+  if (policy.category_id !== null && ![1, 2].includes(policy.category_id)) return { ok: false, message: "دسته‌بندی نامعتبر است." };
+  if (role === "defense-admin" && policy.category_id !== 2) {
+    return { ok: false, status: 403, message: "مدیر پدافند فقط برای حوادث فیزیکی SLA تعریف می‌کند." };
+  }
+  for (const k of ["first_response_minutes", "resolution_minutes"]) {
+    const v = policy[k];
+    if (v !== null && (!Number.isInteger(v) || v <= 0)) return { ok: false, message: `${k} باید عدد صحیح مثبت (دقیقه) باشد.` };
+  }
+  if (!policy.first_response_minutes && !policy.resolution_minutes) {
+    return { ok: false, message: "حداقل یکی از اهداف اولین پاسخ یا حل الزامی است." };
+  }
+  if (policy.first_response_minutes && policy.resolution_minutes && policy.resolution_minutes < policy.first_response_minutes) {
+    return { ok: false, message: "هدف حل نمی‌تواند کوتاه‌تر از هدف اولین پاسخ باشد." };
+  }
+  const [[prio]] = await pool.query("SELECT id FROM priorities WHERE id = ? LIMIT 1", [policy.priority_id]);
+  if (!prio) return { ok: false, message: "درجه ریسک یافت نشد." };
+  const [[dup]] = await pool.query(
+    "SELECT id FROM sla_policies WHERE priority_id = ? AND category_id <=> ? AND id <> ? LIMIT 1",
+    [policy.priority_id, policy.category_id, current?.id || 0]
+  );
+  if (dup) return { ok: false, status: 409, message: "برای این درجه ریسک و دسته‌بندی قبلاً سیاست تعریف شده است." };
+  return { ok: true, policy };
+}
+
+export async function dbCreatePolicy(p) {
+  const [res] = await pool.query(
+    `INSERT INTO sla_policies (priority_id, category_id, first_response_minutes, resolution_minutes, business_hours, created_at)
+     VALUES (?, ?, ?, ?, ?, NOW())`,
+    [p.priority_id, p.category_id, p.first_response_minutes, p.resolution_minutes, p.business_hours ? 1 : 0]
+  );
+  invalidateSlaCache();
+  return dbGetPolicy(res.insertId);
+}
+
+export async function dbUpdatePolicy(id, p) {
+  await pool.query(
+    `UPDATE sla_policies
+        SET priority_id = ?, category_id = ?, first_response_minutes = ?, resolution_minutes = ?,
+            business_hours = ?, updated_at = NOW()
+      WHERE id = ?`,
+    [p.priority_id, p.category_id, p.first_response_minutes, p.resolution_minutes, p.business_hours ? 1 : 0, id]
+  );
+  invalidateSlaCache();
+  return dbGetPolicy(id);
+}
+
+export async function dbDeletePolicy(id) {
+  const [res] = await pool.query("DELETE FROM sla_policies WHERE id = ?", [id]);
+  invalidateSlaCache();
+  return res.affectedRows > 0;
+}
+
+/** ساعات کاری هفته: [{ weekday, start, end }] با ساعت "HH:mm" */
+export async function dbGetBusinessHours() {
+  const [rows] = await pool.query("SELECT weekday, start_minute, end_minute FROM business_hours ORDER BY (weekday + 1) % 7 ASC");
+  const hhmm = (m) => `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+  return rows.map(r => ({ weekday: r.weekday, start: hhmm(r.start_minute), end: hhmm(r.end_minute) }));
+}
+
+/**
+ * جایگزینی کامل ساعات کاری. days: [{ weekday: 0..6, start: "HH:mm", end: "HH:mm" }]
+ * خروجی: { ok: true } یا { ok: false, message }
+ */
+export async function dbSetBusinessHours(days) {
+  if (!Array.isArray(days)) return { ok: false, message: "days باید آرایه باشد." };
+  const toMin = (s) => {
+    const m = String(s || "").match(/^(\d{1,2}):(\d{2})$/);
+    return m && +m[1] <= 24 && +m[2] < 60 ? +m[1] * 60 + +m[2] : null;
+  };
+  const rows = [];
+  for (const d of days) {
+    const weekday = Number(d?.weekday);
+    const start = toMin(d?.start), end = toMin(d?.end);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) return { ok: false, message: "weekday باید بین 0 تا 6 باشد." };
+    if (start === null || end === null || end <= start || end > 1440) return { ok: false, message: "بازه‌ی ساعت کاری نامعتبر است." };
+    if (rows.some(r => r[0] === weekday)) return { ok: false, message: "هر روز هفته فقط یک بار." };
+    rows.push([weekday, start, end]);
+  }
+  await pool.query("DELETE FROM business_hours");
+  if (rows.length) await pool.query("INSERT INTO business_hours (weekday, start_minute, end_minute) VALUES ?", [rows]);
+  invalidateSlaCache();
+  return { ok: true };
+}
+
+export async function dbListHolidays({ from, to } = {}) {
+  const where = [], vals = [];
+  if (from) { where.push("day >= ?"); vals.push(from); }
+  if (to)   { where.push("day <= ?"); vals.push(to); }
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day, name FROM holidays
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY day ASC`,
+    vals
+  );
+  return rows;
+}
+
+export async function dbUpsertHoliday(day, name) {
+  await pool.query(
+    "INSERT INTO holidays (day, name) VALUES (?, ?) ON DUPLICATE KEY UPDATE name = VALUES(name)",
+    [day, name || null]
+  );
+  invalidateSlaCache();
+}
+
+export async function dbDeleteHoliday(day) {
+  const [res] = await pool.query("DELETE FROM holidays WHERE day = ?", [day]);
+  invalidateSlaCache();
+  return res.affectedRows > 0;
+}
+
+/* ---------------------------------- CACHE --------------------------------- */
+let cache = null, cachedAt = 0;
+
+export function invalidateSlaCache() {
+  cache = null;
+}
+
+/** سیاست‌ها و تقویم کاری (با کش کوتاه؛ تغییرات پیکربندی کش را باطل می‌کنند) */
+export async function loadSlaConfig() {
+  if (cache && Date.now() - cachedAt < CACHE_MS) return cache;
+  const policies = await dbListPolicies();
+  const [hours] = await pool.query("SELECT weekday, start_minute, end_minute FROM business_hours");
+  const [days] = await pool.query("SELECT DATE_FORMAT(day, '%Y-%m-%d') AS day FROM holidays");
+  cache = {
+    policies,
+    calendar: {
+      hours: new Map(hours.map(h => [Number(h.weekday), h])),
+      holidays: new Set(days.map(d => d.day)),
+    },
+  };
+  cachedAt = Date.now();
+  return cache;
+}
+
+/* ----------------------------------- API ---------------------------------- */
+/** افزودن sla به ردیف‌های حادثه (ردیف‌های فاقد فیلدهای لازم بدون تغییر برمی‌گردند) */
+export async function attachSla(rows) {
+  const list = Array.isArray(rows) ? rows : [rows];
+  if (!list.length || !list[0] || REQUIRED_FIELDS.some(f => !(f in list[0]))) return rows;
+  const cfg = await loadSlaConfig();
+  const now = new Date();
+  const out = list.map(r => ({ ...r, sla: computeSla(r, cfg, now) }));
+  return Array.isArray(rows) ? out : out[0];
+}
+
+async function notifyBreach(incident, target) {
+  const payload = {
+    type: "sla_breach",
+    title: `نقض SLA ${target.label} در حادثه شماره ${incident.id}`,
+    body: incident.title || null,
+    link: `/api/incidents/${incident.id}`,
+  };
+  if (incident.assignee_id) return notifyUsers([incident.assignee_id], payload);
+  if (incident.team_id) {
+    const members = ((await dbTeamMembers([incident.team_id])).get(incident.team_id) || [])
+      .filter(u => canBeAssignee(u, incident));
+    if (members.length) return notifyUsers(members.map(u => u.id), payload);
+  }
+  // بدون مسئول: ادمین‌های محدوده‌ی حادثه
+  await notifyRole("system-admin", payload);
+  if (Number(incident.category_id) === 2) await notifyRole("defense-admin", payload);
+}
+
+/**
+ * علامت‌گذاری نقض‌های تازه روی حوادث باز (کار پس‌زمینه). هر نقض فقط یک بار علامت،
+ * ممیزی و اعلان می‌شود. خروجی: تعداد نقض‌های تازه
+ */
+export async function flagSlaBreaches() {
+  const cfg = await loadSlaConfig();
+  if (!cfg.policies.length) return 0;
+  let flagged = 0, lastId = 0;
+  for (;;) {
+    const [rows] = await pool.query(
+      `SELECT id, title, priority_id, category_id, assignee_id, team_id,
+              DATE_FORMAT(created_at,      '%Y-%m-%d %H:%i:%s') AS created_at,
+              DATE_FORMAT(first_action_at, '%Y-%m-%d %H:%i:%s') AS first_action_at,
+              DATE_FORMAT(resolved_at,     '%Y-%m-%d %H:%i:%s') AS resolved_at,
+              sla_first_response_breached_at, sla_resolution_breached_at
+       FROM incidents
+       WHERE id > ? AND deleted_at IS NULL AND withdrawn_at IS NULL
+         AND ((first_action_at IS NULL AND sla_first_response_breached_at IS NULL)
+           OR (resolved_at IS NULL AND sla_resolution_breached_at IS NULL))
+       ORDER BY id ASC
+       LIMIT ?`,
+      [lastId, BREACH_BATCH]
+    );
+    if (!rows.length) break;
+    const now = new Date();
+    for (const inc of rows) {
+      const sla = computeSla(inc, cfg, now);
+      if (!sla) continue;
+      for (const t of TARGETS) {
+        const s = sla[t.key];
+        if (!s || s.status !== "breached" || s.completed_at || inc[t.flagCol]) continue;
+        const [res] = await pool.query(
+          `UPDATE incidents SET ${t.flagCol} = ? WHERE id = ? AND ${t.flagCol} IS NULL`,
+          [s.due_at, inc.id]
+        );
+        if (!res.affectedRows) continue;
+        flagged++;
+        await audit(null, "incident.sla_breach", {
+          targetType: "incident", targetId: inc.id, outcome: "failure",
+          actor: { username: "system" },
+          details: { target: t.key, policy_id: sla.policy_id, due_at: s.due_at, target_minutes: s.target_minutes },
+        });
+        try {
+          await notifyBreach(inc, t);
+        } catch (e) {
+          console.error("SLA_NOTIFY_ERR:", inc.id, e);
+        }
+      }
+    }
+    lastId = rows[rows.length - 1].id;
+    if (rows.length < BREACH_BATCH) break;
+  }
+  return flagged;
+}
@@ -0,0 +1,93 @@
+// backend/src/utils/storage.js
+// انتخاب ذخیره‌ساز مشترک: Supabase (اگر SUPABASE_URL و کلید تعریف شده باشد) یا فایل‌سیستم محلی.
+// منابع آموزشی و پیوست‌های حوادث هر دو از همین انتخاب پیروی می‌کنند.
+import fs from "fs";
+import path, { dirname } from "path";
+import { Readable } from "stream";
+import { fileURLToPath } from "url";
+import { createClient } from "@supabase/supabase-js";
+
+/* ----------------------------- CONFIG ----------------------------- */
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const SUPA_URL          = process.env.SUPABASE_URL || "";
+const SUPA_ANON_KEY     = process.env.SUPABASE_KEY || "";           // optional
+const SUPA_SERVICE_KEY  = process.env.SUPABASE_SERVICE_KEY || "";   // اولویت
+const HAVE_SUPA_KEY     = !!(SUPA_SERVICE_KEY || SUPA_ANON_KEY);
+
+export const USE_SUPABASE = !!SUPA_URL && HAVE_SUPA_KEY;
+export const supa = USE_SUPABASE ? createClient(SUPA_URL, SUPA_SERVICE_KEY || SUPA_ANON_KEY) : null;
+
+/* ------------------------------ OBJECT STORE ------------------------------ */
+function safeJoin(base, key) {
+  const full = path.resolve(base, key);
+  if (!full.startsWith(path.resolve(base) + path.sep)) throw new Error("INVALID_STORAGE_KEY");
+  return full;
+}
+
+/**
+ * ذخیره‌ساز کلید/مقدار روی باکت Supabase یا پوشه‌ی محلی.
+ *   put(key, buffer, contentType) / putFile(key, filePath, contentType) / open(key) → Readable | null / remove(key)
+ * برخلاف منابع آموزشی، آدرس عمومی ندارد؛ دانلود فقط از مسیرهای کنترل‌شده‌ی API است.
+ */
+export function createObjectStore({ bucket, localDir }) {
+  if (USE_SUPABASE) {
+    const b = () => supa.storage.from(bucket);
+    return {
+      backend: "supabase",
+      async put(key, buffer, contentType) {
+        const { error } = await b().upload(key, buffer, { contentType, upsert: false });
+        if (error) throw error;
+      },
+      // فایل موقت روی دیسک؛ هر بار فقط همین یک فایل در حافظه خوانده می‌شود
+      async putFile(key, filePath, contentType) {
+        await this.put(key, await fs.promises.readFile(filePath), contentType);
+      },
+      async open(key) {
+        const { data, error } = await b().download(key);
+        if (error || !data) return null;
+        return Readable.from(Buffer.from(await data.arrayBuffer()));
+      },
+      async remove(key) {
+        const { error } = await b().remove([key]);
+        if (error) throw error;
+      },
+    };
+  }
+
+  fs.mkdirSync(localDir, { recursive: true });
+  return {
+    backend: "local",
+    async put(key, buffer) {
+      const full = safeJoin(localDir, key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, buffer, { flag: "wx" });
+    },
+    async putFile(key, filePath) {
+      const full = safeJoin(localDir, key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.copyFile(filePath, full, fs.constants.COPYFILE_EXCL);
+    },
+    async open(key) {
+      const full = safeJoin(localDir, key);
+      if (!fs.existsSync(full)) return null;
+      return fs.createReadStream(full);
+    },
+    async remove(key) {
+      const full = safeJoin(localDir, key);
+      await fs.promises.rm(full, { force: true });
+    },
+  };
+}
+
+let evidenceStore = null;
+/** ذخیره‌ساز پیوست‌های حوادث (باکت/پوشه‌ی جدا و غیرعمومی) */
+export function getEvidenceStore() {
+  if (!evidenceStore) {
+    evidenceStore = createObjectStore({
+      bucket: process.env.SUPABASE_EVIDENCE_BUCKET || "evidence",
+      localDir: process.env.EVIDENCE_DIR || path.resolve(__dirname, "../assets/evidence"),
+    });
+  }
+  return evidenceStore;
+}